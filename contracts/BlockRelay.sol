@@ -0,0 +1,174 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+
+
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "./BlockRelayInterface.sol";
+
+/**
+ * @title Block Relay
+ * @notice Relay of the Merkle roots of Witnet blocks, against which anyone can prove that the result of a data request
+ * was included in a Witnet block. The roots are posted by the relayers appointed by the owner.
+ * @dev Merkle trees hash leaves and pairs of nodes with SHA-256, prefixed by `LEAF_PREFIX` and `NODE_PREFIX`
+ * respectively so that inner nodes cannot be passed off as leaves. The leaf of a data request transaction is its hash,
+ * which is the hash of the data request output followed by the hash of the rest of the transaction. The leaf of a tally
+ * transaction is the hash of the data request transaction followed by the result.
+ * @author Witnet Foundation
+ */
+contract BlockRelay is BlockRelayInterface, Ownable2Step {
+    // Merkle roots of the data request and tally transactions included in a Witnet block
+    struct BlockRoots {
+        uint256 drMerkleRoot;
+        uint256 tallyMerkleRoot;
+    }
+
+    // Prefix of the hashes of the leaves of Merkle trees
+    bytes1 public constant LEAF_PREFIX = 0x00;
+
+    // Prefix of the hashes of the inner nodes of Merkle trees
+    bytes1 public constant NODE_PREFIX = 0x01;
+
+    // Map of addresses to a bool, true if they can post new blocks
+    mapping(address => bool) public isRelayer;
+
+    // Map of Witnet block hashes to the Merkle roots of the transactions included in them
+    mapping(uint256 => BlockRoots) internal blocks;
+
+    // Map of the results that have been proven to be included in a block to the hash of that block
+    mapping(bytes32 => uint256) internal verifiedResults;
+
+    // Event emitted when the Merkle roots of a new Witnet block are posted
+    event NewBlock(uint256 indexed _blockHash, uint256 _drMerkleRoot, uint256 _tallyMerkleRoot);
+
+    // Event emitted when the result of a data request is proven to be included in a Witnet block
+    event VerifiedResult(uint256 indexed _drOutputHash, uint256 indexed _drTxHash, uint256 indexed _blockHash);
+
+    // Only relayers should be able to post new blocks
+    modifier onlyRelayer() {
+        require(isRelayer[msg.sender], "Sender is not a relayer");
+        _;
+    }
+
+    /// @notice Sets the sender as the owner and as the first relayer.
+    constructor() {
+        isRelayer[msg.sender] = true;
+    }
+
+    /// @dev Appoints or removes a relayer.
+    /// @param _relayer The address of the relayer.
+    /// @param _enabled Whether the address can post new blocks.
+    function setRelayer(address _relayer, bool _enabled) external onlyOwner {
+        isRelayer[_relayer] = _enabled;
+    }
+
+    /// @dev Posts the Merkle roots of a new Witnet block, which cannot be overwritten afterwards.
+    /// @param _blockHash The hash of the Witnet block.
+    /// @param _drMerkleRoot The Merkle root of the data request transactions.
+    /// @param _tallyMerkleRoot The Merkle root of the tally transactions.
+    function postNewBlock(uint256 _blockHash, uint256 _drMerkleRoot, uint256 _tallyMerkleRoot) external onlyRelayer {
+        require(_drMerkleRoot != 0 && _tallyMerkleRoot != 0, "Merkle roots cannot be zero");
+        require(blocks[_blockHash].drMerkleRoot == 0, "The block has already been posted");
+        blocks[_blockHash] = BlockRoots(_drMerkleRoot, _tallyMerkleRoot);
+        emit NewBlock(_blockHash, _drMerkleRoot, _tallyMerkleRoot);
+    }
+
+    /// @dev Proves that both the data request transaction and the tally transaction of a result were included in a
+    /// relayed Witnet block. The first element of `_drPoi` is the hash of the rest of the data request transaction,
+    /// while the other elements of both proofs are the siblings of the path from each leaf to the root.
+    /// @param _blockHash The hash of the Witnet block including the transactions.
+    /// @param _drOutputHash The hash of the data request output.
+    /// @param _result The result of the data request.
+    /// @param _drPoi The proof of inclusion of the data request transaction.
+    /// @param _drIndex The position of the data request transaction in the block.
+    /// @param _tallyPoi The proof of inclusion of the tally transaction.
+    /// @param _tallyIndex The position of the tally transaction in the block.
+    /// @return The hash of the data request transaction.
+    function verifyResult(
+        uint256 _blockHash,
+        uint256 _drOutputHash,
+        bytes memory _result,
+        uint256[] memory _drPoi,
+        uint256 _drIndex,
+        uint256[] memory _tallyPoi,
+        uint256 _tallyIndex
+    ) public returns (uint256) {
+        BlockRoots memory roots = blocks[_blockHash];
+        require(roots.drMerkleRoot != 0, "The block has not been posted");
+        require(_drPoi.length > 0, "The proof of inclusion cannot be empty");
+
+        uint256 drTxHash = uint256(sha256(abi.encodePacked(_drOutputHash, _drPoi[0])));
+        require(
+            _merkleRoot(_drPoi, 1, _drIndex, drTxHash) == roots.drMerkleRoot,
+            "Invalid proof of inclusion of the data request transaction"
+        );
+        uint256 tallyLeaf = uint256(sha256(abi.encodePacked(drTxHash, _result)));
+        require(
+            _merkleRoot(_tallyPoi, 0, _tallyIndex, tallyLeaf) == roots.tallyMerkleRoot,
+            "Invalid proof of inclusion of the tally transaction"
+        );
+
+        verifiedResults[_resultKey(_drOutputHash, drTxHash, keccak256(_result))] = _blockHash;
+        emit VerifiedResult(_drOutputHash, drTxHash, _blockHash);
+
+        return drTxHash;
+    }
+
+    /// @dev Retrieves the Merkle root of the data request transactions included in a Witnet block.
+    /// @param _blockHash The hash of the Witnet block.
+    /// @return The Merkle root, which is zero for blocks that have not been relayed.
+    function readDrMerkleRoot(uint256 _blockHash) external view override returns (uint256) {
+        return blocks[_blockHash].drMerkleRoot;
+    }
+
+    /// @dev Retrieves the Merkle root of the tally transactions included in a Witnet block.
+    /// @param _blockHash The hash of the Witnet block.
+    /// @return The Merkle root, which is zero for blocks that have not been relayed.
+    function readTallyMerkleRoot(uint256 _blockHash) external view override returns (uint256) {
+        return blocks[_blockHash].tallyMerkleRoot;
+    }
+
+    /// @dev Checks whether the result of a data request has been proven to be included in a relayed Witnet block.
+    /// @param _drOutputHash The hash of the data request output.
+    /// @param _drTxHash The hash of the data request transaction in Witnet.
+    /// @param _resultHash The keccak256 hash of the result.
+    /// @return Whether the result has been verified.
+    function isResultVerified(uint256 _drOutputHash, uint256 _drTxHash, bytes32 _resultHash)
+        external
+        view
+        override
+        returns (bool)
+    {
+        return verifiedResults[_resultKey(_drOutputHash, _drTxHash, _resultHash)] != 0;
+    }
+
+    /// @dev Computes the root of a Merkle tree from a leaf and the siblings of the path from it to the root.
+    /// @param _siblings The siblings of the path, from the leaf level upwards.
+    /// @param _from The position in `_siblings` of the sibling of the leaf.
+    /// @param _index The position of the leaf, whose bits tell whether each node is a left or a right child.
+    /// @param _leaf The leaf.
+    /// @return The root.
+    function _merkleRoot(uint256[] memory _siblings, uint256 _from, uint256 _index, uint256 _leaf)
+        internal
+        pure
+        returns (uint256)
+    {
+        uint256 node = uint256(sha256(abi.encodePacked(LEAF_PREFIX, _leaf)));
+        for (uint256 i = _from; i < _siblings.length; i++) {
+            node = _index % 2 == 0
+                ? uint256(sha256(abi.encodePacked(NODE_PREFIX, node, _siblings[i])))
+                : uint256(sha256(abi.encodePacked(NODE_PREFIX, _siblings[i], node)));
+            _index /= 2;
+        }
+        return node;
+    }
+
+    /// @dev Computes the key of a result in the map of verified results.
+    /// @param _drOutputHash The hash of the data request output.
+    /// @param _drTxHash The hash of the data request transaction in Witnet.
+    /// @param _resultHash The keccak256 hash of the result.
+    /// @return The key.
+    function _resultKey(uint256 _drOutputHash, uint256 _drTxHash, bytes32 _resultHash) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_drOutputHash, _drTxHash, _resultHash));
+    }
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+
+
+/**
+ * @title Block Relay Interface
+ * @notice Interface of a relay of Witnet blocks, which allows to check that the result of a data request was
+ * included in a Witnet block.
+ * @author Witnet Foundation
+ */
+interface BlockRelayInterface {
+
+  /// @dev Retrieves the Merkle root of the data request transactions included in a Witnet block.
+  /// @param _blockHash The hash of the Witnet block.
+  /// @return The Merkle root, which is zero for blocks that have not been relayed.
+  function readDrMerkleRoot(uint256 _blockHash) external view returns(uint256);
+
+  /// @dev Retrieves the Merkle root of the tally transactions included in a Witnet block.
+  /// @param _blockHash The hash of the Witnet block.
+  /// @return The Merkle root, which is zero for blocks that have not been relayed.
+  function readTallyMerkleRoot(uint256 _blockHash) external view returns(uint256);
+
+  /// @dev Checks whether the result of a data request has been proven to be included in a relayed Witnet block.
+  /// @param _drOutputHash The hash of the data request output.
+  /// @param _drTxHash The hash of the data request transaction in Witnet.
+  /// @param _resultHash The keccak256 hash of the result.
+  /// @return Whether the result has been verified.
+  function isResultVerified(uint256 _drOutputHash, uint256 _drTxHash, bytes32 _resultHash) external view returns(bool);
+}
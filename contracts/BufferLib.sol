@@ -249,6 +249,86 @@ library BufferLib {
     return result;
   }
 
+  /**
+  * @notice Read and consume the next 2 bytes from the buffer as an IEEE 754-2008 half-precision floating point number,
+  * and convert it into a fixed point number with `_decimals` decimal positions enclosed in an `int256`.
+  * @dev Unlike `readFloat16(Buffer)`, this method lets the caller choose the precision of the output. In other words,
+  * the integer output of this method is `10 ^ _decimals` times the actual value, truncated towards zero.
+  * @param _buffer An instance of `BufferLib.Buffer`.
+  * @param _decimals The number of decimal positions of the output.
+  * @return The fixed point value of the next 2 bytes in the buffer counting from the cursor position.
+  */
+  function readFloat16(Buffer memory _buffer, uint8 _decimals) internal pure returns (int256) {
+    return binaryFloatToFixed(readUint16(_buffer), 5, 10, _decimals);
+  }
+
+  /**
+  * @notice Read and consume the next 4 bytes from the buffer as an IEEE 754-2008 single-precision floating point
+  * number, and convert it into a fixed point number with `_decimals` decimal positions enclosed in an `int256`.
+  * @dev The integer output of this method is `10 ^ _decimals` times the actual value, truncated towards zero. The input
+  * bytes are expected to follow the 32-bit base-2 format (a.k.a. `binary32`) in the IEEE 754-2008 standard.
+  * @param _buffer An instance of `BufferLib.Buffer`.
+  * @param _decimals The number of decimal positions of the output.
+  * @return The fixed point value of the next 4 bytes in the buffer counting from the cursor position.
+  */
+  function readFloat32(Buffer memory _buffer, uint8 _decimals) internal pure returns (int256) {
+    return binaryFloatToFixed(readUint32(_buffer), 8, 23, _decimals);
+  }
+
+  /**
+  * @notice Read and consume the next 8 bytes from the buffer as an IEEE 754-2008 double-precision floating point
+  * number, and convert it into a fixed point number with `_decimals` decimal positions enclosed in an `int256`.
+  * @dev The integer output of this method is `10 ^ _decimals` times the actual value, truncated towards zero. The input
+  * bytes are expected to follow the 64-bit base-2 format (a.k.a. `binary64`) in the IEEE 754-2008 standard.
+  * @param _buffer An instance of `BufferLib.Buffer`.
+  * @param _decimals The number of decimal positions of the output.
+  * @return The fixed point value of the next 8 bytes in the buffer counting from the cursor position.
+  */
+  function readFloat64(Buffer memory _buffer, uint8 _decimals) internal pure returns (int256) {
+    return binaryFloatToFixed(readUint64(_buffer), 11, 52, _decimals);
+  }
+
+  /**
+  * @notice Convert the bits of an IEEE 754-2008 base-2 floating point number into a fixed point number.
+  * @param _bits The bits of the floating point number, right-aligned.
+  * @param _exponentBits How many bits the exponent takes.
+  * @param _fractionBits How many bits the fraction takes.
+  * @param _decimals The number of decimal positions of the output.
+  * @return `10 ^ _decimals` times the value of the floating point number, truncated towards zero.
+  */
+  function binaryFloatToFixed(uint64 _bits, uint8 _exponentBits, uint8 _fractionBits, uint8 _decimals)
+    private pure returns (int256)
+  {
+    uint256 maxExponent = (uint256(1) << _exponentBits) - 1;
+    uint256 biasedExponent = (_bits >> _fractionBits) & maxExponent;
+    uint256 significand = _bits & ((uint256(1) << _fractionBits) - 1);
+    require(biasedExponent != maxExponent, "Cannot convert infinite or NaN floating point numbers into fixed point");
+
+    // Compute `significand · 2 ^ exponent`, where the significand gets the implicit leading bit unless the number is
+    // subnormal, and the exponent gets rid of the bias and the width of the fraction
+    int256 exponent = 1 - int256(maxExponent >> 1) - int256(uint256(_fractionBits));
+    if (biasedExponent != 0) {
+      significand |= uint256(1) << _fractionBits;
+      exponent += int256(biasedExponent) - 1;
+    }
+
+    uint256 scaled = significand * uint256(10) ** _decimals;
+    uint256 result;
+    if (exponent >= 0) {
+      require(
+        exponent < 256 && scaled <= type(uint256).max >> uint256(exponent),
+        "Floating point number too big to be converted into fixed point"
+      );
+      result = scaled << uint256(exponent);
+    } else if (exponent > -256) {
+      result = scaled >> uint256(-exponent);
+    }
+    require(result <= uint256(type(int256).max), "Floating point number too big to be converted into fixed point");
+
+    // Make the result negative if the sign bit is not 0
+    return (_bits >> (_exponentBits + _fractionBits)) & 1 == 0 ? int256(result) : -int256(result);
+  }
+
   /**
   * @notice Copy bytes from one memory address into another.
   * @dev This function was borrowed from Nick Johnson's `solidity-stringutils` lib, and reproduced here under the terms
@@ -270,12 +350,14 @@ library BufferLib {
       _src += 32;
     }
 
-    // Copy remaining bytes
-    uint mask = 256 ** (32 - _len) - 1;
-    assembly {
-      let srcpart := and(mload(_src), not(mask))
-      let destpart := and(mload(_dest), mask)
-      mstore(_dest, or(destpart, srcpart))
+    // Copy remaining bytes, if any
+    if (_len > 0) {
+      uint mask = 256 ** (32 - _len) - 1;
+      assembly {
+        let srcpart := and(mload(_src), not(mask))
+        let destpart := and(mload(_dest), mask)
+        mstore(_dest, or(destpart, srcpart))
+      }
     }
   }
 
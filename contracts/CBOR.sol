@@ -11,10 +11,6 @@ import "./BufferLib.sol";
  * @notice This library leverages a buffer-like structure for step-by-step decoding of bytes so as to minimize
  * the gas cost of decoding them into a useful native type.
  * @dev Most of the logic has been borrowed from Patrick Gansterer’s cbor.js library: https://github.com/paroga/cbor-js
- * TODO: add support for Array (majorType = 4)
- * TODO: add support for Map (majorType = 5)
- * TODO: add support for Float32 (majorType = 7, additionalInformation = 26)
- * TODO: add support for Float64 (majorType = 7, additionalInformation = 27)
  */
 library CBOR {
   using BufferLib for BufferLib.Buffer;
@@ -32,6 +28,43 @@ library CBOR {
     uint64 tag;
   }
 
+  /**
+   * @notice Decode a `CBOR.Value` structure into an array of `CBOR.Value` structures, one per item in the array.
+   * @dev Items are not decoded any further, so they can be arrays or maps themselves. Each of them gets its own cursor
+   * so that they can be decoded in any order.
+   * @param _cborValue An instance of `CBOR.Value`.
+   * @return The items of the array, as a `CBOR.Value[]` value.
+   */
+  function decodeArray(Value memory _cborValue) public pure returns(Value[] memory) {
+    require(_cborValue.majorType == 4, "Tried to read `CBOR.Value[]` from a `CBOR.Value` with majorType != 4");
+    return readItems(_cborValue.buffer, readLength(_cborValue.buffer, _cborValue.additionalInformation));
+  }
+
+  /**
+   * @notice Decode a `CBOR.Value` structure into the keys and values of a map, as two arrays of `CBOR.Value` structures
+   * in which the key at each position corresponds to the value at the same position.
+   * @dev Keys and values are not decoded any further, so they can be arrays or maps themselves. Each of them gets its
+   * own cursor so that they can be decoded in any order.
+   * @param _cborValue An instance of `CBOR.Value`.
+   * @return _keys The keys of the map, as a `CBOR.Value[]` value.
+   * @return _values The values of the map, as a `CBOR.Value[]` value.
+   */
+  function decodeMap(Value memory _cborValue) public pure returns(Value[] memory _keys, Value[] memory _values) {
+    require(_cborValue.majorType == 5, "Tried to read a map from a `CBOR.Value` with majorType != 5");
+
+    uint64 length = readLength(_cborValue.buffer, _cborValue.additionalInformation);
+    // Maps are read as arrays of alternating keys and values
+    Value[] memory items = readItems(_cborValue.buffer, length < UINT64_MAX ? length * 2 : UINT64_MAX);
+    require(items.length % 2 == 0, "Found a key without value when reading a CBOR map");
+
+    _keys = new Value[](items.length / 2);
+    _values = new Value[](items.length / 2);
+    for (uint256 i = 0; i < _keys.length; i++) {
+      _keys[i] = items[2 * i];
+      _values[i] = items[2 * i + 1];
+    }
+  }
+
   /**
    * @notice Decode a `CBOR.Value` structure into a native `bool` value.
    * @param _cborValue An instance of `CBOR.Value`.
@@ -109,6 +142,44 @@ library CBOR {
     return array;
   }
 
+  /**
+   * @notice Decode a `CBOR.Value` structure holding a half, single or double-precision float into a fixed point value
+   * with `_decimals` decimal positions.
+   * @dev The output of this method is `10 ^ _decimals` times the actual value, truncated towards zero and encoded into an
+   * `int256`. Choosing as many decimals as needed avoids the loss of precision and range of `decodeFixed16`.
+   * @param _cborValue An instance of `CBOR.Value`.
+   * @param _decimals The number of decimal positions of the output.
+   * @return The value represented by the input, as an `int256` value.
+   */
+  function decodeFixed64(Value memory _cborValue, uint8 _decimals) public pure returns(int256) {
+    require(_cborValue.majorType == 7, "Tried to read a `fixed` value from a `CBOR.Value` with majorType != 7");
+    if (_cborValue.additionalInformation == 25) {
+      return _cborValue.buffer.readFloat16(_decimals);
+    } else if (_cborValue.additionalInformation == 26) {
+      return _cborValue.buffer.readFloat32(_decimals);
+    } else if (_cborValue.additionalInformation == 27) {
+      return _cborValue.buffer.readFloat64(_decimals);
+    }
+    revert("Tried to read `fixed64` from a `CBOR.Value` that is not a float");
+  }
+
+  /**
+   * @notice Decode a `CBOR.Value` structure into a native `int256[]` value whose inner values follow the same convention
+   * as explained in `decodeFixed64`.
+   * @param _cborValue An instance of `CBOR.Value`.
+   * @param _decimals The number of decimal positions of the output.
+   * @return The value represented by the input, as an `int256[]` value.
+   */
+  function decodeFixed64Array(Value memory _cborValue, uint8 _decimals) external pure returns(int256[] memory) {
+    Value[] memory items = decodeArray(_cborValue);
+    int256[] memory array = new int256[](items.length);
+    for (uint256 i = 0; i < items.length; i++) {
+      array[i] = decodeFixed64(items[i], _decimals);
+    }
+
+    return array;
+  }
+
   /**
    * @notice Decode a `CBOR.Value` structure into a native `int128` value.
    * @param _cborValue An instance of `CBOR.Value`.
@@ -146,6 +217,40 @@ library CBOR {
     return array;
   }
 
+  /**
+   * @notice Decode a `CBOR.Value` structure holding an integer or a bignum (tags 2 and 3) into a native `int256` value.
+   * @param _cborValue An instance of `CBOR.Value`.
+   * @return The value represented by the input, as an `int256` value.
+   */
+  function decodeInt256(Value memory _cborValue) public pure returns(int256) {
+    if (_cborValue.majorType == 0 || _cborValue.majorType == 1) {
+      return decodeInt128(_cborValue);
+    }
+    require(
+      _cborValue.majorType == 2 && (_cborValue.tag == 2 || _cborValue.tag == 3),
+      "Tried to read `int256` from a `CBOR.Value` that is not an integer or bignum"
+    );
+    uint256 absolute = readBignum(_cborValue);
+    require(absolute <= uint256(type(int256).max), "Tried to read `int256` from a bignum that does not fit into it");
+    // Negative bignums (tag 3) hold `-1 - n` rather than `-n`
+    return _cborValue.tag == 2 ? int256(absolute) : -1 - int256(absolute);
+  }
+
+  /**
+   * @notice Decode a `CBOR.Value` structure into a native `int256[]` value.
+   * @param _cborValue An instance of `CBOR.Value`.
+   * @return The value represented by the input, as an `int256[]` value.
+   */
+  function decodeInt256Array(Value memory _cborValue) external pure returns(int256[] memory) {
+    Value[] memory items = decodeArray(_cborValue);
+    int256[] memory array = new int256[](items.length);
+    for (uint256 i = 0; i < items.length; i++) {
+      array[i] = decodeInt256(items[i]);
+    }
+
+    return array;
+  }
+
   /**
    * @notice Decode a `CBOR.Value` structure into a native `string` value.
    * @param _cborValue An instance of `CBOR.Value`.
@@ -220,6 +325,38 @@ library CBOR {
     return array;
   }
 
+  /**
+   * @notice Decode a `CBOR.Value` structure holding a natural number or a positive bignum (tag 2) into a native
+   * `uint256` value.
+   * @param _cborValue An instance of `CBOR.Value`.
+   * @return The value represented by the input, as an `uint256` value.
+   */
+  function decodeUint256(Value memory _cborValue) public pure returns(uint256) {
+    if (_cborValue.majorType == 0) {
+      return decodeUint64(_cborValue);
+    }
+    require(
+      _cborValue.majorType == 2 && _cborValue.tag == 2,
+      "Tried to read `uint256` from a `CBOR.Value` with majorType != 0 and tag != 2"
+    );
+    return readBignum(_cborValue);
+  }
+
+  /**
+   * @notice Decode a `CBOR.Value` structure into a native `uint256[]` value.
+   * @param _cborValue An instance of `CBOR.Value`.
+   * @return The value represented by the input, as an `uint256[]` value.
+   */
+  function decodeUint256Array(Value memory _cborValue) external pure returns(uint256[] memory) {
+    Value[] memory items = decodeArray(_cborValue);
+    uint256[] memory array = new uint256[](items.length);
+    for (uint256 i = 0; i < items.length; i++) {
+      array[i] = decodeUint256(items[i]);
+    }
+
+    return array;
+  }
+
   /**
    * @notice Decode a CBOR.Value structure from raw bytes.
    * @dev This is the main factory for CBOR.Value instances, which can be later decoded into native EVM types.
@@ -308,6 +445,88 @@ library CBOR {
     return length;
   }
 
+  // Read a number of consecutive items from a buffer, or all of them up to the "break" stop code if `_length` is
+  // `UINT64_MAX`. Each item gets its own copy of the buffer so that it can be decoded on its own.
+  function readItems(BufferLib.Buffer memory _buffer, uint64 _length) private pure returns(Value[] memory items) {
+    if (_length == UINT64_MAX) {
+      // Indefinite-length items need to be counted beforehand
+      BufferLib.Buffer memory counter = BufferLib.Buffer(_buffer.data, _buffer.cursor);
+      _length = 0;
+      while (!isBreak(counter)) {
+        skipItem(counter);
+        _length++;
+      }
+      items = readItems(_buffer, _length);
+      // Consume the "break" stop code
+      _buffer.next();
+      return items;
+    }
+
+    items = new Value[](_length);
+    for (uint64 i = 0; i < _length; i++) {
+      items[i] = valueFromBuffer(BufferLib.Buffer(_buffer.data, _buffer.cursor));
+      skipItem(_buffer);
+    }
+  }
+
+  // Consume a whole item from a buffer, including any items nested into it and its tags.
+  function skipItem(BufferLib.Buffer memory _buffer) private pure {
+    uint8 initialByte = _buffer.readUint8();
+    uint8 majorType = initialByte >> 5;
+    uint8 additionalInformation = initialByte & 0x1f;
+
+    if (majorType == 7) {
+      // Simple values and floats have no length, but 1, 2, 4 or 8 bytes of payload
+      if (additionalInformation >= 24 && additionalInformation <= 27) {
+        _buffer.seek(uint32(1) << (additionalInformation - 24));
+      }
+      return;
+    }
+
+    uint64 length = readLength(_buffer, additionalInformation);
+    if (majorType == 2 || majorType == 3) {
+      if (length == UINT64_MAX) {
+        length = readIndefiniteStringLength(_buffer, majorType);
+        while (length < UINT64_MAX) {
+          _buffer.seek(uint32(length));
+          length = readIndefiniteStringLength(_buffer, majorType);
+        }
+      } else {
+        _buffer.seek(uint32(length));
+      }
+    } else if (majorType == 4 || majorType == 5) {
+      if (length == UINT64_MAX) {
+        while (!isBreak(_buffer)) {
+          skipItem(_buffer);
+        }
+        _buffer.next();
+      } else {
+        uint64 items = majorType == 5 ? length * 2 : length;
+        for (uint64 i = 0; i < items; i++) {
+          skipItem(_buffer);
+        }
+      }
+    } else if (majorType == 6) {
+      skipItem(_buffer);
+    }
+  }
+
+  // Read the absolute value of a bignum, i.e. the big-endian unsigned integer in its byte string, which must fit into
+  // 32 bytes.
+  function readBignum(Value memory _cborValue) private pure returns(uint256 value) {
+    bytes memory data = decodeBytes(_cborValue);
+    require(data.length <= 32, "Tried to read a bignum that does not fit into 256 bits");
+    for (uint256 i = 0; i < data.length; i++) {
+      value = value << 8 | uint8(data[i]);
+    }
+  }
+
+  // Tell whether the next byte in a buffer is the "break" stop code that closes indefinite-length items.
+  function isBreak(BufferLib.Buffer memory _buffer) private pure returns(bool) {
+    require(_buffer.cursor < _buffer.data.length, "Missing break stop code in indefinite-length CBOR item");
+    return _buffer.data[_buffer.cursor] == 0xff;
+  }
+
   // Read a text string of a given length from a buffer. Returns a `bytes memory` value for the sake of genericness,
   // but it can be easily casted into a string with `string(result)`.
   // solium-disable-next-line security/no-assign-params
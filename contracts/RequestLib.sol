@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+pragma experimental ABIEncoderV2;
+
+
+
+/**
+ * @title A library for building Witnet data requests from their structured parts
+ * @notice The library serializes data requests into the Protocol Buffers layout expected by the Witnet bridges, so that
+ * `Request` contracts can be created at runtime without the need for any off-chain tooling.
+ * @dev Fields holding their default value (i.e. zero or empty) are omitted from the serialization, as mandated by
+ * `proto3`. Retrieval scripts and filter arguments are expected to be already CBOR-encoded RADON values.
+ */
+library RequestLib {
+
+  /// Retrieval kind of the sources that are retrieved through an HTTP GET request.
+  uint8 constant internal RETRIEVAL_HTTP_GET = 0x00;
+
+  /// Filter that drops the values that deviate from the mean by more than a number of standard deviations.
+  uint8 constant internal FILTER_DEVIATION_STANDARD = 0x05;
+  /// Filter that drops the values that are different from the mode.
+  uint8 constant internal FILTER_MODE = 0x08;
+
+  /// Reducer that returns the mode of the values.
+  uint8 constant internal REDUCER_MODE = 0x02;
+  /// Reducer that returns the arithmetic mean of the values.
+  uint8 constant internal REDUCER_AVERAGE_MEAN = 0x03;
+  /// Reducer that returns the median of the values.
+  uint8 constant internal REDUCER_AVERAGE_MEDIAN = 0x05;
+
+  // Protocol Buffers wire types
+  uint8 constant private WIRE_TYPE_VARINT = 0;
+  uint8 constant private WIRE_TYPE_LENGTH_DELIMITED = 2;
+
+  struct Source {
+    uint8 kind;
+    string url;
+    bytes script;
+  }
+
+  struct Filter {
+    uint8 op;
+    bytes args;
+  }
+
+  // The filters and reducer applied in the aggregation or tally stages
+  struct Reducer {
+    Filter[] filters;
+    uint8 reducer;
+  }
+
+  struct DataRequest {
+    uint64 timeLock;
+    Source[] sources;
+    Reducer aggregator;
+    Reducer tally;
+    uint64 witnessReward;
+    uint16 witnesses;
+    uint64 commitAndRevealFee;
+    uint8 minConsensusPercentage;
+    uint64 collateral;
+  }
+
+  /**
+   * @notice Serialize a data request into the bytes that a `Request` contract is constructed around.
+   * @param _request An instance of `DataRequest`.
+   * @return The data request serialized using Protocol Buffers.
+   */
+  function encode(DataRequest memory _request) internal pure returns (bytes memory) {
+    require(_request.sources.length > 0, "The data request must have at least one source");
+    require(_request.witnesses > 0, "The data request must have at least one witness");
+    require(
+      _request.minConsensusPercentage > 50 && _request.minConsensusPercentage < 100,
+      "The minimum consensus percentage must be between 51 and 99"
+    );
+
+    bytes memory radRequest = encodeVarintField(1, _request.timeLock);
+    for (uint256 i = 0; i < _request.sources.length; i++) {
+      radRequest = abi.encodePacked(radRequest, encodeMessageField(2, encodeSource(_request.sources[i])));
+    }
+    radRequest = abi.encodePacked(
+      radRequest,
+      encodeMessageField(3, encodeReducer(_request.aggregator)),
+      encodeMessageField(4, encodeReducer(_request.tally))
+    );
+
+    return abi.encodePacked(
+      encodeMessageField(1, radRequest),
+      encodeVarintField(2, _request.witnessReward),
+      encodeVarintField(3, _request.witnesses),
+      encodeVarintField(4, _request.commitAndRevealFee),
+      encodeVarintField(5, _request.minConsensusPercentage),
+      encodeVarintField(6, _request.collateral)
+    );
+  }
+
+  /**
+   * @notice Serialize a data request source.
+   * @param _source An instance of `Source`.
+   * @return The source serialized using Protocol Buffers.
+   */
+  function encodeSource(Source memory _source) internal pure returns (bytes memory) {
+    return abi.encodePacked(
+      encodeVarintField(1, _source.kind),
+      encodeBytesField(2, bytes(_source.url)),
+      encodeBytesField(3, _source.script)
+    );
+  }
+
+  /**
+   * @notice Serialize the filters and reducer of the aggregation or tally stages.
+   * @param _reducer An instance of `Reducer`.
+   * @return The stage serialized using Protocol Buffers.
+   */
+  function encodeReducer(Reducer memory _reducer) internal pure returns (bytes memory) {
+    bytes memory encoded;
+    for (uint256 i = 0; i < _reducer.filters.length; i++) {
+      encoded = abi.encodePacked(
+        encoded,
+        encodeMessageField(
+          1,
+          abi.encodePacked(encodeVarintField(1, _reducer.filters[i].op), encodeBytesField(2, _reducer.filters[i].args))
+        )
+      );
+    }
+    return abi.encodePacked(encoded, encodeVarintField(2, _reducer.reducer));
+  }
+
+  /**
+   * @notice Encode an unsigned integer as a Protocol Buffers base 128 varint.
+   * @param _value The value to be encoded.
+   * @return The varint encoding of the value.
+   */
+  function encodeVarint(uint64 _value) internal pure returns (bytes memory) {
+    // A `uint64` never takes more than 10 bytes
+    bytes memory buffer = new bytes(10);
+    uint256 length;
+    do {
+      uint8 nextByte = uint8(_value & 0x7f);
+      _value >>= 7;
+      if (_value != 0) {
+        nextByte |= 0x80;
+      }
+      buffer[length++] = bytes1(nextByte);
+    } while (_value != 0);
+    // Shrink the buffer to the actual length of the encoding
+    assembly {
+      mstore(buffer, length)
+    }
+    return buffer;
+  }
+
+  // Encode a varint field, omitting it if it holds the default value.
+  function encodeVarintField(uint8 _field, uint64 _value) private pure returns (bytes memory) {
+    if (_value == 0) {
+      return "";
+    }
+    return abi.encodePacked(encodeKey(_field, WIRE_TYPE_VARINT), encodeVarint(_value));
+  }
+
+  // Encode a bytes or string field, omitting it if it is empty.
+  function encodeBytesField(uint8 _field, bytes memory _value) private pure returns (bytes memory) {
+    if (_value.length == 0) {
+      return "";
+    }
+    return encodeMessageField(_field, _value);
+  }
+
+  // Encode an embedded message field. Messages are always encoded, even if empty, so as to mark them as present.
+  function encodeMessageField(uint8 _field, bytes memory _value) private pure returns (bytes memory) {
+    return abi.encodePacked(encodeKey(_field, WIRE_TYPE_LENGTH_DELIMITED), encodeVarint(uint64(_value.length)), _value);
+  }
+
+  // Encode the key of a field, which combines the field number and the wire type.
+  function encodeKey(uint8 _field, uint8 _wireType) private pure returns (bytes memory) {
+    return encodeVarint(uint64(_field) << 3 | _wireType);
+  }
+}
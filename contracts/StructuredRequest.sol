@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+pragma experimental ABIEncoderV2;
+
+import "./Request.sol";
+import "./RequestLib.sol";
+
+
+/**
+ * @title A Witnet data request built from its structured parts
+ * @notice Contracts can create this kind of `Request` at runtime, as its bytecode is serialized on-chain by `RequestLib`.
+ */
+contract StructuredRequest is Request {
+
+ /**
+  * @dev Serializes the structured data request into the bytecode of the `Request`. The same caveats about
+  * trustlessness as in `Request` apply.
+  * @param _request The data request as an instance of `RequestLib.DataRequest`.
+  */
+  constructor(RequestLib.DataRequest memory _request) Request(RequestLib.encode(_request)) {}
+}
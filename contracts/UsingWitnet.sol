@@ -6,13 +6,14 @@ pragma experimental ABIEncoderV2;
 import "./Request.sol";
 import "./Witnet.sol";
 import "./WitnetRequestBoardInterface.sol";
+import "./WitnetCallbackInterface.sol";
 
 
 /**
  * @title The UsingWitnet contract
  * @notice Contract writers can inherit this contract in order to create Witnet data requests.
  */
-abstract contract UsingWitnet {
+abstract contract UsingWitnet is WitnetCallbackInterface {
   using Witnet for Witnet.Result;
 
   WitnetRequestBoardInterface internal immutable wrb;
@@ -32,6 +33,13 @@ abstract contract UsingWitnet {
     _;
   }
 
+  // Provides a convenient way for client contracts extending this to require the result of a particular request to
+  // have been proven to be included in a Witnet block, instead of trusting the reporter
+  modifier witnetResultVerified(uint256 _id) {
+    require(witnetCheckResultVerified(_id), "Witnet result has not been verified");
+    _;
+  }
+
  /**
   * @notice Send a new request to the Witnet network with transaction value as result report reward.
   * @dev Call to `post_dr` function in the WitnetRequestBoard contract.
@@ -42,16 +50,83 @@ abstract contract UsingWitnet {
     return wrb.postDataRequest{value: msg.value}(address(_request));
   }
 
+ /**
+  * @notice Send a new request to the Witnet network with transaction value as result report reward, asking for its
+  * result to be delivered back to this contract through `witnetCallback` as soon as it is final.
+  * @dev Call to `postDataRequestWithCallback` function in the WitnetRequestBoard contract. The reward must also cover
+  * the gas spent in the callback, see `witnetEstimateGasCostWithCallback`.
+  * @param _request An instance of the `Request` contract.
+  * @param _callbackGasLimit The maximum amount of gas to be spent in the callback.
+  * @return Sequencial identifier for the request included in the WitnetRequestBoard.
+  */
+  function witnetPostRequestWithCallback(Request _request, uint256 _callbackGasLimit) internal returns (uint256) {
+    return wrb.postDataRequestWithCallback{value: msg.value}(address(_request), _callbackGasLimit);
+  }
+
+ /**
+  * @notice Send a new request to the Witnet network with transaction value as result report reward, declaring the
+  * maximum size in bytes of its result.
+  * @dev Call to `postDataRequestWithMaxResultSize` function in the WitnetRequestBoard contract. The reward must cover
+  * the gas spent in storing a result of that size, see `witnetEstimateGasCostWithMaxResultSize`. Longer results are
+  * replaced by a `BridgeOversizedResult` error.
+  * @param _request An instance of the `Request` contract.
+  * @param _maxResultSize The maximum size in bytes of the result.
+  * @return Sequencial identifier for the request included in the WitnetRequestBoard.
+  */
+  function witnetPostRequestWithMaxResultSize(Request _request, uint256 _maxResultSize) internal returns (uint256) {
+    return wrb.postDataRequestWithMaxResultSize{value: msg.value}(address(_request), _maxResultSize);
+  }
+
+ /**
+  * @notice Receive the result of a request posted with `witnetPostRequestWithCallback`.
+  * @dev Decodes the result and hands it over to the `witnetCallback` hook. Only the WitnetRequestBoard can call it.
+  * @param _id The unique identifier of the request.
+  * @param _result The result of the request as CBOR-encoded bytes.
+  */
+  function witnetCallback(uint256 _id, bytes calldata _result) external override {
+    require(msg.sender == address(wrb), "Only the WitnetRequestBoard can deliver results");
+    witnetCallback(_id, Witnet.resultFromCborBytes(_result));
+  }
+
+ /**
+  * @notice Hook called when the result of a request posted with `witnetPostRequestWithCallback` is final.
+  * @dev Contracts inheriting from `UsingWitnet` should override it in order to react to the results. Reverting or
+  * running out of the callback gas limit does not prevent the result from being reported.
+  * @param _id The unique identifier of the request.
+  * @param _result The result of the request as an instance of `Result`.
+  */
+  function witnetCallback(uint256 _id, Witnet.Result memory _result) internal virtual {}
+
  /**
   * @notice Check if a request has been resolved by Witnet.
   * @dev Contracts depending on Witnet should not start their main business logic (e.g. receiving value from third.
-  * parties) before this method returns `true`.
+  * parties) before this method returns `true`. Results reported during challenge periods are only treated as resolved
+  * once they are final.
   * @param _id The unique identifier of a request that has been previously sent to the WitnetRequestBoard.
   * @return A boolean telling if the request has been already resolved or not.
   */
   function witnetCheckRequestResolved(uint256 _id) internal view returns (bool) {
-    // If the result of the data request in Witnet is not the default, then it means that it has been reported as resolved.
-    return wrb.readDrTxHash(_id) != 0;
+    return wrb.isResultFinal(_id);
+  }
+
+ /**
+  * @notice Check if the result of a request has been verified through a proof of inclusion in a Witnet block.
+  * @dev Call to `isResultVerified` function in the WitnetRequestBoard contract.
+  * @param _id The unique identifier of a request that has been previously sent to the WitnetRequestBoard.
+  * @return A boolean telling if the result of the request has been verified or not.
+  */
+  function witnetCheckResultVerified(uint256 _id) internal view returns (bool) {
+    return wrb.isResultVerified(_id);
+  }
+
+ /**
+  * @notice Read the number of committee members that agreed on the result of a request.
+  * @dev Call to `readAgreements` function in the WitnetRequestBoard contract.
+  * @param _id The unique identifier of a request that has been previously sent to the WitnetRequestBoard.
+  * @return The number of members that reported the same result.
+  */
+  function witnetReadAgreements(uint256 _id) internal view returns (uint256) {
+    return wrb.readAgreements(_id);
   }
 
  /**
@@ -63,6 +138,17 @@ abstract contract UsingWitnet {
     wrb.upgradeDataRequest{value: msg.value}(_id);
   }
 
+ /**
+  * @notice Cancel a request that has not been resolved before its deadline, getting its reward back.
+  * @dev Call to `cancelDataRequest` function in the WitnetRequestBoard contract. The reward is credited to the balance
+  * of this contract in the WitnetRequestBoard controller that holds the request, which it can withdraw from there.
+  * @param _id The unique identifier of a request that has been previously sent to the WitnetRequestBoard.
+  * @return The amount of reward that has been refunded.
+  */
+  function witnetCancelRequest(uint256 _id) internal returns (uint256) {
+    return wrb.cancelDataRequest(_id);
+  }
+
  /**
   * @notice Read the result of a resolved request.
   * @dev Call to `read_result` function in the WitnetRequestBoard contract.
@@ -82,4 +168,30 @@ abstract contract UsingWitnet {
   function witnetEstimateGasCost(uint256 _gasPrice) internal view returns (uint256) {
     return wrb.estimateGasCost(_gasPrice);
   }
+
+ /**
+  * @notice Estimate the reward amount for a request whose result is delivered through a callback.
+  * @dev Call to `estimateGasCostWithCallback` function in the WitnetRequestBoard contract.
+  * @param _gasPrice The gas price for which we want to retrieve the estimation.
+  * @param _callbackGasLimit The maximum amount of gas to be spent in the callback.
+  * @return The reward to be included for the given gas price and callback gas limit.
+  */
+  function witnetEstimateGasCostWithCallback(uint256 _gasPrice, uint256 _callbackGasLimit)
+    internal view returns (uint256)
+  {
+    return wrb.estimateGasCostWithCallback(_gasPrice, _callbackGasLimit);
+  }
+
+ /**
+  * @notice Estimate the reward amount for a request whose result may take up to `_maxResultSize` bytes.
+  * @dev Call to `estimateGasCostWithMaxResultSize` function in the WitnetRequestBoard contract.
+  * @param _gasPrice The gas price for which we want to retrieve the estimation.
+  * @param _maxResultSize The maximum size in bytes of the result.
+  * @return The reward to be included for the given gas price and maximum result size.
+  */
+  function witnetEstimateGasCostWithMaxResultSize(uint256 _gasPrice, uint256 _maxResultSize)
+    internal view returns (uint256)
+  {
+    return wrb.estimateGasCostWithMaxResultSize(_gasPrice, _maxResultSize);
+  }
 }
@@ -22,6 +22,42 @@ library Witnet {
     CBOR.Value cborValue;
   }
 
+  // Errors caused by a source script that is not valid CBOR or RADON
+  struct SourceScriptError {
+    ErrorCodes code;
+    uint64 scriptIndex;
+  }
+
+  // Errors caused by a source that could not be retrieved
+  struct RetrievalError {
+    ErrorCodes code;
+    uint64 sourceIndex;
+    // Only set for `HTTP` errors
+    uint64 httpStatusCode;
+  }
+
+  // Errors caused by a math operator in any of the scripts
+  struct MathError {
+    ErrorCodes code;
+    uint64 stage;
+    uint64 scriptIndex;
+    uint64 callIndex;
+    uint64 operatorCode;
+  }
+
+  // Errors found when tallying the reveals of the witnesses
+  struct TallyError {
+    ErrorCodes code;
+    // Only set for `InsufficientConsensus` errors, in basis points (i.e. 10,000 is 100%)
+    uint64 achievedConsensus;
+    uint64 requiredConsensus;
+  }
+
+  // Errors that only belong in inter-client communication
+  struct BridgeError {
+    ErrorCodes code;
+  }
+
   /*
    *  ENUMS
    */
@@ -328,6 +364,28 @@ library Witnet {
     UnhandledIntercept
   }
 
+  // The families of `ErrorCodes`, i.e. the ranges of error codes sharing the same kind of arguments
+  enum ErrorFamilies {
+    // 0x00 and any error code out of the other families
+    Unknown,
+    // 0x01 to 0x0F
+    SourceScript,
+    // 0x10 to 0x1F
+    Complexity,
+    // 0x20 to 0x2F
+    Operator,
+    // 0x30 to 0x3F
+    Retrieval,
+    // 0x40 to 0x4F
+    Math,
+    // 0x50 to 0x6F
+    Tally,
+    // 0x70 to 0x7F
+    Access,
+    // 0xE0 to 0xEF
+    Bridge
+  }
+
   /*
    * Result impl's
    */
@@ -505,6 +563,136 @@ library Witnet {
     return (errorCode, string(errorMessage));
   }
 
+  /**
+   * @notice Decode a source script error from a `Result`, with the index of the offending script.
+   * @param _result An instance of `Result` with an error in the `SourceScript` family.
+   * @return The `SourceScriptError` decoded from the `Result`.
+   */
+  function asSourceScriptError(Result memory _result) external pure returns(SourceScriptError memory) {
+    (ErrorCodes errorCode, CBOR.Value[] memory error) = errorArgs(_result, ErrorFamilies.SourceScript, 1);
+    return SourceScriptError(errorCode, error[1].decodeUint64());
+  }
+
+  /**
+   * @notice Decode a retrieval error from a `Result`, with the index of the offending source and the HTTP status code
+   * it answered with, if any.
+   * @param _result An instance of `Result` with an error in the `Retrieval` family.
+   * @return The `RetrievalError` decoded from the `Result`.
+   */
+  function asRetrievalError(Result memory _result) external pure returns(RetrievalError memory) {
+    (ErrorCodes errorCode, CBOR.Value[] memory error) = errorArgs(_result, ErrorFamilies.Retrieval, 1);
+    uint64 httpStatusCode;
+    if (errorCode == ErrorCodes.HTTP) {
+      require(error.length >= 3, "Not enough arguments in `HTTP` error");
+      httpStatusCode = error[2].decodeUint64();
+    }
+    return RetrievalError(errorCode, error[1].decodeUint64(), httpStatusCode);
+  }
+
+  /**
+   * @notice Decode a math error from a `Result`, with the stage, script, call and operator where it happened.
+   * @param _result An instance of `Result` with an error in the `Math` family.
+   * @return The `MathError` decoded from the `Result`.
+   */
+  function asMathError(Result memory _result) external pure returns(MathError memory) {
+    (ErrorCodes errorCode, CBOR.Value[] memory error) = errorArgs(_result, ErrorFamilies.Math, 4);
+    return MathError(
+      errorCode,
+      error[1].decodeUint64(),
+      error[2].decodeUint64(),
+      error[3].decodeUint64(),
+      error[4].decodeUint64()
+    );
+  }
+
+  /**
+   * @notice Decode a tally error from a `Result`, with the achieved and required consensus ratios in case of
+   * `InsufficientConsensus` errors.
+   * @param _result An instance of `Result` with an error in the `Tally` family.
+   * @return The `TallyError` decoded from the `Result`.
+   */
+  function asTallyError(Result memory _result) external pure returns(TallyError memory) {
+    (ErrorCodes errorCode, CBOR.Value[] memory error) = errorArgs(_result, ErrorFamilies.Tally, 0);
+    if (errorCode == ErrorCodes.InsufficientConsensus) {
+      require(error.length >= 3, "Not enough arguments in `InsufficientConsensus` error");
+      return TallyError(errorCode, ratioAsBasisPoints(error[1]), ratioAsBasisPoints(error[2]));
+    }
+    return TallyError(errorCode, 0, 0);
+  }
+
+  /**
+   * @notice Decode a bridge error from a `Result`.
+   * @param _result An instance of `Result` with an error in the `Bridge` family.
+   * @return The `BridgeError` decoded from the `Result`.
+   */
+  function asBridgeError(Result memory _result) external pure returns(BridgeError memory) {
+    (ErrorCodes errorCode,) = errorArgs(_result, ErrorFamilies.Bridge, 0);
+    return BridgeError(errorCode);
+  }
+
+  /**
+   * @notice Tell the family of a member of `ErrorCodes`, so as to know which typed error accessor can decode it.
+   * @param _errorCode A member of `ErrorCodes`.
+   * @return The member of `ErrorFamilies` the error code belongs to.
+   */
+  function errorFamily(ErrorCodes _errorCode) public pure returns(ErrorFamilies) {
+    uint8 code = uint8(_errorCode);
+    if (code == 0x00) {
+      return ErrorFamilies.Unknown;
+    } else if (code < 0x10) {
+      return ErrorFamilies.SourceScript;
+    } else if (code < 0x20) {
+      return ErrorFamilies.Complexity;
+    } else if (code < 0x30) {
+      return ErrorFamilies.Operator;
+    } else if (code < 0x40) {
+      return ErrorFamilies.Retrieval;
+    } else if (code < 0x50) {
+      return ErrorFamilies.Math;
+    } else if (code < 0x70) {
+      return ErrorFamilies.Tally;
+    } else if (code < 0x80) {
+      return ErrorFamilies.Access;
+    } else if (code >= 0xE0 && code < 0xF0) {
+      return ErrorFamilies.Bridge;
+    }
+    return ErrorFamilies.Unknown;
+  }
+
+  /**
+   * @notice Tell if a Result is errored because of a condition that may not happen again, so that posting the same
+   * request again could be resolved successfully.
+   * @dev Retrieval timeouts, server-side HTTP errors, lack of consensus or reveals and poor incentives are deemed
+   * retriable, while errors in the request itself (e.g. malformed scripts or math errors) are not.
+   * @param _result An instance of Result.
+   * @return `true` if errored with a retriable error, `false` otherwise.
+   */
+  function isRetriable(Result memory _result) external pure returns(bool) {
+    if (_result.success) {
+      return false;
+    }
+    CBOR.Value[] memory error = _result.cborValue.decodeArray();
+    if (error.length == 0) {
+      return false;
+    }
+
+    ErrorCodes errorCode = supportedErrorOrElseUnknown(error[0].decodeUint64());
+    if (errorCode == ErrorCodes.HTTP) {
+      if (error.length < 3) {
+        return true;
+      }
+      // Server errors, request timeouts and rate limiting are transient, unlike the rest of client errors
+      uint64 httpStatusCode = error[2].decodeUint64();
+      return httpStatusCode >= 500 || httpStatusCode == 408 || httpStatusCode == 429;
+    }
+    return errorCode == ErrorCodes.RetrievalTimeout
+      || errorCode == ErrorCodes.NoReveals
+      || errorCode == ErrorCodes.InsufficientConsensus
+      || errorCode == ErrorCodes.InsufficientCommits
+      || errorCode == ErrorCodes.MalformedReveal
+      || errorCode == ErrorCodes.BridgePoorIncentives;
+  }
+
   /**
    * @notice Decode a raw error from a `Result` as a `uint64[]`.
    * @param _result An instance of `Result`.
@@ -515,6 +703,17 @@ library Witnet {
     return _result.cborValue.decodeUint64Array();
   }
 
+  /**
+   * @notice Decode an array of values of any type from a Result as a `CBOR.Value[]` value.
+   * @dev The items can be further decoded with the `CBOR` library, and they can be arrays or maps themselves.
+   * @param _result An instance of Result.
+   * @return The `CBOR.Value[]` decoded from the Result.
+   */
+  function asArray(Result memory _result) external pure returns(CBOR.Value[] memory) {
+    require(_result.success, "Tried to read `CBOR.Value[]` value from errored Result");
+    return _result.cborValue.decodeArray();
+  }
+
   /**
    * @notice Decode a boolean value from a Result as an `bool` value.
    * @param _result An instance of Result.
@@ -548,6 +747,29 @@ library Witnet {
     return _result.cborValue.decodeFixed16Array();
   }
 
+  /**
+   * @notice Decode a half, single or double-precision numeric value from a Result as a fixed point `int256` value.
+   * @dev The output of this method is `10 ^ _decimals` times the actual value, truncated towards zero.
+   * @param _result An instance of Result.
+   * @param _decimals The number of decimal positions of the output.
+   * @return The `int256` decoded from the Result.
+   */
+  function asFixed64(Result memory _result, uint8 _decimals) external pure returns(int256) {
+    require(_result.success, "Tried to read `fixed64` value from errored Result");
+    return _result.cborValue.decodeFixed64(_decimals);
+  }
+
+  /**
+   * @notice Decode an array of half, single or double-precision values from a Result as a fixed point `int256[]` value.
+   * @param _result An instance of Result.
+   * @param _decimals The number of decimal positions of the output.
+   * @return The `int256[]` decoded from the Result.
+   */
+  function asFixed64Array(Result memory _result, uint8 _decimals) external pure returns(int256[] memory) {
+    require(_result.success, "Tried to read `fixed64[]` value from errored Result");
+    return _result.cborValue.decodeFixed64Array(_decimals);
+  }
+
   /**
    * @notice Decode a integer numeric value from a Result as an `int128` value.
    * @param _result An instance of Result.
@@ -568,6 +790,38 @@ library Witnet {
     return _result.cborValue.decodeInt128Array();
   }
 
+  /**
+   * @notice Decode an integer or bignum numeric value from a Result as an `int256` value.
+   * @param _result An instance of Result.
+   * @return The `int256` decoded from the Result.
+   */
+  function asInt256(Result memory _result) external pure returns(int256) {
+    require(_result.success, "Tried to read `int256` value from errored Result");
+    return _result.cborValue.decodeInt256();
+  }
+
+  /**
+   * @notice Decode an array of integer or bignum numeric values from a Result as an `int256[]` value.
+   * @param _result An instance of Result.
+   * @return The `int256[]` decoded from the Result.
+   */
+  function asInt256Array(Result memory _result) external pure returns(int256[] memory) {
+    require(_result.success, "Tried to read `int256[]` value from errored Result");
+    return _result.cborValue.decodeInt256Array();
+  }
+
+  /**
+   * @notice Decode a map from a Result as two `CBOR.Value[]` values holding its keys and values.
+   * @dev The key at each position corresponds to the value at the same position. Both can be further decoded with the
+   * `CBOR` library, and values can be arrays or maps themselves.
+   * @param _result An instance of Result.
+   * @return The keys and the values of the map decoded from the Result.
+   */
+  function asMap(Result memory _result) external pure returns(CBOR.Value[] memory, CBOR.Value[] memory) {
+    require(_result.success, "Tried to read map value from errored Result");
+    return _result.cborValue.decodeMap();
+  }
+
   /**
    * @notice Decode a string value from a Result as a `string` value.
    * @param _result An instance of Result.
@@ -608,6 +862,26 @@ library Witnet {
     return _result.cborValue.decodeUint64Array();
   }
 
+  /**
+   * @notice Decode a natural or positive bignum numeric value from a Result as a `uint256` value.
+   * @param _result An instance of Result.
+   * @return The `uint256` decoded from the Result.
+   */
+  function asUint256(Result memory _result) external pure returns(uint256) {
+    require(_result.success, "Tried to read `uint256` value from errored Result");
+    return _result.cborValue.decodeUint256();
+  }
+
+  /**
+   * @notice Decode an array of natural or positive bignum numeric values from a Result as a `uint256[]` value.
+   * @param _result An instance of Result.
+   * @return The `uint256[]` decoded from the Result.
+   */
+  function asUint256Array(Result memory _result) external pure returns(uint256[] memory) {
+    require(_result.success, "Tried to read `uint256[]` value from errored Result");
+    return _result.cborValue.decodeUint256Array();
+  }
+
   /**
    * @notice Convert a stage index number into the name of the matching Witnet request stage.
    * @param _stageIndex A `uint64` identifying the index of one of the Witnet request stages.
@@ -625,6 +899,36 @@ library Witnet {
     }
   }
 
+  /**
+   * @notice Decode the error code and the arguments of an errored `Result`, making sure that the error belongs to the
+   * expected family and that it comes with enough arguments.
+   * @param _result An instance of `Result`.
+   * @param _family The member of `ErrorFamilies` the error is expected to belong to.
+   * @param _minArgs How many arguments the error is expected to come with, at least.
+   * @return The error code, and the items of the error (including the error code itself) as `CBOR.Value[]`.
+   */
+  function errorArgs(Result memory _result, ErrorFamilies _family, uint256 _minArgs)
+    private pure returns(ErrorCodes, CBOR.Value[] memory)
+  {
+    require(!_result.success, "Tried to read error from successful Result");
+    CBOR.Value[] memory error = _result.cborValue.decodeArray();
+    ErrorCodes errorCode = error.length == 0 ? ErrorCodes.Unknown : supportedErrorOrElseUnknown(error[0].decodeUint64());
+    require(errorFamily(errorCode) == _family, "Tried to read error from a Result with an error of another family");
+    require(error.length > _minArgs, "Not enough arguments in error");
+    return (errorCode, error);
+  }
+
+  /**
+   * @notice Convert a ratio encoded as a CBOR float into basis points, rounding to the nearest one.
+   * @param _cborValue An instance of `CBOR.Value` holding a float between 0 and 1.
+   * @return The ratio in basis points.
+   */
+  function ratioAsBasisPoints(CBOR.Value memory _cborValue) private pure returns(uint64) {
+    int256 ratio = _cborValue.decodeFixed64(8);
+    require(ratio >= 0 && ratio <= 1e8, "Tried to read a ratio out of the [0, 1] range");
+    return uint64(uint256((ratio + 5000) / 10000));
+  }
+
   /**
    * @notice Get an `ErrorCodes` item from its `uint64` discriminant.
    * @param _discriminant The numeric identifier of an error.
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+
+
+
+/**
+ * @title Witnet Callback Interface
+ * @notice Interface of the contracts that can be called back by a Witnet Request Board (WRB) when the result of
+ * a data request they posted is reported.
+ * @author Witnet Foundation
+ */
+interface WitnetCallbackInterface {
+
+  /// @dev Delivers the result of a data request to the contract that posted it.
+  /// @param _id The unique identifier of the data request.
+  /// @param _result The result itself as CBOR-encoded bytes.
+  function witnetCallback(uint256 _id, bytes calldata _result) external;
+}
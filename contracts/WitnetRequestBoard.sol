@@ -4,6 +4,9 @@ pragma solidity >=0.7.0 <0.9.0;
 
 
 import "./WitnetRequestBoardInterface.sol";
+import "./WitnetRequestBoardCommittee.sol";
+import "./WitnetRequestBoardLib.sol";
+import "./BlockRelayInterface.sol";
 import "./Request.sol";
 
 /**
@@ -13,37 +16,123 @@ import "./Request.sol";
  * The result of the requests will be posted back to this contract by the bridge nodes too.
  * @author Witnet Foundation
  */
-contract WitnetRequestBoard is WitnetRequestBoardInterface {
-    // TODO: update max report result gas value
-    uint256 public constant ESTIMATED_REPORT_RESULT_GAS = 102496;
+contract WitnetRequestBoard is WitnetRequestBoardCommittee {
+    using WitnetRequestBoardLib for WitnetRequestBoardLib.PendingList;
 
-    struct DataRequest {
-        address requestAddress;
-        uint256 drOutputHash;
-        uint256 reward;
-        uint256 gasPrice;
-        bytes result;
-        uint256 drTxHash;
-    }
+    // Gas spent by the most expensive result report, i.e. the first one credited to a member, not including the one-off
+    // cost of about 20,000 gas of recording the first reward of a staked reporter
+    uint256 public constant ESTIMATED_REPORT_RESULT_GAS = 106496;
+
+    // Size in bytes of the largest result covered by `ESTIMATED_REPORT_RESULT_GAS`, also used for requests that do not
+    // declare their maximum result size
+    uint256 public constant DEFAULT_MAX_RESULT_SIZE = 32;
+
+    // Gas spent by storing each 32 bytes of result beyond `DEFAULT_MAX_RESULT_SIZE`
+    uint256 public constant ESTIMATED_REPORT_RESULT_WORD_GAS = 21400;
+
+    // Default upper bound of the maximum result size that requesters can declare
+    uint256 public constant DEFAULT_RESULT_SIZE_LIMIT = 2048;
+
+    // `BridgeOversizedResult` error encoded as a result, which replaces results exceeding the declared maximum size
+    bytes internal constant OVERSIZED_RESULT = hex"D8278118E2";
 
-    // Owner of the Witnet Request Board
-    address public owner;
+    // Gas spent by a batch of result reports regardless of its size, i.e. base transaction cost and reward transfer
+    uint256 public constant ESTIMATED_REPORT_RESULT_BATCH_GAS = 51200;
 
-    // Map of addresses to a bool, true if they are committee members
-    mapping(address => bool) public isInCommittee;
+    // Gas spent by each of the results in a batch of result reports, so that a batch of one is estimated as a report
+    uint256 public constant ESTIMATED_REPORT_RESULT_BATCH_ITEM_GAS = 55296;
+
+    // Default number of blocks after which an unresolved request can be cancelled by its requester
+    uint256 public constant DEFAULT_REQUEST_TIMEOUT = 40320;
+
+    // Gas spent by a settled result report that cannot be measured on-chain, i.e. base transaction cost, checks and the
+    // crediting of the reward and the refund
+    uint256 public constant SETTLEMENT_REPORT_GAS_OVERHEAD = 80000;
+
+    // Gas spent by refunding the unused reward of each of the results in a settled batch of result reports
+    uint256 public constant SETTLEMENT_REFUND_GAS = 25000;
+
+    // Gas spent by each byte of result in the transaction data of a result report
+    uint256 internal constant RESULT_BYTE_GAS = 16;
 
     // Witnet Requests within the board
-    DataRequest[] public requests;
+    WitnetRequestBoardLib.DataRequest[] public requests;
 
-    // Only the committee defined when deploying the contract should be able to report results
-    modifier isAuthorized() {
-        require(isInCommittee[msg.sender] == true, "Sender not authorized");
-        _;
-    }
+    // Number of blocks that new requests have to be resolved before they can be cancelled
+    uint256 public requestTimeout = DEFAULT_REQUEST_TIMEOUT;
+
+    // Largest maximum result size that requesters can declare
+    uint256 public resultSizeLimit = DEFAULT_RESULT_SIZE_LIMIT;
+
+    // Requests that are pending to be reported, i.e. neither reported nor cancelled
+    WitnetRequestBoardLib.PendingList internal pending;
+
+    // Whether reporters are paid the gas they actually spend instead of the whole reward
+    bool public settlementEnabled;
+
+    // Premium paid to reporters on top of the gas they spend when settlement is enabled, in basis points
+    uint256 public settlementPremium;
+
+    // Whether requests are merged into a pending request with the same output hash instead of being reported apart
+    bool public requestSharingEnabled;
+
+    // Map of output hashes to the last pending request that new requests with the same hash may be merged into
+    mapping(uint256 => uint256) internal sharableRequests;
+
+    // Rewards and refunds credited to each address, which can be withdrawn through `withdraw`
+    mapping(address => uint256) internal balances;
+
+    // Relay of Witnet blocks against which results are verified, which is not set by default
+    BlockRelayInterface public blockRelay;
+
+    // Map of request ids to the stakes of the results reported during challenge periods
+    mapping(uint256 => WitnetRequestBoardLib.Challenge) internal challenges;
+
+    // ERC-20 tokens that new requests can be rewarded in
+    mapping(address => bool) public allowedTokens;
+
+    // Exchange rates of the ERC-20 tokens that requests are rewarded in, as the amount of tokens worth 1 ether
+    mapping(address => uint256) public tokenRates;
+
+    // Map of request ids to the ERC-20 token they are rewarded in and the address they are refunded to
+    mapping(uint256 => WitnetRequestBoardLib.RequestAccounts) internal requestAccounts;
+
+    // Rewards and refunds in ERC-20 tokens credited to each address, which can be withdrawn through `withdrawToken`
+    mapping(address => mapping(address => uint256)) internal tokenBalances;
+
+    // Event emitted when a reward or a refund is credited to an address
+    event Credited(address indexed _account, uint256 _amount);
+
+    // Event emitted when an address withdraws its balance
+    event Withdrawn(address indexed _account, uint256 _amount);
+
+    // Event emitted when a reward or a refund in an ERC-20 token is credited to an address
+    event CreditedToken(address indexed _token, address indexed _account, uint256 _amount);
+
+    // Event emitted when an address withdraws its balance of an ERC-20 token
+    event WithdrawnToken(address indexed _token, address indexed _account, uint256 _amount);
+
+    // Event emitted when the unused reward of a request is refunded to its requester
+    event RefundedReward(uint256 _id, address indexed _requester, uint256 _amount);
+
+    // Event emitted when a newly posted request is merged into a pending request with the same output hash
+    event SharedRequest(uint256 indexed _id, uint256 indexed _sharedId);
+
+    // Event emitted when the callback of a request reverts or runs out of gas
+    event FailedCallback(uint256 _id);
+
+    // Event emitted when a result is skipped from a batch of result reports
+    event BatchReportError(uint256 _id, string _reason);
+
+    // Event emitted when a result is disputed during its challenge period
+    event DisputedResult(uint256 indexed _id, address indexed _challenger);
+
+    // Event emitted when a dispute is resolved, either upholding or discarding the result
+    event ResolvedDispute(uint256 indexed _id, bool _upheld);
 
     // Ensures the result has not been reported yet
     modifier resultNotIncluded(uint256 _id) {
-        require(requests[_id].result.length == 0, "Result already included");
+        _checkResultNotIncluded(_id);
         _;
     }
 
@@ -57,21 +146,26 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
         _;
     }
 
+    // Ensures the request has not been cancelled by its requester
+    modifier notCancelled(uint256 _id) {
+        _checkNotCancelled(_id);
+        _;
+    }
+
     // Ensures the request id exists
     modifier validId(uint256 _id) {
-        require(requests.length > _id, "Id not found");
+        _checkValidId(_id);
         _;
     }
 
     /// @notice Initilizes a centralized Witnet Request Board with an authorized committee.
     /// @param _committee list of authorized addresses.
     constructor(address[] memory _committee) {
-        owner = msg.sender;
         for (uint256 i = 0; i < _committee.length; i++) {
-            isInCommittee[_committee[i]] = true;
+            _addCommitteeMember(_committee[i]);
         }
         // Insert an empty request so as to initialize the requests array with length > 0
-        DataRequest memory request;
+        WitnetRequestBoardLib.DataRequest memory request;
         requests.push(request);
     }
 
@@ -82,58 +176,98 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
         external
         payable
         override
+        whenNotPaused
         returns (uint256)
     {
-        // Checks the tally reward is covering gas cost
-        uint256 minResultReward = tx.gasprice * ESTIMATED_REPORT_RESULT_GAS;
-        require(
-            msg.value >= minResultReward,
-            "Result reward should cover gas expenses. Check the estimateGasCost method."
-        );
-
-        uint256 _id = requests.length;
+        return _postDataRequest(_requestAddress, 0, DEFAULT_MAX_RESULT_SIZE, address(0), msg.value);
+    }
 
-        DataRequest memory request;
-        request.requestAddress = _requestAddress;
-        request.reward = msg.value;
-        Request requestContract = Request(request.requestAddress);
-        request.drOutputHash = computeDrOutputHash(requestContract.bytecode());
-        request.gasPrice = tx.gasprice;
-        // Push the new request into the contract state
-        requests.push(request);
+    /// @dev Posts a data request into the WRB whose result may take up to `_maxResultSize` bytes. The reward, which equals
+    /// to msg.value, must cover the gas spent in storing a result of that size. Longer results are replaced by a
+    /// `BridgeOversizedResult` error.
+    /// @param _requestAddress The request contract address which includes the request bytecode.
+    /// @param _maxResultSize The maximum size in bytes of the result.
+    /// @return The unique identifier of the data request.
+    function postDataRequestWithMaxResultSize(address _requestAddress, uint256 _maxResultSize)
+        external
+        payable
+        override
+        whenNotPaused
+        returns (uint256)
+    {
+        return _postDataRequest(_requestAddress, 0, _maxResultSize, address(0), msg.value);
+    }
 
-        // Let observers know that a new request has been posted
-        emit PostedRequest(_id);
+    /// @dev Posts a data request into the WRB, asking for its result to be delivered back to the sender through its `witnetCallback` function.
+    /// @param _requestAddress The request contract address which includes the request bytecode.
+    /// @param _callbackGasLimit The maximum amount of gas to be spent in the callback.
+    /// @return The unique identifier of the data request.
+    function postDataRequestWithCallback(address _requestAddress, uint256 _callbackGasLimit)
+        external
+        payable
+        override
+        whenNotPaused
+        returns (uint256)
+    {
+        require(_callbackGasLimit > 0, "Callback gas limit cannot be zero");
+        return _postDataRequest(_requestAddress, _callbackGasLimit, DEFAULT_MAX_RESULT_SIZE, address(0), msg.value);
+    }
 
-        return _id;
+    /// @dev Posts a data request into the WRB with a reward in an allowed ERC-20 token, which is pulled from the sender
+    /// through `transferFrom`. The reporter is paid in that very token, and so are the refunds to the requester.
+    /// @param _requestAddress The request contract address which includes the request bytecode.
+    /// @param _token The address of the ERC-20 token.
+    /// @param _reward The reward in tokens, which must cover the gas cost as estimated by `estimateGasCostInToken`.
+    /// @return The unique identifier of the data request.
+    function postDataRequestWithToken(address _requestAddress, address _token, uint256 _reward)
+        external
+        override
+        whenNotPaused
+        returns (uint256)
+    {
+        require(allowedTokens[_token], "The token is not allowed");
+        WitnetRequestBoardLib.pullTokens(_token, _reward);
+        return _postDataRequest(_requestAddress, 0, DEFAULT_MAX_RESULT_SIZE, _token, _reward);
     }
 
-    /// @dev Increments the reward of a data request by adding the transaction value to it.
+    /// @dev Increments the reward of a data request by adding the transaction value to it. Upgrading a merged request
+    /// upgrades the request it is shared with too.
     /// @param _id The unique identifier of the data request.
     function upgradeDataRequest(uint256 _id)
         external
         payable
         override
+        whenNotPaused
+        validId(_id)
         resultNotIncluded(_id)
+        notCancelled(_id)
     {
-        uint256 newReward = requests[_id].reward + msg.value;
-
-        // If gas price is increased, then check if new rewards cover gas costs
-        if (tx.gasprice > requests[_id].gasPrice) {
-            // Checks the reward is covering gas cost
-            uint256 minResultReward = tx.gasprice * ESTIMATED_REPORT_RESULT_GAS;
-            require(
-                newReward >= minResultReward,
-                "Result reward should cover gas expenses. Check the estimateGasCost method."
-            );
-            requests[_id].gasPrice = tx.gasprice;
-        }
+        require(requestAccounts[_id].rewardToken == address(0), "The request is rewarded in tokens");
+        _upgradeDataRequest(_id, address(0), msg.value);
+    }
 
-        // Update data request reward
-        requests[_id].reward = newReward;
+    /// @dev Increments the reward of a data request rewarded in an ERC-20 token, pulling the tokens from the sender
+    /// through `transferFrom`.
+    /// @param _id The unique identifier of the data request.
+    /// @param _amount The amount of tokens to be added to the reward.
+    function upgradeDataRequestWithToken(uint256 _id, uint256 _amount)
+        external
+        override
+        whenNotPaused
+        validId(_id)
+        resultNotIncluded(_id)
+        notCancelled(_id)
+    {
+        address token = requestAccounts[_id].rewardToken;
+        require(token != address(0), "The request is not rewarded in tokens");
+        WitnetRequestBoardLib.pullTokens(token, _amount);
+        _upgradeDataRequest(_id, token, _amount);
     }
 
-    /// @dev Reports the result of a data request in Witnet.
+    /// @dev Reports the result of a data request in Witnet. During challenge periods, the reporter has to put the
+    /// challenge bond at stake as msg.value, and the reward is held along with the bond until the result is final.
+    /// `PostedResult` is emitted right away, but the result cannot be read nor is delivered through the callback of
+    /// the request until then, for which the reporter is paid the callback gas limit in advance when settling.
     /// @param _id The unique identifier of the data request.
     /// @param _drTxHash The unique hash of the request.
     /// @param _result The result itself as bytes.
@@ -141,17 +275,188 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
         uint256 _id,
         uint256 _drTxHash,
         bytes calldata _result
-    ) external isAuthorized() validId(_id) resultNotIncluded(_id) {
-        require(_drTxHash != 0, "Data request transaction cannot be zero");
-        // Ensures the result byes do not have zero length
-        // This would not be a valid encoding with CBOR and could trigger a reentrancy attack
-        require(_result.length != 0, "Result has zero length");
+    ) external payable isAuthorized() {
+        string memory error = _checkReport(_id, _drTxHash, _result.length);
+        require(bytes(error).length == 0, error);
+        uint256 period = challengePeriod;
+        require(msg.value == (period > 0 ? challengeBond : 0), "The value must equal the challenge bond");
+        // Results are not accepted until the report threshold of committee members agree on them
+        if (reportThreshold > 1 && !_agreeOnResult(_id, _drTxHash, _result)) {
+            return;
+        }
 
-        requests[_id].drTxHash = _drTxHash;
-        requests[_id].result = _result;
+        // The pending requests index is updated before measuring the gas spent by settled reports, as the storage
+        // refunds of the update make up for most of its cost
+        pending.removePending(_id);
+        address token = requestAccounts[_id].rewardToken;
+        uint256 gasStart = gasleft();
+        uint256 reward = _reportResult(_id, _drTxHash, _result, period == 0);
+        if (settlementEnabled) {
+            // The refund is held along with the reward during challenge periods, as the result may be discarded
+            reward = _settleReward(
+                _id,
+                token,
+                gasStart - gasleft() + SETTLEMENT_REPORT_GAS_OVERHEAD + _result.length * RESULT_BYTE_GAS
+                    + (period > 0 ? requests[_id].callbackGasLimit : 0),
+                period > 0
+            );
+        }
+        if (reportThreshold > 1) {
+            reward = _shareReward(_id, _drTxHash, _result, token, reward);
+        }
+        if (period > 0) {
+            challenges[_id] = WitnetRequestBoardLib.Challenge(
+                block.number + period,
+                msg.sender,
+                reward,
+                msg.value,
+                address(0)
+            );
+        } else {
+            _payReward(token, msg.sender, reward);
+        }
+    }
+
+    /// @dev Reports the results of multiple data requests in Witnet, skipping the ones that cannot be reported.
+    /// The rewards in ether of all the reported results are credited at once. When settlement is enabled, each result
+    /// is rewarded with the gas it spends plus its share of the gas spent by the whole batch. Results cannot be
+    /// reported in batches during challenge periods, as each of them needs its own bond.
+    /// @param _ids The unique identifiers of the data requests.
+    /// @param _drTxHashes The unique hashes of the requests.
+    /// @param _results The results themselves as bytes.
+    function reportResultBatch(
+        uint256[] calldata _ids,
+        uint256[] calldata _drTxHashes,
+        bytes[] calldata _results
+    ) external isAuthorized() {
+        require(
+            _ids.length == _drTxHashes.length && _ids.length == _results.length,
+            "Batch arrays must have the same length"
+        );
+        require(challengePeriod == 0, "Results cannot be reported in batches during challenge periods");
+
+        bool consensus = reportThreshold > 1;
+        uint256 batchReward;
+        for (uint256 i = 0; i < _ids.length; i++) {
+            uint256 id = _ids[i];
+            string memory error = _checkReport(id, _drTxHashes[i], _results[i].length);
+            if (bytes(error).length != 0) {
+                emit BatchReportError(id, error);
+            } else if (consensus && _hasReported(id)) {
+                emit BatchReportError(id, "Sender has already reported the result");
+            } else if (!consensus || _agreeOnResult(id, _drTxHashes[i], _results[i])) {
+                batchReward += _reportBatchResult(
+                    id,
+                    _drTxHashes[i],
+                    _results[i],
+                    ESTIMATED_REPORT_RESULT_BATCH_GAS / _ids.length,
+                    consensus
+                );
+            }
+        }
+
+        if (batchReward > 0) {
+            _payReward(address(0), msg.sender, batchReward);
+        }
+    }
+
+    /// @dev Cancels an unresolved data request once its deadline has passed, crediting the reward back to its requester.
+    /// Cancelling a request that other requests have been merged into only refunds the contribution of its requester,
+    /// as the first of those requests that is still pending takes over the rest of the reward and the other ones.
+    /// @param _id The unique identifier of the data request.
+    /// @return The amount of reward that has been refunded.
+    function cancelDataRequest(uint256 _id)
+        external
+        override
+        validId(_id)
+        resultNotIncluded(_id)
+        notCancelled(_id)
+        returns (uint256)
+    {
+        uint256 refund = WitnetRequestBoardLib.cancelDataRequest(requests, pending, sharableRequests, _id);
+        _creditReward(requestAccounts[_id].rewardToken, _refundRecipient(_id), refund);
+        return refund;
+    }
 
-        emit PostedResult(_id);
-        payable(msg.sender).transfer(requests[_id].reward);
+    /// @dev Sets the address that the refunds of a data request are credited to instead of its requester, so that
+    /// contracts posting requests on behalf of others, like the proxy, do not need to hold and forward them.
+    /// @param _id The unique identifier of the data request.
+    /// @param _refundAddress The address to credit refunds to, or the zero address for the requester itself.
+    function setRefundAddress(uint256 _id, address _refundAddress) external override validId(_id) {
+        require(requests[_id].requester == msg.sender, "Sender is not the requester");
+        requestAccounts[_id].refundAddress = _refundAddress;
+    }
+
+    /// @dev Disputes the result of a data request during its challenge period, putting at stake the same bond as its
+    /// reporter as msg.value. The result is not final until the dispute is resolved.
+    /// @param _id The unique identifier of the data request.
+    function disputeResult(uint256 _id) external payable validId(_id) {
+        address reporter = WitnetRequestBoardLib.disputeResult(challenges, _resolveShared(_id), msg.value);
+        stakes[reporter].disputes++;
+    }
+
+    /// @dev Resolves the dispute on the result of a data request, crediting both bonds to the winner. An upheld result
+    /// becomes final and its reporter gets the held reward too. Otherwise, the result is discarded and the request goes
+    /// back to pending with its whole reward, so that it can be reported again.
+    /// @param _id The unique identifier of the data request.
+    /// @param _upheld Whether the result is upheld.
+    function resolveDispute(uint256 _id, bool _upheld) external validId(_id) onlyRole(COMMITTEE_MANAGER_ROLE) {
+        uint256 id = _resolveShared(_id);
+        WitnetRequestBoardLib.Challenge memory challenge = WitnetRequestBoardLib.resolveDispute(
+            requests,
+            pending,
+            challenges,
+            balances,
+            id,
+            _upheld
+        );
+        stakes[challenge.reporter].disputes--;
+        if (_upheld) {
+            _finalizeResult(id, challenge);
+        } else {
+            _slash(challenge.reporter, minimumStake, challenge.challenger);
+        }
+    }
+
+    /// @dev Credits the reward and the bond held for the reporter of a data request once its result is final, and
+    /// delivers the result through the callback of the request, if any.
+    /// @param _id The unique identifier of the data request.
+    function releaseReward(uint256 _id) external validId(_id) {
+        uint256 id = _resolveShared(_id);
+        WitnetRequestBoardLib.Challenge memory challenge = WitnetRequestBoardLib.releaseReward(
+            challenges,
+            balances,
+            id
+        );
+        _finalizeResult(id, challenge);
+    }
+
+    /// @dev Withdraws the whole balance of rewards and refunds credited to the sender.
+    /// @return The amount that has been withdrawn.
+    function withdraw() external override returns (uint256) {
+        return WitnetRequestBoardLib.withdraw(balances);
+    }
+
+    /// @dev Withdraws the whole balance of rewards and refunds in an ERC-20 token credited to the sender.
+    /// @param _token The address of the ERC-20 token.
+    /// @return The amount of tokens that has been withdrawn.
+    function withdrawToken(address _token) external override returns (uint256) {
+        return WitnetRequestBoardLib.withdrawToken(tokenBalances, _token);
+    }
+
+    /// @dev Retrieves the balance of rewards and refunds credited to an address.
+    /// @param _account The address whose balance is retrieved.
+    /// @return The balance that the address can withdraw.
+    function balanceOf(address _account) external view override returns (uint256) {
+        return balances[_account];
+    }
+
+    /// @dev Retrieves the balance of rewards and refunds in an ERC-20 token credited to an address.
+    /// @param _token The address of the ERC-20 token.
+    /// @param _account The address whose balance is retrieved.
+    /// @return The balance of tokens that the address can withdraw.
+    function tokenBalanceOf(address _token, address _account) external view override returns (uint256) {
+        return tokenBalances[_token][_account];
     }
 
     /// @dev Retrieves the bytes of the serialization of one data request from the WRB.
@@ -168,7 +473,8 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
         return requestContract.bytecode();
     }
 
-    /// @dev Retrieves the result (if already available) of one data request from the WRB.
+    /// @dev Retrieves the result (if already available) of one data request from the WRB, which is the result of the
+    /// request it is shared with for merged requests.
     /// @param _id The unique identifier of the data request.
     /// @return The result of the DR.
     function readResult(uint256 _id)
@@ -178,8 +484,7 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
         validId(_id)
         returns (bytes memory)
     {
-        require(requests[_id].drTxHash != 0, "The request has not yet been resolved");
-        return requests[_id].result;
+        return WitnetRequestBoardLib.readResult(requests, challenges, _id);
     }
 
     /// @dev Retrieves the gas price set for a specific DR ID.
@@ -194,6 +499,30 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
         return requests[_id].gasPrice;
     }
 
+    /// @dev Retrieves the ERC-20 token that a specific DR ID is rewarded in.
+    /// @param _id The unique identifier of the data request.
+    /// @return The address of the token, or the zero address if the data request is rewarded in ether.
+    function readRewardToken(uint256 _id) external view override validId(_id) returns (address) {
+        return requestAccounts[_id].rewardToken;
+    }
+
+    /// @dev Checks whether the reported result of a data request has been proven to be included in a Witnet block
+    /// through the block relay, which is never the case if no block relay has been set.
+    /// @param _id The unique identifier of the data request.
+    /// @return Whether the result has been verified.
+    function isResultVerified(uint256 _id) external view override validId(_id) returns (bool) {
+        return WitnetRequestBoardLib.isResultVerified(requests[_resolveShared(_id)], blockRelay);
+    }
+
+    /// @dev Checks whether the result of a data request has been reported and can no longer be disputed, i.e. its
+    /// challenge period has passed without disputes or its dispute has been resolved upholding it.
+    /// @param _id The unique identifier of the data request.
+    /// @return Whether the result is final.
+    function isResultFinal(uint256 _id) external view override validId(_id) returns (bool) {
+        uint256 id = _resolveShared(_id);
+        return requests[id].drTxHash != 0 && WitnetRequestBoardLib.isFinal(challenges[id]);
+    }
+
     /// @dev Retrieves hash of the data request transaction in Witnet.
     /// @param _id The unique identifier of the data request.
     /// @return The hash of the DataRequest transaction in Witnet.
@@ -204,7 +533,111 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
         validId(_id)
         returns (uint256)
     {
-        return requests[_id].drTxHash;
+        return requests[_resolveShared(_id)].drTxHash;
+    }
+
+    /// @dev Retrieves the address that posted a specific DR ID, which is the proxy for requests posted through it.
+    /// @param _id The unique identifier of the data request.
+    /// @return The address of the requester.
+    function readRequester(uint256 _id)
+        external
+        view
+        validId(_id)
+        returns (address)
+    {
+        return requests[_id].requester;
+    }
+
+    /// @dev Retrieves the number of committee members that agreed on the result of a data request, or on the most
+    /// reported result while it has not been resolved yet. Results reported while there was no report threshold count
+    /// as agreed by their single reporter.
+    /// @param _id The unique identifier of the data request.
+    /// @return The number of agreeing members.
+    function readAgreements(uint256 _id) external view override validId(_id) returns (uint256) {
+        uint256 id = _resolveShared(_id);
+        uint256 agreements = rounds[id].agreements;
+        return agreements == 0 && requests[id].drTxHash != 0 ? 1 : agreements;
+    }
+
+    /// @dev Retrieves the id of the request that a specific DR ID has been merged into.
+    /// @param _id The unique identifier of the data request.
+    /// @return The id of the shared request, or zero if the data request has not been merged.
+    function readSharedId(uint256 _id)
+        external
+        view
+        validId(_id)
+        returns (uint256)
+    {
+        return requests[_id].sharedId;
+    }
+
+    /// @dev Retrieves when a specific DR ID was posted.
+    /// @param _id The unique identifier of the data request.
+    /// @return _blockNumber The number of the block in which the data request was posted.
+    /// @return _timestamp The timestamp of the block in which the data request was posted.
+    function readPostedAt(uint256 _id)
+        external
+        view
+        validId(_id)
+        returns (uint256 _blockNumber, uint256 _timestamp)
+    {
+        return (requests[_id].postedBlock, requests[_id].postedTimestamp);
+    }
+
+    /// @dev Retrieves the stage of the lifecycle of a DR, which is `Unknown` for ids that have not been posted.
+    /// @param _id The unique identifier of the data request.
+    /// @return The status of the DR.
+    function getRequestStatus(uint256 _id) external view override returns (RequestStatus) {
+        // The first request is an empty placeholder
+        if (_id == 0 || _id >= requests.length) {
+            return RequestStatus.Unknown;
+        }
+        if (requests[_id].cancelled) {
+            return RequestStatus.Cancelled;
+        }
+        if (requests[_resolveShared(_id)].drTxHash != 0) {
+            return RequestStatus.Reported;
+        }
+        return RequestStatus.Posted;
+    }
+
+    /// @dev Retrieves the number of DRs that are pending to be reported, i.e. neither reported nor cancelled.
+    /// @return The number of pending DRs.
+    function pendingRequestsCount() external view override returns (uint256) {
+        return pending.count;
+    }
+
+    /// @dev Retrieves a page of the DRs that are pending to be reported. Sorting by reward only covers the oldest
+    /// `MAX_PENDING_SORTED_BY_REWARD` pending DRs, as defined by `WitnetRequestBoardLib`, so as to bound its gas cost.
+    /// @param _offset The number of pending DRs to skip.
+    /// @param _limit The maximum number of pending DRs to retrieve.
+    /// @param _byReward Whether to sort the pending DRs by descending reward instead of ascending id.
+    /// @return _page The page of pending DRs.
+    function getPendingRequests(uint256 _offset, uint256 _limit, bool _byReward)
+        external
+        view
+        override
+        returns (PendingRequest[] memory)
+    {
+        return WitnetRequestBoardLib.getPendingRequests(
+            requests,
+            pending,
+            _offset,
+            _limit,
+            _byReward
+        );
+    }
+
+    /// @dev Retrieves the block number after which a specific DR ID can be cancelled.
+    /// @param _id The unique identifier of the data request.
+    /// @return The deadline of the data request.
+    function readDeadline(uint256 _id)
+        external
+        view
+        validId(_id)
+        returns (uint256)
+    {
+        return requests[_id].deadline;
     }
 
     /// @dev Returns the number of data requests in the WRB.
@@ -213,6 +646,53 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
         return requests.length;
     }
 
+    /// @dev Sets the number of blocks that new requests have to be resolved before they can be cancelled.
+    /// @param _requestTimeout The number of blocks.
+    function setRequestTimeout(uint256 _requestTimeout) external onlyOwner {
+        requestTimeout = _requestTimeout;
+    }
+
+    /// @dev Sets the largest maximum result size that requesters can declare.
+    /// @param _resultSizeLimit The size in bytes.
+    function setResultSizeLimit(uint256 _resultSizeLimit) external onlyOwner {
+        require(_resultSizeLimit >= DEFAULT_MAX_RESULT_SIZE, "Result size limit cannot be below the default");
+        resultSizeLimit = _resultSizeLimit;
+    }
+
+    /// @dev Enables or disables the settlement of rewards, which pays reporters the gas they actually spend at the gas
+    /// price of the request plus a premium, and refunds the rest of the reward to the requester.
+    /// @param _enabled Whether rewards are settled.
+    /// @param _premium The premium paid on top of the gas cost, in basis points.
+    function setSettlement(bool _enabled, uint256 _premium) external onlyOwner {
+        settlementEnabled = _enabled;
+        settlementPremium = _premium;
+    }
+
+    /// @dev Enables or disables the merging of newly posted requests into a pending request with the same output hash,
+    /// callback gas limit and maximum result size, so that a single report resolves all of them.
+    /// @param _enabled Whether requests are shared.
+    function setRequestSharing(bool _enabled) external onlyOwner {
+        requestSharingEnabled = _enabled;
+    }
+
+    /// @dev Sets the relay of Witnet blocks against which reported results are verified.
+    /// @param _blockRelay The address of the block relay, or the zero address for not verifying results.
+    function setBlockRelay(address _blockRelay) external onlyOwner {
+        blockRelay = BlockRelayInterface(_blockRelay);
+    }
+
+    /// @dev Allows or disallows rewarding new requests in an ERC-20 token, and sets its exchange rate. Requests that are
+    /// already rewarded in a disallowed token keep being paid in it at the last exchange rate.
+    /// @param _token The address of the ERC-20 token.
+    /// @param _allowed Whether new requests can be rewarded in the token.
+    /// @param _rate The amount of tokens worth 1 ether, in the smallest unit of the token.
+    function setRewardToken(address _token, bool _allowed, uint256 _rate) external onlyOwner {
+        require(_token != address(0), "The token cannot be the zero address");
+        require(_rate > 0, "The exchange rate cannot be zero");
+        allowedTokens[_token] = _allowed;
+        tokenRates[_token] = _rate;
+    }
+
     /// @dev Verifies if the contract is upgradable.
     /// @return true if the contract upgradable.
     function isUpgradable(address _address)
@@ -221,7 +701,7 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
         override
         returns (bool)
     {
-        if (_address == owner) {
+        if (_address == owner()) {
             return true;
         }
         return false;
@@ -238,7 +718,65 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
     {
         return _gasPrice * ESTIMATED_REPORT_RESULT_GAS;
     }
-    
+
+    /// @dev Estimate the amount of reward in an ERC-20 token we need to insert for a given gas price, according to the
+    /// exchange rate of the token.
+    /// @param _gasPrice The gas price for which we need to calculate the reward.
+    /// @param _token The address of the ERC-20 token.
+    /// @return The reward in tokens to be included for the given gas price.
+    function estimateGasCostInToken(uint256 _gasPrice, address _token)
+        external
+        view
+        override
+        returns (uint256)
+    {
+        require(allowedTokens[_token], "The token is not allowed");
+        return _toRewardToken(_token, _gasPrice * ESTIMATED_REPORT_RESULT_GAS);
+    }
+
+    /// @dev Estimate the gas cost per request that bridges incur for a given gas price when reporting results in batches.
+    /// This is an informational, bridge-side estimate: requests still need to be posted with a reward of at least
+    /// `estimateGasCost`, as they may be reported on their own. What is saved by batching is kept by the bridge, or
+    /// refunded to the requester when settlement is enabled.
+    /// @param _gasPrice The gas price for which we need to calculate the reward.
+    /// @param _batchSize The number of results reported in each batch.
+    /// @return The gas cost per request for the given gas price and batch size.
+    function estimateGasCostBatch(uint256 _gasPrice, uint256 _batchSize)
+        external
+        pure
+        override
+        returns (uint256)
+    {
+        require(_batchSize > 0, "Batch size cannot be zero");
+        return _gasPrice * (ESTIMATED_REPORT_RESULT_BATCH_ITEM_GAS + ESTIMATED_REPORT_RESULT_BATCH_GAS / _batchSize);
+    }
+
+    /// @dev Estimate the amount of reward we need to insert for a given gas price and callback gas limit.
+    /// @param _gasPrice The gas price for which we need to calculate the reward.
+    /// @param _callbackGasLimit The maximum amount of gas to be spent in the callback.
+    /// @return The reward to be included for the given gas price and callback gas limit.
+    function estimateGasCostWithCallback(uint256 _gasPrice, uint256 _callbackGasLimit)
+        external
+        pure
+        override
+        returns (uint256)
+    {
+        return _gasPrice * (ESTIMATED_REPORT_RESULT_GAS + _callbackGasLimit);
+    }
+
+    /// @dev Estimate the amount of reward we need to insert for a given gas price and maximum result size.
+    /// @param _gasPrice The gas price for which we need to calculate the reward.
+    /// @param _maxResultSize The maximum size in bytes of the result.
+    /// @return The reward to be included for the given gas price and maximum result size.
+    function estimateGasCostWithMaxResultSize(uint256 _gasPrice, uint256 _maxResultSize)
+        external
+        pure
+        override
+        returns (uint256)
+    {
+        return _gasPrice * _estimateReportResultGas(_maxResultSize);
+    }
+
     /// @dev Computes the output hash of a request from its bytecode.
     /// @param _bytecode The bytecode of the request.
     /// @return The output hash of the request.
@@ -249,4 +787,365 @@ contract WitnetRequestBoard is WitnetRequestBoardInterface {
     {
         return uint256(sha256(_bytecode));
     }
+
+    /// @dev Posts a data request into the WRB with a given total reward, which has to cover the gas cost. Requests
+    /// rewarded in tokens are neither merged nor merged into, as their rewards cannot be added up.
+    /// @param _requestAddress The request contract address which includes the request bytecode.
+    /// @param _callbackGasLimit The maximum amount of gas to be spent in the callback, or zero if there is no callback.
+    /// @param _maxResultSize The maximum size in bytes of the result.
+    /// @param _token The address of the ERC-20 token the request is rewarded in, or the zero address for ether.
+    /// @param _reward The reward, which has already been paid.
+    /// @return The unique identifier of the data request.
+    function _postDataRequest(
+        address _requestAddress,
+        uint256 _callbackGasLimit,
+        uint256 _maxResultSize,
+        address _token,
+        uint256 _reward
+    )
+        internal
+        returns (uint256)
+    {
+        require(_maxResultSize > 0, "Maximum result size cannot be zero");
+        require(_maxResultSize <= resultSizeLimit, "Maximum result size exceeds the limit");
+        // Checks the tally reward is covering gas cost
+        require(
+            _reward >= _toRewardToken(
+                _token,
+                tx.gasprice * (_estimateReportResultGas(_maxResultSize) + _callbackGasLimit)
+            ),
+            "Result reward should cover gas expenses. Check the estimateGasCost method."
+        );
+
+        uint256 id = WitnetRequestBoardLib.postDataRequest(
+            requests,
+            pending,
+            sharableRequests,
+            _requestAddress,
+            _reward,
+            _callbackGasLimit,
+            _maxResultSize,
+            block.number + requestTimeout,
+            requestSharingEnabled && _callbackGasLimit == 0 && _token == address(0)
+        );
+        if (_token != address(0)) {
+            requestAccounts[id].rewardToken = _token;
+        }
+
+        return id;
+    }
+
+    /// @dev Increments the reward of a data request, which has already been paid. Upgrading a merged request upgrades the
+    /// request it is shared with too.
+    /// @param _id The unique identifier of the data request.
+    /// @param _token The address of the ERC-20 token the request is rewarded in, or the zero address for ether.
+    /// @param _amount The amount to be added to the reward.
+    function _upgradeDataRequest(uint256 _id, address _token, uint256 _amount) internal {
+        WitnetRequestBoardLib.DataRequest storage request = requests[_resolveShared(_id)];
+        WitnetRequestBoardLib.upgradeDataRequest(
+            requests,
+            _id,
+            _amount,
+            _toRewardToken(
+                _token,
+                tx.gasprice * (_estimateReportResultGas(request.maxResultSize) + request.callbackGasLimit)
+            )
+        );
+    }
+
+    /// @dev Stores the result of a data request in Witnet and delivers it to the requester if a callback was requested.
+    /// @param _id The unique identifier of the data request.
+    /// @param _drTxHash The unique hash of the request.
+    /// @param _result The result itself as bytes.
+    /// @param _final Whether the result is final as soon as it is reported, as otherwise its delivery is deferred.
+    /// @return The reward to be paid to the reporter.
+    function _reportResult(uint256 _id, uint256 _drTxHash, bytes calldata _result, bool _final)
+        internal
+        returns (uint256)
+    {
+        // Results longer than declared would cost more gas than covered by the reward
+        bytes memory result = _result.length > requests[_id].maxResultSize ? OVERSIZED_RESULT : _result;
+        requests[_id].drTxHash = _drTxHash;
+        requests[_id].result = result;
+
+        emit PostedResult(_id, requests[_id].requester, _drTxHash);
+        // The requests merged into this one are resolved by the very same result
+        uint256[] storage shares = requests[_id].subscribers;
+        for (uint256 i = 0; i < shares.length; i++) {
+            if (!requests[shares[i]].cancelled) {
+                emit PostedResult(shares[i], requests[shares[i]].requester, _drTxHash);
+            }
+        }
+        if (_final) {
+            _deliverCallback(_id);
+        }
+
+        return requests[_id].reward;
+    }
+
+    /// @dev Delivers the result of a data request through its callback, if it asked for one.
+    /// @param _id The unique identifier of the data request.
+    function _deliverCallback(uint256 _id) internal {
+        if (requests[_id].callbackGasLimit > 0) {
+            WitnetRequestBoardLib.deliverCallback(requests, _id);
+        }
+    }
+
+    /// @dev Credits the reward held for the reporter of a data request whose result has become final, along with the
+    /// refund of the rest of the reward, and delivers the result through the callback of the request.
+    /// @param _id The unique identifier of the data request.
+    /// @param _challenge The stake of the result.
+    function _finalizeResult(uint256 _id, WitnetRequestBoardLib.Challenge memory _challenge) internal {
+        address token = requestAccounts[_id].rewardToken;
+        uint256 reward = requests[_id].reward;
+        if (_challenge.payout < reward) {
+            _refundUnusedReward(_id, requests[_id].subscribers, token, reward, _challenge.payout);
+        }
+        _payReward(token, _challenge.reporter, _challenge.payout);
+        _deliverCallback(_id);
+    }
+
+    /// @dev Reports one of the results of a batch that has been accepted, paying right away the rewards in ERC-20 tokens.
+    /// @param _id The unique identifier of the data request.
+    /// @param _drTxHash The unique hash of the request.
+    /// @param _result The result itself as bytes.
+    /// @param _batchGas The share of the result in the gas spent by the batch regardless of its size.
+    /// @param _consensus Whether the reward is split among the committee members that agreed on the result.
+    /// @return The reward in ether to be credited to the sender along with the rest of the batch.
+    function _reportBatchResult(
+        uint256 _id,
+        uint256 _drTxHash,
+        bytes calldata _result,
+        uint256 _batchGas,
+        bool _consensus
+    )
+        internal
+        returns (uint256)
+    {
+        pending.removePending(_id);
+        address token = requestAccounts[_id].rewardToken;
+        uint256 reward;
+        if (settlementEnabled) {
+            uint256 gasStart = gasleft();
+            _reportResult(_id, _drTxHash, _result, true);
+            reward = _settleReward(
+                _id,
+                token,
+                gasStart - gasleft() + _batchGas + SETTLEMENT_REFUND_GAS + _result.length * RESULT_BYTE_GAS,
+                false
+            );
+        } else {
+            reward = _reportResult(_id, _drTxHash, _result, true);
+        }
+        if (_consensus) {
+            reward = _shareReward(_id, _drTxHash, _result, token, reward);
+        }
+        if (token == address(0)) {
+            return reward;
+        }
+        _payReward(token, msg.sender, reward);
+        return 0;
+    }
+
+    /// @dev Splits the reward of a reported request into the payment of the reporter, i.e. the gas spent at the gas price
+    /// of the request plus the settlement premium, and a refund of the rest, which is credited to the requester unless
+    /// it has to be held until the result is final.
+    /// @param _id The unique identifier of the data request.
+    /// @param _token The address of the ERC-20 token the request is rewarded in, or the zero address for ether.
+    /// @param _gasUsed The gas spent in reporting the result.
+    /// @param _holdRefund Whether the refund is left to be credited through `_refundUnusedReward` later on.
+    /// @return The payment of the reporter.
+    function _settleReward(uint256 _id, address _token, uint256 _gasUsed, bool _holdRefund) internal returns (uint256) {
+        uint256 reward = requests[_id].reward;
+        uint256[] storage shares = requests[_id].subscribers;
+        uint256 payment = _toRewardToken(
+            _token,
+            (_gasUsed + shares.length * SETTLEMENT_REFUND_GAS) * requests[_id].gasPrice
+                * (10000 + settlementPremium) / 10000
+        );
+        if (payment >= reward) {
+            return reward;
+        }
+        if (!_holdRefund) {
+            _refundUnusedReward(_id, shares, _token, reward, payment);
+        }
+
+        return payment;
+    }
+
+    /// @dev Credits the part of the reward of a reported request that is not paid to its reporter back to the requester.
+    /// The refund of a shared request is split among its subscribers in proportion to their contributions to the reward.
+    /// @param _id The unique identifier of the data request.
+    /// @param _shares The ids of the requests that have been merged into it.
+    /// @param _token The address of the ERC-20 token the request is rewarded in, or the zero address for ether.
+    /// @param _reward The reward of the request.
+    /// @param _payment The payment of the reporter, which has to be less than the reward.
+    function _refundUnusedReward(
+        uint256 _id,
+        uint256[] storage _shares,
+        address _token,
+        uint256 _reward,
+        uint256 _payment
+    )
+        internal
+    {
+        uint256 refund = _reward - _payment;
+        uint256 remainder = refund;
+        for (uint256 i = 0; i < _shares.length; i++) {
+            uint256 share = refund * requests[_shares[i]].reward / _reward;
+            if (share > 0) {
+                remainder -= share;
+                _refund(_shares[i], address(0), share);
+            }
+        }
+        _refund(_id, _token, remainder);
+    }
+
+    /// @dev Splits the reward of a result accepted by the committee equally among the members that agreed on it. The
+    /// shares of the other members are credited right away, while the sender gets the remainder of the split.
+    /// @param _id The unique identifier of the data request.
+    /// @param _drTxHash The hash of the data request transaction in Witnet.
+    /// @param _result The result itself as bytes.
+    /// @param _token The address of the ERC-20 token the request is rewarded in, or the zero address for ether.
+    /// @param _reward The reward to be split.
+    /// @return The share of the sender.
+    function _shareReward(uint256 _id, uint256 _drTxHash, bytes calldata _result, address _token, uint256 _reward)
+        internal
+        returns (uint256)
+    {
+        address[] storage reporters = _agreeingReporters(_id, _drTxHash, _result);
+        uint256 share = _reward / reporters.length;
+        // The sender is the last member that agreed on the result
+        for (uint256 i = 0; i < reporters.length - 1; i++) {
+            _payReward(_token, reporters[i], share);
+        }
+        return _reward - share * (reporters.length - 1);
+    }
+
+    /// @dev Credits part of the reward of a reported request back to its requester, or to its refund address.
+    /// @param _id The unique identifier of the data request.
+    /// @param _token The address of the ERC-20 token the request is rewarded in, or the zero address for ether.
+    /// @param _amount The amount to be refunded.
+    function _refund(uint256 _id, address _token, uint256 _amount) internal {
+        address requester = _refundRecipient(_id);
+        _creditReward(_token, requester, _amount);
+        emit RefundedReward(_id, requester, _amount);
+    }
+
+    /// @dev Retrieves the address that the refunds of a data request are credited to.
+    /// @param _id The unique identifier of the data request.
+    /// @return The refund address set for the request, or its requester if none has been set.
+    function _refundRecipient(uint256 _id) internal view returns (address) {
+        address refundAddress = requestAccounts[_id].refundAddress;
+        return refundAddress == address(0) ? requests[_id].requester : refundAddress;
+    }
+
+    /// @dev Resolves the id of the request that is actually reported for a given request.
+    /// @param _id The unique identifier of the data request.
+    /// @return The id of the request it is shared with, or the id itself if it has not been merged.
+    function _resolveShared(uint256 _id) internal view returns (uint256) {
+        uint256 sharedId = requests[_id].sharedId;
+        return sharedId == 0 ? _id : sharedId;
+    }
+
+    /// @dev Checks whether the result of a data request can be reported, which is shared by single reports, which revert
+    /// with the reason, and batches of reports, which skip the result instead.
+    /// @param _id The unique identifier of the data request.
+    /// @param _drTxHash The unique hash of the request.
+    /// @param _resultLength The length in bytes of the result.
+    /// @return The reason why the result cannot be reported, or an empty string if it can.
+    function _checkReport(uint256 _id, uint256 _drTxHash, uint256 _resultLength)
+        internal
+        view
+        returns (string memory)
+    {
+        if (_id >= requests.length) {
+            return "Id not found";
+        } else if (requests[_id].result.length != 0) {
+            return "Result already included";
+        } else if (requests[_id].cancelled) {
+            return "The request has been cancelled";
+        } else if (_drTxHash == 0) {
+            return "Data request transaction cannot be zero";
+        } else if (_resultLength == 0) {
+            // Zero-length results would not be valid CBOR encodings and could trigger a reentrancy attack
+            return "Result has zero length";
+        } else if (requests[_id].sharedId != 0) {
+            return "The request is reported through the one it is shared with";
+        }
+        return "";
+    }
+
+    /// @dev Checks that a request id exists, which is done apart from the modifier so as not to inline it everywhere.
+    /// @param _id The unique identifier of the data request.
+    function _checkValidId(uint256 _id) internal view {
+        require(requests.length > _id, "Id not found");
+    }
+
+    /// @dev Checks that the result of a request has not been reported yet.
+    /// @param _id The unique identifier of the data request.
+    function _checkResultNotIncluded(uint256 _id) internal view {
+        require(requests[_id].result.length == 0, "Result already included");
+    }
+
+    /// @dev Checks that a request has not been cancelled by its requester.
+    /// @param _id The unique identifier of the data request.
+    function _checkNotCancelled(uint256 _id) internal view {
+        require(!requests[_id].cancelled, "The request has been cancelled");
+    }
+
+    /// @dev Credits an amount to the balance of an address, so that it can be withdrawn later on.
+    /// @param _account The address to be credited.
+    /// @param _amount The amount to be credited.
+    function _credit(address _account, uint256 _amount) internal override {
+        balances[_account] += _amount;
+        emit Credited(_account, _amount);
+    }
+
+    /// @dev Credits an amount in the token a request is rewarded in to the balance of an address.
+    /// @param _token The address of the ERC-20 token, or the zero address for ether.
+    /// @param _account The address to be credited.
+    /// @param _amount The amount to be credited.
+    function _creditReward(address _token, address _account, uint256 _amount) internal {
+        if (_token == address(0)) {
+            _credit(_account, _amount);
+        } else {
+            tokenBalances[_token][_account] += _amount;
+            emit CreditedToken(_token, _account, _amount);
+        }
+    }
+
+    /// @dev Credits the reward of a reported result to a reporter. Only rewards in ether are recorded in the stake of the
+    /// reporter, as rewards in different tokens cannot be added up.
+    /// @param _token The address of the ERC-20 token the request is rewarded in, or the zero address for ether.
+    /// @param _reporter The address of the reporter.
+    /// @param _amount The reward to be credited.
+    function _payReward(address _token, address _reporter, uint256 _amount) internal {
+        if (_token == address(0)) {
+            _recordReward(_reporter, _amount);
+        }
+        _creditReward(_token, _reporter, _amount);
+    }
+
+    /// @dev Converts an amount of ether into the token a request is rewarded in, rounding up.
+    /// @param _token The address of the ERC-20 token, or the zero address for ether.
+    /// @param _amount The amount of ether.
+    /// @return The amount of tokens worth `_amount`, or `_amount` itself for ether.
+    function _toRewardToken(address _token, uint256 _amount) internal view returns (uint256) {
+        if (_token == address(0)) {
+            return _amount;
+        }
+        return (_amount * tokenRates[_token] + 1 ether - 1) / 1 ether;
+    }
+
+    /// @dev Estimates the gas spent in reporting a result, which grows with the size of the result as it is stored.
+    /// @param _maxResultSize The maximum size in bytes of the result.
+    /// @return The gas spent in reporting a result of up to `_maxResultSize` bytes.
+    function _estimateReportResultGas(uint256 _maxResultSize) internal pure returns (uint256) {
+        if (_maxResultSize <= DEFAULT_MAX_RESULT_SIZE) {
+            return ESTIMATED_REPORT_RESULT_GAS;
+        }
+        uint256 extraWords = (_maxResultSize - DEFAULT_MAX_RESULT_SIZE + 31) / 32;
+        return ESTIMATED_REPORT_RESULT_GAS + extraWords * ESTIMATED_REPORT_RESULT_WORD_GAS;
+    }
 }
@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "./WitnetRequestBoardInterface.sol";
+
+/**
+ * @title Witnet Request Board Access Control
+ * @notice Roles and emergency pause of a Witnet Request Board (WRB).
+ * @dev The owner administers the roles and can act as any of them, while role holders can only perform the operations
+ * of their roles. Ownership is transferred in two steps, so that it cannot be handed over to a wrong address.
+ * @author Witnet Foundation
+ */
+abstract contract WitnetRequestBoardAccessControl is WitnetRequestBoardInterface, AccessControl, Ownable2Step, Pausable {
+    // Role of the addresses that manage the committee of authorized reporters
+    bytes32 public constant COMMITTEE_MANAGER_ROLE = keccak256("COMMITTEE_MANAGER_ROLE");
+
+    // Role of the addresses that pause and unpause the board
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @dev Pauses the posting and upgrading of requests, while results can still be reported and read.
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /// @dev Unpauses the posting and upgrading of requests.
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /// @dev Checks whether an address can perform the operations of a role, which the owner always can. This makes the
+    /// owner the admin of every role too.
+    /// @param _role The role to be checked.
+    /// @param _account The address to be checked.
+    /// @return Whether the address is the owner or holds the role.
+    function hasRole(bytes32 _role, address _account) public view override returns (bool) {
+        return _account == owner() || super.hasRole(_role, _account);
+    }
+
+    /// @dev Checks whether posting and upgrading requests is paused.
+    /// @return Whether the board is paused.
+    function paused() public view override(WitnetRequestBoardInterface, Pausable) returns (bool) {
+        return super.paused();
+    }
+
+    /// @dev Checks whether the contract implements an interface, as defined in ERC-165.
+    /// @param _interfaceId The ERC-165 identifier of the interface.
+    /// @return Whether the interface is implemented.
+    function supportsInterface(bytes4 _interfaceId)
+        public
+        view
+        override(WitnetRequestBoardInterface, AccessControl)
+        returns (bool)
+    {
+        return _interfaceId == type(WitnetRequestBoardInterface).interfaceId || super.supportsInterface(_interfaceId);
+    }
+
+    /// @dev Checks that an address can perform the operations of a role, reverting with a plain message instead of the
+    /// one built by OpenZeppelin, whose hex formatting takes up a good deal of bytecode.
+    /// @param _role The role to be checked.
+    /// @param _account The address to be checked.
+    function _checkRole(bytes32 _role, address _account) internal view override {
+        require(hasRole(_role, _account), "Sender is missing the required role");
+    }
+}
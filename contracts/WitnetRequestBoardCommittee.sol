@@ -0,0 +1,325 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+
+
+import "./WitnetRequestBoardAccessControl.sol";
+
+/**
+ * @title Witnet Request Board Committee
+ * @notice Committee of the reporters authorized to report results to a Witnet Request Board (WRB).
+ * @dev Results are accepted as soon as a single member reports them, unless a report threshold is set. In that case,
+ * each member reports its `(drTxHash, result)` pair and the result is only accepted once the threshold of members agree
+ * on the same pair. Alternatively, results can be made disputable during a challenge period, during which reporters
+ * and challengers have their bonds at stake.
+ * Once a minimum stake is set, reporters join the committee by staking it, and only members whose stake meets it can
+ * report. Stakes can be slashed by the owner or by successful disputes, and are unstaked after a cooldown. The cooldown
+ * cannot be shorter than the challenge period, so that reporters cannot unstake before their results are final.
+ * @author Witnet Foundation
+ */
+abstract contract WitnetRequestBoardCommittee is WitnetRequestBoardAccessControl {
+    // Reports of the committee members on the result of a request
+    struct ReportRound {
+        // Map of members to the hash of the `(drTxHash, result)` pair they reported
+        mapping(address => bytes32) reports;
+        // Map of hashes of `(drTxHash, result)` pairs to the members that reported them
+        mapping(bytes32 => address[]) reporters;
+        // Number of members that have reported
+        uint256 reportsCount;
+        // Largest number of members agreeing on the same pair
+        uint256 agreements;
+    }
+
+    // Stake of a reporter, along with its record of rewards and slashes
+    struct Stake {
+        uint256 amount;
+        // Amount being unstaked, which can still be slashed until it is unstaked
+        uint256 unstaking;
+        // Block after which the amount being unstaked can be unstaked
+        uint256 unlockBlock;
+        // Rewards earned while staking is enabled
+        uint256 rewards;
+        // Amount slashed over time
+        uint256 slashes;
+        // Number of results of the reporter that are being disputed, which keep it from unstaking
+        uint256 disputes;
+    }
+
+    // Map of addresses to a bool, true if they are committee members
+    mapping(address => bool) public isInCommittee;
+
+    // List of the current committee members
+    address[] internal committee;
+
+    // Map of committee members to their position in the `committee` list plus one
+    mapping(address => uint256) internal committeeIndex;
+
+    // Number of members that have to agree on a result before it is accepted, where zero and one stand for a single
+    // member
+    uint256 public reportThreshold;
+
+    // Map of request ids to the reports of the committee members on their result
+    mapping(uint256 => ReportRound) internal rounds;
+
+    // Number of blocks during which reported results can be disputed before they are final, which is zero by default
+    uint256 public challengePeriod;
+
+    // Bond that reporters and challengers put at stake for each result reported or disputed during challenge periods
+    uint256 public challengeBond;
+
+    // Stake that reporters need in order to report, which is zero, i.e. staking is disabled, by default
+    uint256 public minimumStake;
+
+    // Number of blocks that reporters have to wait before unstaking
+    uint256 public unstakeCooldown;
+
+    // Map of reporters to their stakes
+    mapping(address => Stake) public stakes;
+
+    // Event emitted when an address joins the committee
+    event CommitteeMemberAdded(address indexed _member);
+
+    // Event emitted when an address leaves the committee
+    event CommitteeMemberRemoved(address indexed _member);
+
+    // Event emitted when a member reports a result that has not reached the report threshold yet
+    event ReportedResult(uint256 indexed _id, address indexed _reporter, uint256 _drTxHash);
+
+    // Event emitted when a member reports a result that differs from the ones reported by other members
+    event ConflictingReport(uint256 indexed _id, address indexed _reporter, uint256 _drTxHash);
+
+    // Event emitted when a reporter increases its stake
+    event Staked(address indexed _reporter, uint256 _amount);
+
+    // Event emitted when a reporter starts unstaking part of its stake
+    event UnstakeRequested(address indexed _reporter, uint256 _amount, uint256 _unlockBlock);
+
+    // Event emitted when a reporter unstakes the amount it was unstaking
+    event Unstaked(address indexed _reporter, uint256 _amount);
+
+    // Event emitted when the stake of a reporter is slashed
+    event Slashed(address indexed _reporter, uint256 _amount, address indexed _beneficiary);
+
+    // Only the committee defined when deploying the contract should be able to report results
+    modifier isAuthorized() {
+        _checkAuthorized();
+        _;
+    }
+
+    /// @dev Adds an address to the committee of authorized reporters.
+    /// @param _member The address to be added to the committee.
+    function addCommitteeMember(address _member) external onlyRole(COMMITTEE_MANAGER_ROLE) {
+        require(_member != address(0), "Committee member cannot be the zero address");
+        require(!isInCommittee[_member], "Address already in committee");
+        _addCommitteeMember(_member);
+    }
+
+    /// @dev Removes an address from the committee of authorized reporters.
+    /// @param _member The address to be removed from the committee.
+    function removeCommitteeMember(address _member) external onlyRole(COMMITTEE_MANAGER_ROLE) {
+        require(isInCommittee[_member], "Address not in committee");
+        require(committee.length > reportThreshold, "The committee cannot be smaller than the report threshold");
+
+        // Move the last member into the slot being freed so that the list stays packed
+        uint256 index = committeeIndex[_member] - 1;
+        address lastMember = committee[committee.length - 1];
+        committee[index] = lastMember;
+        committeeIndex[lastMember] = index + 1;
+        committee.pop();
+
+        delete committeeIndex[_member];
+        isInCommittee[_member] = false;
+
+        emit CommitteeMemberRemoved(_member);
+    }
+
+    /// @dev Sets the number of committee members that have to agree on a result before it is accepted. Reports made
+    /// before changing it are still counted.
+    /// @param _reportThreshold The number of members, where zero and one stand for a single member.
+    function setReportThreshold(uint256 _reportThreshold) external onlyRole(COMMITTEE_MANAGER_ROLE) {
+        require(_reportThreshold <= committee.length, "The report threshold cannot exceed the committee size");
+        require(_reportThreshold <= 1 || challengePeriod == 0, "Report thresholds cannot be combined with challenges");
+        reportThreshold = _reportThreshold;
+    }
+
+    /// @dev Sets the number of blocks during which reported results can be disputed, and the bond that reporters and
+    /// challengers have to put at stake. Results reported before changing them keep their period and bond. While staking
+    /// is enabled, the period cannot exceed the unstake cooldown.
+    /// @param _challengePeriod The number of blocks, or zero for results to be final as soon as they are reported.
+    /// @param _challengeBond The bond.
+    function setChallengePeriod(uint256 _challengePeriod, uint256 _challengeBond) external onlyOwner {
+        require(_challengePeriod == 0 || reportThreshold <= 1, "Report thresholds cannot be combined with challenges");
+        challengePeriod = _challengePeriod;
+        challengeBond = _challengeBond;
+        _checkUnstakeCooldown();
+    }
+
+    /// @dev Sets the stake that reporters need in order to join the committee and report, and the number of blocks they
+    /// have to wait before unstaking, which cannot be shorter than the challenge period.
+    /// @param _minimumStake The minimum stake, or zero for disabling staking.
+    /// @param _unstakeCooldown The number of blocks.
+    function setStaking(uint256 _minimumStake, uint256 _unstakeCooldown) external onlyOwner {
+        minimumStake = _minimumStake;
+        unstakeCooldown = _unstakeCooldown;
+        _checkUnstakeCooldown();
+    }
+
+    /// @dev Increases the stake of the sender by msg.value, adding the sender to the committee once its stake meets the
+    /// minimum.
+    function stake() external payable {
+        require(minimumStake > 0, "Staking is disabled");
+        require(msg.value > 0, "The stake cannot be zero");
+        Stake storage reporterStake = stakes[msg.sender];
+        reporterStake.amount += msg.value;
+        emit Staked(msg.sender, msg.value);
+
+        if (reporterStake.amount >= minimumStake) {
+            _addCommitteeMember(msg.sender);
+        }
+    }
+
+    /// @dev Starts unstaking part of the stake of the sender, which can be unstaked once the cooldown has passed.
+    /// Requesting to unstake more restarts the cooldown for the whole amount being unstaked.
+    /// @param _amount The amount to be unstaked.
+    function requestUnstake(uint256 _amount) external {
+        Stake storage reporterStake = stakes[msg.sender];
+        require(_amount > 0 && _amount <= reporterStake.amount, "Invalid amount to unstake");
+        reporterStake.amount -= _amount;
+        reporterStake.unstaking += _amount;
+        reporterStake.unlockBlock = block.number + unstakeCooldown;
+        emit UnstakeRequested(msg.sender, _amount, reporterStake.unlockBlock);
+    }
+
+    /// @dev Unstakes the amount that the sender was unstaking once the cooldown has passed, crediting it to the
+    /// balance of the sender. Reporters whose results are being disputed cannot unstake until the disputes are
+    /// resolved, as disputes have no deadline and the stake has to be there to be slashed.
+    function unstake() external {
+        Stake storage reporterStake = stakes[msg.sender];
+        uint256 amount = reporterStake.unstaking;
+        require(amount > 0, "Nothing to unstake");
+        require(block.number > reporterStake.unlockBlock, "The unstake cooldown has not passed yet");
+        require(reporterStake.disputes == 0, "The reporter has results under dispute");
+        reporterStake.unstaking = 0;
+        emit Unstaked(msg.sender, amount);
+        _credit(msg.sender, amount);
+    }
+
+    /// @dev Slashes the stake of a reporter, crediting the slashed amount to the owner.
+    /// @param _reporter The address of the reporter.
+    /// @param _amount The amount to be slashed, which is capped to the stake of the reporter.
+    function slashStake(address _reporter, uint256 _amount) external onlyOwner {
+        _slash(_reporter, _amount, msg.sender);
+    }
+
+    /// @dev Retrieves the list of addresses that are currently in the committee.
+    /// @return The list of committee members.
+    function getCommittee() external view returns (address[] memory) {
+        return committee;
+    }
+
+    /// @dev Adds an address to the committee, skipping it if it is already a member.
+    /// @param _member The address to be added to the committee.
+    function _addCommitteeMember(address _member) internal {
+        if (!isInCommittee[_member]) {
+            committee.push(_member);
+            committeeIndex[_member] = committee.length;
+            isInCommittee[_member] = true;
+
+            emit CommitteeMemberAdded(_member);
+        }
+    }
+
+    /// @dev Slashes the stake of a reporter, including the amount it is unstaking, and credits the slashed amount.
+    /// @param _reporter The address of the reporter.
+    /// @param _amount The amount to be slashed, which is capped to the stake of the reporter.
+    /// @param _beneficiary The address to be credited.
+    function _slash(address _reporter, uint256 _amount, address _beneficiary) internal {
+        Stake storage reporterStake = stakes[_reporter];
+        uint256 fromStake = _amount < reporterStake.amount ? _amount : reporterStake.amount;
+        uint256 fromUnstaking = _amount - fromStake < reporterStake.unstaking
+            ? _amount - fromStake
+            : reporterStake.unstaking;
+        uint256 slashed = fromStake + fromUnstaking;
+        if (slashed > 0) {
+            reporterStake.amount -= fromStake;
+            reporterStake.unstaking -= fromUnstaking;
+            reporterStake.slashes += slashed;
+            emit Slashed(_reporter, slashed, _beneficiary);
+            _credit(_beneficiary, slashed);
+        }
+    }
+
+    /// @dev Checks that the unstake cooldown is not shorter than the challenge period while staking is enabled.
+    function _checkUnstakeCooldown() internal view {
+        require(minimumStake == 0 || unstakeCooldown >= challengePeriod, "The cooldown is shorter than the challenge period");
+    }
+
+    /// @dev Records a reward earned by a reporter while staking is enabled.
+    /// @param _reporter The address of the reporter.
+    /// @param _amount The reward.
+    function _recordReward(address _reporter, uint256 _amount) internal {
+        if (minimumStake > 0) {
+            stakes[_reporter].rewards += _amount;
+        }
+    }
+
+    /// @dev Credits an amount to the balance of an address, so that it can be withdrawn later on.
+    /// @param _account The address to be credited.
+    /// @param _amount The amount to be credited.
+    function _credit(address _account, uint256 _amount) internal virtual;
+
+    /// @dev Records the report of the sender on the result of a request, which can only report once.
+    /// @param _id The unique identifier of the data request.
+    /// @param _drTxHash The hash of the data request transaction in Witnet.
+    /// @param _result The result itself as bytes.
+    /// @return Whether the report threshold of members agree on the reported result.
+    function _agreeOnResult(uint256 _id, uint256 _drTxHash, bytes calldata _result) internal returns (bool) {
+        ReportRound storage round = rounds[_id];
+        require(round.reports[msg.sender] == 0, "Sender has already reported the result");
+
+        bytes32 report = keccak256(abi.encode(_drTxHash, _result));
+        address[] storage reporters = round.reporters[report];
+        if (round.reportsCount > reporters.length) {
+            emit ConflictingReport(_id, msg.sender, _drTxHash);
+        }
+        round.reports[msg.sender] = report;
+        reporters.push(msg.sender);
+        round.reportsCount++;
+        if (reporters.length > round.agreements) {
+            round.agreements = reporters.length;
+        }
+
+        if (reporters.length < reportThreshold) {
+            emit ReportedResult(_id, msg.sender, _drTxHash);
+            return false;
+        }
+        return true;
+    }
+
+    /// @dev Checks that the sender is a committee member whose stake meets the minimum.
+    function _checkAuthorized() internal view {
+        require(isInCommittee[msg.sender], "Sender not authorized");
+        uint256 minimum = minimumStake;
+        require(minimum == 0 || stakes[msg.sender].amount >= minimum, "Sender stake is below the minimum");
+    }
+
+    /// @dev Checks whether the sender has already reported on the result of a request.
+    /// @param _id The unique identifier of the data request.
+    /// @return Whether the sender has already reported.
+    function _hasReported(uint256 _id) internal view returns (bool) {
+        return rounds[_id].reports[msg.sender] != 0;
+    }
+
+    /// @dev Retrieves the members that agreed on the reported result of a request.
+    /// @param _id The unique identifier of the data request.
+    /// @param _drTxHash The hash of the data request transaction in Witnet.
+    /// @param _result The result itself as bytes.
+    /// @return The list of members that reported the result.
+    function _agreeingReporters(uint256 _id, uint256 _drTxHash, bytes calldata _result)
+        internal
+        view
+        returns (address[] storage)
+    {
+        return rounds[_id].reporters[keccak256(abi.encode(_drTxHash, _result))];
+    }
+}
@@ -14,31 +14,160 @@ pragma solidity >=0.7.0 <0.9.0;
  */
 interface WitnetRequestBoardInterface {
 
+  // Stages of the lifecycle of a DR
+  enum RequestStatus {
+    Unknown,
+    Posted,
+    Reported,
+    Cancelled
+  }
+
+  // Summary of a DR that is pending to be reported
+  struct PendingRequest {
+    uint256 id;
+    uint256 reward;
+    uint256 gasPrice;
+    uint256 drOutputHash;
+  }
+
   // Event emitted when a new DR is posted
-  event PostedRequest(uint256 _id);
+  event PostedRequest(uint256 indexed _id, address indexed _requester, uint256 _reward);
 
   // Event emitted when a result is reported
-  event PostedResult(uint256 _id);
+  event PostedResult(uint256 indexed _id, address indexed _requester, uint256 _drTxHash);
+
+  // Event emitted when a DR is cancelled by its requester
+  event CancelledRequest(uint256 _id);
 
   /// @dev Posts a data request into the WRB in expectation that it will be relayed and resolved in Witnet with a total reward that equals to msg.value.
   /// @param _requestAddress The request contract address which includes the request bytecode.
   /// @return The unique identifier of the data request.
   function postDataRequest(address _requestAddress) external payable returns(uint256);
 
+  /// @dev Posts a data request into the WRB, asking for its result to be delivered back to the sender through its
+  /// `witnetCallback` function once it is final. The reward, which equals to msg.value, must cover the gas of the
+  /// callback too.
+  /// @param _requestAddress The request contract address which includes the request bytecode.
+  /// @param _callbackGasLimit The maximum amount of gas to be spent in the callback.
+  /// @return The unique identifier of the data request.
+  function postDataRequestWithCallback(address _requestAddress, uint256 _callbackGasLimit)
+    external payable returns(uint256);
+
+  /// @dev Posts a data request into the WRB whose result may take up to `_maxResultSize` bytes. The reward, which equals
+  /// to msg.value, must cover the gas spent in storing a result of that size.
+  /// @param _requestAddress The request contract address which includes the request bytecode.
+  /// @param _maxResultSize The maximum size in bytes of the result.
+  /// @return The unique identifier of the data request.
+  function postDataRequestWithMaxResultSize(address _requestAddress, uint256 _maxResultSize)
+    external payable returns(uint256);
+
+  /// @dev Posts a data request into the WRB with a reward in an allowed ERC-20 token, which is pulled from the sender
+  /// through `transferFrom`. The reporter is paid in that very token.
+  /// @param _requestAddress The request contract address which includes the request bytecode.
+  /// @param _token The address of the ERC-20 token.
+  /// @param _reward The reward in tokens.
+  /// @return The unique identifier of the data request.
+  function postDataRequestWithToken(address _requestAddress, address _token, uint256 _reward)
+    external returns(uint256);
+
   /// @dev Increments the reward of a data request by adding the transaction value to it.
   /// @param _id The unique identifier of the data request.
   function upgradeDataRequest(uint256 _id) external payable;
 
+  /// @dev Increments the reward of a data request rewarded in an ERC-20 token, pulling the tokens from the sender.
+  /// @param _id The unique identifier of the data request.
+  /// @param _amount The amount of tokens to be added to the reward.
+  function upgradeDataRequestWithToken(uint256 _id, uint256 _amount) external;
+
+  /// @dev Cancels an unresolved data request once its deadline has passed, crediting the reward back to its requester.
+  /// @param _id The unique identifier of the data request.
+  /// @return The amount of reward that has been refunded.
+  function cancelDataRequest(uint256 _id) external returns(uint256);
+
+  /// @dev Sets the address that the refunds of a data request are credited to instead of its requester. Only the
+  /// requester can set it, and the zero address credits the requester again.
+  /// @param _id The unique identifier of the data request.
+  /// @param _refundAddress The address to credit refunds to.
+  function setRefundAddress(uint256 _id, address _refundAddress) external;
+
+  /// @dev Withdraws the whole balance of rewards and refunds credited to the sender.
+  /// @return The amount that has been withdrawn.
+  function withdraw() external returns(uint256);
+
+  /// @dev Retrieves the balance of rewards and refunds credited to an address.
+  /// @param _account The address whose balance is retrieved.
+  /// @return The balance that the address can withdraw.
+  function balanceOf(address _account) external view returns(uint256);
+
+  /// @dev Withdraws the whole balance of rewards and refunds in an ERC-20 token credited to the sender.
+  /// @param _token The address of the ERC-20 token.
+  /// @return The amount of tokens that has been withdrawn.
+  function withdrawToken(address _token) external returns(uint256);
+
+  /// @dev Retrieves the balance of rewards and refunds in an ERC-20 token credited to an address.
+  /// @param _token The address of the ERC-20 token.
+  /// @param _account The address whose balance is retrieved.
+  /// @return The balance of tokens that the address can withdraw.
+  function tokenBalanceOf(address _token, address _account) external view returns(uint256);
+
+  /// @dev Retrieves the ERC-20 token that a DR is rewarded in.
+  /// @param _id The unique identifier of the data request.
+  /// @return The address of the token, or the zero address if the DR is rewarded in ether.
+  function readRewardToken(uint256 _id) external view returns(address);
+
   /// @dev Retrieves the DR transaction hash of the id from the WRB.
   /// @param _id The unique identifier of the data request.
   /// @return The hash of the DR transaction
   function readDrTxHash (uint256 _id) external view returns(uint256);
 
+  /// @dev Checks whether posting and upgrading DRs is paused.
+  /// @return Whether the WRB is paused.
+  function paused() external view returns(bool);
+
+  /// @dev Checks whether the result of a DR has been proven to be included in a Witnet block.
+  /// @param _id The unique identifier of the data request.
+  /// @return Whether the result has been verified.
+  function isResultVerified(uint256 _id) external view returns(bool);
+
+  /// @dev Retrieves the number of committee members that agreed on the result of a DR, or on the most reported result
+  /// while the DR has not been resolved yet.
+  /// @param _id The unique identifier of the data request.
+  /// @return The number of agreeing members.
+  function readAgreements(uint256 _id) external view returns(uint256);
+
+  /// @dev Checks whether the result of a DR has been reported and can no longer be disputed.
+  /// @param _id The unique identifier of the data request.
+  /// @return Whether the result is final.
+  function isResultFinal(uint256 _id) external view returns(bool);
+
+  /// @dev Retrieves the stage of the lifecycle of a DR, which is `Unknown` for ids that have not been posted.
+  /// @param _id The unique identifier of the data request.
+  /// @return The status of the DR.
+  function getRequestStatus(uint256 _id) external view returns(RequestStatus);
+
+  /// @dev Returns the number of DRs that are pending to be reported, i.e. neither reported nor cancelled.
+  /// @return The number of pending DRs.
+  function pendingRequestsCount() external view returns(uint256);
+
+  /// @dev Retrieves a page of the DRs that are pending to be reported. Implementations may bound the number of pending
+  /// DRs that are sorted by reward, in which case fewer DRs than counted by `pendingRequestsCount` are listed that way.
+  /// @param _offset The number of pending DRs to skip.
+  /// @param _limit The maximum number of pending DRs to retrieve.
+  /// @param _byReward Whether to sort the pending DRs by descending reward instead of ascending id.
+  /// @return The page of pending DRs.
+  function getPendingRequests(uint256 _offset, uint256 _limit, bool _byReward)
+    external view returns(PendingRequest[] memory);
+
   /// @dev Retrieves the result (if already available) of one data request from the WRB.
   /// @param _id The unique identifier of the data request.
   /// @return The result of the DR
   function readResult (uint256 _id) external view returns(bytes memory);
 
+  /// @dev Checks whether the contract implements an interface, as defined in ERC-165.
+  /// @param _interfaceId The ERC-165 identifier of the interface.
+  /// @return Whether the interface is implemented.
+  function supportsInterface(bytes4 _interfaceId) external view returns(bool);
+
   /// @notice Verifies if the Witnet Request Board can be upgraded.
   /// @return true if contract is upgradable.
   function isUpgradable(address _address) external view returns(bool);
@@ -47,4 +176,29 @@ interface WitnetRequestBoardInterface {
   /// @param _gasPrice The gas price for which we need to calculate the rewards.
   /// @return The reward to be included for the given gas price.
   function estimateGasCost(uint256 _gasPrice) external view returns(uint256);
+
+  /// @dev Estimate the amount of reward in an ERC-20 token we need to insert for a given gas price.
+  /// @param _gasPrice The gas price for which we need to calculate the rewards.
+  /// @param _token The address of the ERC-20 token.
+  /// @return The reward in tokens to be included for the given gas price.
+  function estimateGasCostInToken(uint256 _gasPrice, address _token) external view returns(uint256);
+
+  /// @dev Estimate the gas cost per request that bridges incur for a given gas price when reporting results in batches.
+  /// This is an informational, bridge-side estimate: requests still need a reward of at least `estimateGasCost`.
+  /// @param _gasPrice The gas price for which we need to calculate the rewards.
+  /// @param _batchSize The number of results reported in each batch.
+  /// @return The gas cost per request for the given gas price and batch size.
+  function estimateGasCostBatch(uint256 _gasPrice, uint256 _batchSize) external view returns(uint256);
+
+  /// @dev Estimate the amount of reward we need to insert for a given gas price and callback gas limit.
+  /// @param _gasPrice The gas price for which we need to calculate the rewards.
+  /// @param _callbackGasLimit The maximum amount of gas to be spent in the callback.
+  /// @return The reward to be included for the given gas price and callback gas limit.
+  function estimateGasCostWithCallback(uint256 _gasPrice, uint256 _callbackGasLimit) external view returns(uint256);
+
+  /// @dev Estimate the amount of reward we need to insert for a given gas price and maximum result size.
+  /// @param _gasPrice The gas price for which we need to calculate the rewards.
+  /// @param _maxResultSize The maximum size in bytes of the result.
+  /// @return The reward to be included for the given gas price and maximum result size.
+  function estimateGasCostWithMaxResultSize(uint256 _gasPrice, uint256 _maxResultSize) external view returns(uint256);
 }
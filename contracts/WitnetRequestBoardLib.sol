@@ -0,0 +1,668 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+pragma experimental ABIEncoderV2;
+
+import "./WitnetRequestBoardInterface.sol";
+import "./BlockRelayInterface.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./WitnetCallbackInterface.sol";
+import "./Request.sol";
+
+/**
+ * @title A library for the data requests of a Witnet Request Board (WRB)
+ * @notice The library defines how data requests are stored by the WRB, and implements the parts of the WRB that are
+ * seldom called through external functions, so that they do not count towards the size limit of the WRB bytecode.
+ * @dev It has to be deployed and linked to the WRB before deploying the WRB itself. The events emitted by its external
+ * functions are emitted on behalf of the WRB, which declares them too.
+ */
+library WitnetRequestBoardLib {
+  using SafeERC20 for IERC20;
+
+  // Maximum number of pending DRs, starting from the oldest one, that are sorted when listing them by reward, so that
+  // the listing cannot run out of gas however many DRs are pending
+  uint256 public constant MAX_PENDING_SORTED_BY_REWARD = 500;
+
+  struct DataRequest {
+    address requestAddress;
+    uint256 drOutputHash;
+    uint256 reward;
+    uint256 gasPrice;
+    bytes result;
+    uint256 drTxHash;
+    address requester;
+    uint256 postedBlock;
+    uint256 postedTimestamp;
+    uint256 deadline;
+    bool cancelled;
+    uint256 callbackGasLimit;
+    uint256 maxResultSize;
+    // Id of the request this one has been merged into, which is zero for requests that have not been merged
+    uint256 sharedId;
+    // Ids of the requests that have been merged into this one
+    uint256[] subscribers;
+  }
+
+  // Doubly linked list of the ids of the pending requests sorted by id, where id 0 stands for both ends of the list
+  struct PendingList {
+    mapping(uint256 => uint256) next;
+    mapping(uint256 => uint256) prev;
+    // Number of requests in the list
+    uint256 count;
+  }
+
+  // Stake of a result reported during a challenge period
+  struct Challenge {
+    // Block after which the result is final unless it is disputed, which is zero for results that are already final
+    uint256 finalityBlock;
+    address reporter;
+    // Reward of the reporter, which is held until the result is final along with the refund of the rest of the reward
+    uint256 payout;
+    // Bond put at stake by both the reporter and the challenger
+    uint256 bond;
+    address challenger;
+  }
+
+  // Accounts of a data request that do not fit into `DataRequest`, which is returned as a whole by its getter
+  struct RequestAccounts {
+    // ERC-20 token the request is rewarded in, which is the zero address for ether
+    address rewardToken;
+    // Address that refunds are credited to instead of the requester, such as the consumer behind a proxy
+    address refundAddress;
+  }
+
+  // Event emitted when a new DR is posted
+  event PostedRequest(uint256 indexed _id, address indexed _requester, uint256 _reward);
+
+  // Event emitted when a newly posted request is merged into a pending request with the same output hash
+  event SharedRequest(uint256 indexed _id, uint256 indexed _sharedId);
+
+  // Event emitted when a reward or a refund is credited to an address
+  event Credited(address indexed _account, uint256 _amount);
+
+  // Event emitted when an address withdraws its balance
+  event Withdrawn(address indexed _account, uint256 _amount);
+
+  // Event emitted when an address withdraws its balance of an ERC-20 token
+  event WithdrawnToken(address indexed _token, address indexed _account, uint256 _amount);
+
+  // Event emitted when a DR is cancelled by its requester
+  event CancelledRequest(uint256 _id);
+
+  // Event emitted when the callback of a request reverts or runs out of gas
+  event FailedCallback(uint256 _id);
+
+  // Event emitted when a result is disputed during its challenge period
+  event DisputedResult(uint256 indexed _id, address indexed _challenger);
+
+  // Event emitted when a dispute is resolved, either upholding or discarding the result
+  event ResolvedDispute(uint256 indexed _id, bool _upheld);
+
+  /// @dev Stores a newly posted data request, whose reward has already been checked to cover the gas cost. If the request
+  /// is sharable and there is a pending request with the same output hash, the new request is merged into it instead
+  /// of being listed as pending.
+  /// @param _requests The data requests of the WRB.
+  /// @param _pending The list of pending requests.
+  /// @param _sharableRequests The last pending request for each output hash that new requests may be merged into.
+  /// @param _requestAddress The request contract address which includes the request bytecode.
+  /// @param _reward The reward of the data request.
+  /// @param _callbackGasLimit The maximum amount of gas to be spent in the callback, or zero if there is no callback.
+  /// @param _maxResultSize The maximum size in bytes of the result.
+  /// @param _deadline The block number after which the data request can be cancelled.
+  /// @param _sharable Whether the data request can be merged into other requests and the other way around.
+  /// @return _id The unique identifier of the data request.
+  function postDataRequest(
+      DataRequest[] storage _requests,
+      PendingList storage _pending,
+      mapping(uint256 => uint256) storage _sharableRequests,
+      address _requestAddress,
+      uint256 _reward,
+      uint256 _callbackGasLimit,
+      uint256 _maxResultSize,
+      uint256 _deadline,
+      bool _sharable
+    )
+    public
+    returns (uint256 _id)
+  {
+    _id = _requests.length;
+    DataRequest storage request = _requests.push();
+    request.requestAddress = _requestAddress;
+    request.reward = _reward;
+    uint256 drOutputHash = uint256(sha256(Request(_requestAddress).bytecode()));
+    request.drOutputHash = drOutputHash;
+    request.gasPrice = tx.gasprice;
+    request.requester = msg.sender;
+    request.postedBlock = block.number;
+    // The timestamp is only stored for the record, no decision is made upon it
+    // solhint-disable-next-line not-rely-on-time
+    request.postedTimestamp = block.timestamp;
+    request.deadline = _deadline;
+    request.callbackGasLimit = _callbackGasLimit;
+    request.maxResultSize = _maxResultSize;
+
+    uint256 sharedId = _sharable ? findSharableRequest(_requests, _sharableRequests[drOutputHash], _maxResultSize) : 0;
+    if (sharedId != 0) {
+      request.sharedId = sharedId;
+      // The shared request collects the rewards of all its subscribers and gets reported for all of them at once
+      DataRequest storage shared = _requests[sharedId];
+      shared.reward += _reward;
+      if (tx.gasprice > shared.gasPrice) {
+        shared.gasPrice = tx.gasprice;
+      }
+      shared.subscribers.push(_id);
+    } else {
+      appendPending(_pending, _id);
+      if (_sharable) {
+        _sharableRequests[drOutputHash] = _id;
+      }
+    }
+
+    // Let observers know that a new request has been posted
+    emit PostedRequest(_id, msg.sender, _reward);
+    if (sharedId != 0) {
+      emit SharedRequest(_id, sharedId);
+    }
+  }
+
+  /// @dev Increments the reward of a data request, which has already been paid. Upgrading a merged request upgrades the
+  /// request it is shared with too.
+  /// @param _requests The data requests of the WRB.
+  /// @param _id The unique identifier of the data request, which has to be neither reported nor cancelled.
+  /// @param _amount The amount to be added to the reward.
+  /// @param _minReward The reward that covers the gas cost at the gas price of the transaction, which is only required
+  /// if the gas price of the request is increased.
+  function upgradeDataRequest(DataRequest[] storage _requests, uint256 _id, uint256 _amount, uint256 _minReward)
+    public
+  {
+    uint256 sharedId = _requests[_id].sharedId;
+    if (sharedId != 0) {
+      require(_requests[sharedId].drTxHash == 0, "Result already included");
+      // The contribution of each requester is kept apart so as to split the settlement refund among them
+      _requests[_id].reward += _amount;
+      _id = sharedId;
+    }
+
+    DataRequest storage request = _requests[_id];
+    uint256 newReward = request.reward + _amount;
+    // If gas price is increased, then check if new rewards cover gas costs
+    if (tx.gasprice > request.gasPrice) {
+      require(newReward >= _minReward, "Result reward should cover gas expenses. Check the estimateGasCost method.");
+      request.gasPrice = tx.gasprice;
+    }
+    request.reward = newReward;
+  }
+
+  /// @dev Cancels an unresolved data request once its deadline has passed. The reward is left for the WRB to credit
+  /// back to the requester, as it may be paid in an ERC-20 token. Cancelling a request that other requests have been
+  /// merged into only refunds the contribution of its own requester, as the first of those requests that has not been
+  /// cancelled takes over the rest of the reward along with the other ones.
+  /// @param _requests The data requests of the WRB.
+  /// @param _pending The list of pending requests.
+  /// @param _sharableRequests The last pending request for each output hash that new requests may be merged into.
+  /// @param _id The unique identifier of the data request, which has to be neither reported nor cancelled.
+  /// @return The amount of reward to be refunded.
+  function cancelDataRequest(
+      DataRequest[] storage _requests,
+      PendingList storage _pending,
+      mapping(uint256 => uint256) storage _sharableRequests,
+      uint256 _id
+    )
+    public
+    returns (uint256)
+  {
+    DataRequest storage request = _requests[_id];
+    require(msg.sender == request.requester, "Sender is not the requester");
+    require(block.number > request.deadline, "The request deadline has not passed yet");
+
+    uint256 refund = request.reward;
+    uint256 sharedId = request.sharedId;
+    if (sharedId != 0) {
+      require(_requests[sharedId].drTxHash == 0, "Result already included");
+      _requests[sharedId].reward -= refund;
+    } else {
+      removePending(_pending, _id);
+      if (request.subscribers.length > 0) {
+        refund -= promoteSubscriber(_requests, _pending, _sharableRequests, _id);
+      }
+    }
+    request.reward = 0;
+    request.cancelled = true;
+
+    emit CancelledRequest(_id);
+
+    return refund;
+  }
+
+  /// @dev Disputes the result of a data request during its challenge period, putting at stake the same bond as its
+  /// reporter. The result is not final until the dispute is resolved.
+  /// @param _challenges The stakes of the results reported during challenge periods.
+  /// @param _id The unique identifier of the data request that is actually reported.
+  /// @param _bond The bond put at stake by the sender.
+  /// @return The address of the reporter of the disputed result.
+  function disputeResult(mapping(uint256 => Challenge) storage _challenges, uint256 _id, uint256 _bond)
+    public
+    returns (address)
+  {
+    Challenge storage challenge = _challenges[_id];
+    require(block.number <= challenge.finalityBlock, "The result cannot be disputed");
+    require(challenge.challenger == address(0), "The result is already disputed");
+    require(_bond == challenge.bond, "The value must equal the challenge bond");
+    challenge.challenger = msg.sender;
+    emit DisputedResult(_id, msg.sender);
+
+    return challenge.reporter;
+  }
+
+  /// @dev Resolves the dispute on the result of a data request, crediting both bonds to the winner. An upheld result
+  /// becomes final, and the held reward is left for the WRB to credit to its reporter. Otherwise, the result is
+  /// discarded and the request goes back to pending with its whole reward, as nothing of it has been credited yet, so
+  /// that it can be reported again.
+  /// @param _requests The data requests of the WRB.
+  /// @param _pending The list of pending requests.
+  /// @param _challenges The stakes of the results reported during challenge periods.
+  /// @param _balances The balances of the addresses that rewards and refunds are credited to.
+  /// @param _id The unique identifier of the data request.
+  /// @param _upheld Whether the result is upheld.
+  /// @return The stake of the result that has been resolved.
+  function resolveDispute(
+      DataRequest[] storage _requests,
+      PendingList storage _pending,
+      mapping(uint256 => Challenge) storage _challenges,
+      mapping(address => uint256) storage _balances,
+      uint256 _id,
+      bool _upheld
+    )
+    public
+    returns (Challenge memory)
+  {
+    Challenge memory challenge = _challenges[_id];
+    require(challenge.challenger != address(0), "The result is not disputed");
+    delete _challenges[_id];
+
+    if (_upheld) {
+      credit(_balances, challenge.reporter, 2 * challenge.bond);
+    } else {
+      credit(_balances, challenge.challenger, 2 * challenge.bond);
+      DataRequest storage request = _requests[_id];
+      request.drTxHash = 0;
+      delete request.result;
+      insertPending(_pending, _id);
+    }
+    emit ResolvedDispute(_id, _upheld);
+
+    return challenge;
+  }
+
+  /// @dev Credits the bond held for the reporter of a data request once its result is final, leaving the held reward
+  /// for the WRB to credit in the token the request is rewarded in.
+  /// @param _challenges The stakes of the results reported during challenge periods.
+  /// @param _balances The balances of the addresses that rewards and refunds are credited to.
+  /// @param _id The unique identifier of the data request.
+  /// @return The stake of the result whose reward has been released.
+  function releaseReward(
+      mapping(uint256 => Challenge) storage _challenges,
+      mapping(address => uint256) storage _balances,
+      uint256 _id
+    )
+    public
+    returns (Challenge memory)
+  {
+    Challenge memory challenge = _challenges[_id];
+    require(challenge.finalityBlock != 0 && isFinal(_challenges[_id]), "The result is not final yet");
+    delete _challenges[_id];
+    credit(_balances, challenge.reporter, challenge.bond);
+
+    return challenge;
+  }
+
+  /// @dev Delivers the result of a data request to the `witnetCallback` function of its requester. A failing callback
+  /// does not revert, so that it cannot prevent the result from being reported.
+  /// @param _requests The data requests of the WRB.
+  /// @param _id The unique identifier of the data request, whose callback gas limit has to be greater than zero.
+  function deliverCallback(DataRequest[] storage _requests, uint256 _id) public {
+    DataRequest storage request = _requests[_id];
+    uint256 callbackGasLimit = request.callbackGasLimit;
+    // Ensures the sender cannot make the callback fail by providing too little gas
+    require(gasleft() - gasleft() / 64 > callbackGasLimit, "Not enough gas left to deliver the callback");
+    // solhint-disable-next-line avoid-low-level-calls
+    (bool success, ) = request.requester.call{gas: callbackGasLimit}(
+      abi.encodeWithSelector(WitnetCallbackInterface.witnetCallback.selector, _id, request.result)
+    );
+    if (!success) {
+      emit FailedCallback(_id);
+    }
+  }
+
+  /// @dev Pulls an amount of an ERC-20 token from the sender, which has to have allowed the WRB to spend it.
+  /// @param _token The address of the ERC-20 token.
+  /// @param _amount The amount of tokens.
+  function pullTokens(address _token, uint256 _amount) public {
+    IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+  }
+
+  /// @dev Withdraws the whole balance of rewards and refunds credited to the sender.
+  /// @param _balances The balances of the addresses that rewards and refunds are credited to.
+  /// @return The amount that has been withdrawn.
+  function withdraw(mapping(address => uint256) storage _balances) public returns (uint256) {
+    uint256 amount = _balances[msg.sender];
+    require(amount > 0, "Nothing to withdraw");
+    _balances[msg.sender] = 0;
+
+    emit Withdrawn(msg.sender, amount);
+    // Forwarding all the gas supports contract wallets, while the balance is cleared beforehand against reentrancy
+    // solhint-disable-next-line avoid-low-level-calls
+    (bool success, ) = payable(msg.sender).call{value: amount}("");
+    require(success, "Withdrawal transfer failed");
+
+    return amount;
+  }
+
+  /// @dev Withdraws the whole balance of rewards and refunds in an ERC-20 token credited to the sender.
+  /// @param _tokenBalances The balances of ERC-20 tokens of the addresses that rewards and refunds are credited to.
+  /// @param _token The address of the ERC-20 token.
+  /// @return The amount of tokens that has been withdrawn.
+  function withdrawToken(mapping(address => mapping(address => uint256)) storage _tokenBalances, address _token)
+    public
+    returns (uint256)
+  {
+    uint256 amount = _tokenBalances[_token][msg.sender];
+    require(amount > 0, "Nothing to withdraw");
+    _tokenBalances[_token][msg.sender] = 0;
+
+    emit WithdrawnToken(_token, msg.sender, amount);
+    IERC20(_token).safeTransfer(msg.sender, amount);
+
+    return amount;
+  }
+
+  /// @dev Retrieves the final result of a data request, which is the result of the request it is shared with for
+  /// merged requests.
+  /// @param _requests The data requests of the WRB.
+  /// @param _challenges The stakes of the results reported during challenge periods.
+  /// @param _id The unique identifier of the data request, which has to exist.
+  /// @return The result of the data request.
+  function readResult(
+      DataRequest[] storage _requests,
+      mapping(uint256 => Challenge) storage _challenges,
+      uint256 _id
+    )
+    public
+    view
+    returns (bytes memory)
+  {
+    require(!_requests[_id].cancelled, "The request has been cancelled");
+    uint256 sharedId = _requests[_id].sharedId;
+    if (sharedId != 0) {
+      _id = sharedId;
+    }
+    require(_requests[_id].drTxHash != 0, "The request has not yet been resolved");
+    require(isFinal(_challenges[_id]), "The result is not final yet");
+    return _requests[_id].result;
+  }
+
+  /// @dev Checks whether the reported result of a data request has been proven to be included in a Witnet block
+  /// through a block relay, which is never the case if no block relay has been set.
+  /// @param _request The data request that is actually reported.
+  /// @param _blockRelay The block relay, or the zero address if none has been set.
+  /// @return Whether the result has been verified.
+  function isResultVerified(DataRequest storage _request, BlockRelayInterface _blockRelay)
+    public
+    view
+    returns (bool)
+  {
+    if (address(_blockRelay) == address(0) || _request.drTxHash == 0) {
+      return false;
+    }
+    return _blockRelay.isResultVerified(_request.drOutputHash, _request.drTxHash, keccak256(_request.result));
+  }
+
+  /// @dev Retrieves a page of the DRs that are pending to be reported. Only the oldest `MAX_PENDING_SORTED_BY_REWARD`
+  /// pending DRs are listed when sorting them by reward, while every pending DR is listed when sorting them by id.
+  /// @param _requests The data requests of the WRB.
+  /// @param _pending The list of pending DRs.
+  /// @param _offset The number of pending DRs to skip.
+  /// @param _limit The maximum number of pending DRs to retrieve.
+  /// @param _byReward Whether to sort the pending DRs by descending reward instead of ascending id.
+  /// @return _page The page of pending DRs.
+  function getPendingRequests(
+      DataRequest[] storage _requests,
+      PendingList storage _pending,
+      uint256 _offset,
+      uint256 _limit,
+      bool _byReward
+    )
+    public
+    view
+    returns (WitnetRequestBoardInterface.PendingRequest[] memory _page)
+  {
+    uint256 pendingCount = _pending.count;
+    if (_byReward && pendingCount > MAX_PENDING_SORTED_BY_REWARD) {
+      pendingCount = MAX_PENDING_SORTED_BY_REWARD;
+    }
+    if (_offset >= pendingCount) {
+      return _page;
+    }
+    uint256 length = pendingCount - _offset < _limit ? pendingCount - _offset : _limit;
+    _page = new WitnetRequestBoardInterface.PendingRequest[](length);
+
+    if (_byReward) {
+      // Rewards can be upgraded at any time, so sorting by reward requires going through every request to be sorted
+      WitnetRequestBoardInterface.PendingRequest[] memory pending =
+        new WitnetRequestBoardInterface.PendingRequest[](pendingCount);
+      uint256 id = _pending.next[0];
+      for (uint256 i = 0; i < pending.length; i++) {
+        pending[i] = summarize(_requests, id);
+        id = _pending.next[id];
+      }
+      sortByReward(pending, 0, pending.length - 1);
+      for (uint256 i = 0; i < length; i++) {
+        _page[i] = pending[_offset + i];
+      }
+    } else {
+      uint256 id = _pending.next[0];
+      for (uint256 i = 0; i < _offset; i++) {
+        id = _pending.next[id];
+      }
+      for (uint256 i = 0; i < length; i++) {
+        _page[i] = summarize(_requests, id);
+        id = _pending.next[id];
+      }
+    }
+  }
+
+  /// @dev Appends a newly posted request to the list of pending requests, which keeps it sorted by id.
+  /// @param _pending The list of pending requests.
+  /// @param _id The unique identifier of the data request.
+  function appendPending(PendingList storage _pending, uint256 _id) internal {
+    uint256 last = _pending.prev[0];
+    _pending.next[last] = _id;
+    _pending.prev[_id] = last;
+    _pending.prev[0] = _id;
+    _pending.count++;
+  }
+
+  /// @dev Inserts a request going back to pending into its place in the list of pending requests.
+  /// @param _pending The list of pending requests.
+  /// @param _id The unique identifier of the data request.
+  function insertPending(PendingList storage _pending, uint256 _id) internal {
+    uint256 prev = _pending.prev[0];
+    while (prev > _id) {
+      prev = _pending.prev[prev];
+    }
+    uint256 next = _pending.next[prev];
+    _pending.next[prev] = _id;
+    _pending.prev[_id] = prev;
+    _pending.next[_id] = next;
+    _pending.prev[next] = _id;
+    _pending.count++;
+  }
+
+  /// @dev Removes a reported or cancelled request from the list of pending requests.
+  /// @param _pending The list of pending requests.
+  /// @param _id The unique identifier of the data request.
+  function removePending(PendingList storage _pending, uint256 _id) internal {
+    uint256 prev = _pending.prev[_id];
+    uint256 next = _pending.next[_id];
+    _pending.next[prev] = next;
+    _pending.prev[next] = prev;
+    delete _pending.prev[_id];
+    delete _pending.next[_id];
+    _pending.count--;
+  }
+
+  /// @dev Checks whether the reported result of a data request is neither disputed nor within its challenge period.
+  /// @param _challenge The stake of the result.
+  /// @return Whether the result is final, provided that it has been reported.
+  function isFinal(Challenge storage _challenge) internal view returns (bool) {
+    return _challenge.challenger == address(0) && block.number > _challenge.finalityBlock;
+  }
+
+  /// @dev Credits an amount to the balance of an address, so that it can be withdrawn later on.
+  /// @param _balances The balances of the addresses that rewards and refunds are credited to.
+  /// @param _account The address to be credited.
+  /// @param _amount The amount to be credited.
+  function credit(mapping(address => uint256) storage _balances, address _account, uint256 _amount) internal {
+    _balances[_account] += _amount;
+    emit Credited(_account, _amount);
+  }
+
+  /// @dev Checks whether a newly posted request can be merged into the last pending request with the same output hash,
+  /// i.e. that request has the same maximum result size.
+  /// @param _requests The data requests of the WRB.
+  /// @param _id The unique identifier of the last request with the same output hash, or zero if there is none.
+  /// @param _maxResultSize The maximum size in bytes of the result of the newly posted request.
+  /// @return The unique identifier of the request to be shared, or zero if there is none.
+  function findSharableRequest(DataRequest[] storage _requests, uint256 _id, uint256 _maxResultSize)
+    private
+    view
+    returns (uint256)
+  {
+    // Reported and cancelled requests are not removed from the index, hence the request is checked to be pending
+    if (
+      _id == 0 ||
+      _requests[_id].drTxHash != 0 ||
+      _requests[_id].cancelled ||
+      _requests[_id].maxResultSize != _maxResultSize
+    ) {
+      return 0;
+    }
+    return _id;
+  }
+
+  /// @dev Promotes the first request merged into a shared request being cancelled that has not been cancelled itself,
+  /// which takes over the place of the shared request in the pending list, the contributions of the requests merged
+  /// into it and those very requests, keeping the gas price of the shared request as it may have been upgraded by them.
+  /// @param _requests The data requests of the WRB.
+  /// @param _pending The list of pending requests, which the shared request has already been removed from.
+  /// @param _sharableRequests The last pending request for each output hash that new requests may be merged into.
+  /// @param _id The unique identifier of the shared request.
+  /// @return _contributions The part of the reward of the shared request contributed by the requests merged into it.
+  function promoteSubscriber(
+      DataRequest[] storage _requests,
+      PendingList storage _pending,
+      mapping(uint256 => uint256) storage _sharableRequests,
+      uint256 _id
+    )
+    private
+    returns (uint256 _contributions)
+  {
+    DataRequest storage shared = _requests[_id];
+    uint256[] storage shares = shared.subscribers;
+    uint256 successorId;
+    for (uint256 i = 0; i < shares.length; i++) {
+      uint256 shareId = shares[i];
+      DataRequest storage share = _requests[shareId];
+      if (share.cancelled) {
+        continue;
+      }
+      _contributions += share.reward;
+      if (successorId == 0) {
+        successorId = shareId;
+        share.sharedId = 0;
+      } else {
+        share.sharedId = successorId;
+        _requests[successorId].subscribers.push(shareId);
+        emit SharedRequest(shareId, successorId);
+      }
+    }
+    if (successorId == 0) {
+      return 0;
+    }
+
+    DataRequest storage successor = _requests[successorId];
+    successor.reward = _contributions;
+    successor.gasPrice = shared.gasPrice;
+    insertPending(_pending, successorId);
+    if (_sharableRequests[shared.drOutputHash] == _id) {
+      _sharableRequests[shared.drOutputHash] = successorId;
+    }
+  }
+
+  /// @dev Summarizes a pending request for bridge nodes to decide whether to relay it.
+  /// @param _requests The data requests of the WRB.
+  /// @param _id The unique identifier of the data request.
+  /// @return The summary of the data request.
+  function summarize(DataRequest[] storage _requests, uint256 _id)
+    private
+    view
+    returns (WitnetRequestBoardInterface.PendingRequest memory)
+  {
+    DataRequest storage request = _requests[_id];
+    return WitnetRequestBoardInterface.PendingRequest(_id, request.reward, request.gasPrice, request.drOutputHash);
+  }
+
+  /// @dev Sorts a list of pending requests by descending reward, and then by ascending id, using quicksort.
+  /// @param _pending The list of pending requests.
+  /// @param _low The index of the first element of the range to be sorted.
+  /// @param _high The index of the last element of the range to be sorted.
+  function sortByReward(WitnetRequestBoardInterface.PendingRequest[] memory _pending, uint256 _low, uint256 _high)
+    private
+    pure
+  {
+    if (_low >= _high) {
+      return;
+    }
+    WitnetRequestBoardInterface.PendingRequest memory pivot = _pending[(_low + _high) / 2];
+    uint256 i = _low;
+    uint256 j = _high;
+    while (i <= j) {
+      while (precedes(_pending[i], pivot)) {
+        i++;
+      }
+      while (precedes(pivot, _pending[j])) {
+        j--;
+      }
+      if (i <= j) {
+        (_pending[i], _pending[j]) = (_pending[j], _pending[i]);
+        i++;
+        // Prevents underflows, as the range below `i` is already sorted
+        if (j == 0) {
+          break;
+        }
+        j--;
+      }
+    }
+    if (_low < j) {
+      sortByReward(_pending, _low, j);
+    }
+    if (i < _high) {
+      sortByReward(_pending, i, _high);
+    }
+  }
+
+  /// @dev Tells whether a pending request goes before another one when sorting by descending reward.
+  /// @param _a The first pending request.
+  /// @param _b The second pending request.
+  /// @return Whether `_a` goes before `_b`.
+  function precedes(
+      WitnetRequestBoardInterface.PendingRequest memory _a,
+      WitnetRequestBoardInterface.PendingRequest memory _b
+    )
+    private
+    pure
+    returns (bool)
+  {
+    return _a.reward > _b.reward || (_a.reward == _b.reward && _a.id < _b.id);
+  }
+}
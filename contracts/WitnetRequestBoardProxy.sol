@@ -4,6 +4,8 @@ pragma solidity >=0.7.0 <0.9.0;
 
 
 import "./WitnetRequestBoardInterface.sol";
+import "./WitnetCallbackInterface.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 
 /**
@@ -11,7 +13,8 @@ import "./WitnetRequestBoardInterface.sol";
  * @notice Contract to act as a proxy between the Witnet Bridge Interface and Contracts inheriting UsingWitnet.
  * @author Witnet Foundation
  */
-contract WitnetRequestBoardProxy {
+contract WitnetRequestBoardProxy is WitnetCallbackInterface {
+  using SafeERC20 for IERC20;
 
   // Struct if the information of each controller
   struct ControllerInfo {
@@ -25,16 +28,64 @@ contract WitnetRequestBoardProxy {
   WitnetRequestBoardInterface public currentWitnetRequestBoard;
 
   // Last id of the WRB controller
-  uint256 internal currentLastId;
+  uint256 public currentLastId;
 
   // Array with the controllers that have been used in the Proxy
   ControllerInfo[] internal controllers;
 
+  // Map of ids to the address that posted them through the Proxy
+  mapping(uint256 => address) internal requesters;
+
+  // Largest number of blocks that upgrades of the WRB can be delayed for
+  uint256 public constant MAX_UPGRADE_DELAY = 161280;
+
+  // Number of blocks that upgrades of the WRB are delayed for by default, i.e. about a day
+  uint256 public constant DEFAULT_UPGRADE_DELAY = 5760;
+
+  // Number of blocks that proposed upgrades of the WRB have to wait for before being executed
+  uint256 public upgradeDelay;
+
+  // WRB that has been proposed to replace the current one, or the zero address if there is no pending upgrade
+  address public pendingWitnetRequestBoard;
+
+  // Block from which the pending upgrade can be executed
+  uint256 public pendingUpgradeBlock;
+
+  // Event emitted when the Proxy starts routing new data requests to a new WRB controller
+  event UpgradedWitnetRequestBoard(address indexed _oldAddress, address indexed _newAddress, uint256 _lastId);
+
+  // Event emitted when an upgrade of the WRB is proposed, or postponed by an increase of the upgrade delay
+  event ProposedWitnetRequestBoardUpgrade(address indexed _newAddress, uint256 _executableBlock);
+
+  // Event emitted when a pending upgrade of the WRB is cancelled
+  event CancelledWitnetRequestBoardUpgrade(address indexed _newAddress);
+
+  // Event emitted when the upgrade delay is changed
+  event UpgradeDelayChanged(uint256 _upgradeDelay);
+
   modifier notIdentical(address _newAddress) {
     require(_newAddress != address(currentWitnetRequestBoard), "The provided Witnet Requests Board instance address is already in use");
     _;
   }
 
+  // Only the addresses approved by the current WRB should be able to upgrade it
+  modifier onlyUpgrader() {
+    require(currentWitnetRequestBoard.isUpgradable(msg.sender), "The upgrade has been rejected by the current implementation");
+    _;
+  }
+
+  // Ensures the new WRB is a contract implementing the WRB interface
+  modifier isWitnetRequestBoard(address _newAddress) {
+    require(_implementsWitnetRequestBoard(_newAddress), "The provided address is not a Witnet Requests Board");
+    _;
+  }
+
+  // Ensures the current WRB controller is not paused, as it would reject new data requests
+  modifier whenNotPaused() {
+    require(!currentWitnetRequestBoard.paused(), "The Witnet Request Board is paused");
+    _;
+  }
+
  /**
   * @notice Include an address to specify the Witnet Request Board.
   * @param _witnetRequestBoardAddress WitnetRequestBoard address.
@@ -43,26 +94,136 @@ contract WitnetRequestBoardProxy {
     // Initialize the first epoch pointing to the first controller
     controllers.push(ControllerInfo({controllerAddress: _witnetRequestBoardAddress, lastId: 0}));
     currentWitnetRequestBoard = WitnetRequestBoardInterface(_witnetRequestBoardAddress);
+    upgradeDelay = DEFAULT_UPGRADE_DELAY;
   }
 
   /// @dev Posts a data request into the WRB in expectation that it will be relayed and resolved in Witnet with a total reward that equals to msg.value.
   /// @param _requestAddress The request contract address which includes the request bytecode.
   /// @return The unique identifier of the data request.
-  function postDataRequest(address _requestAddress) external payable returns(uint256) {
+  function postDataRequest(address _requestAddress)
+    external
+    payable
+    whenNotPaused
+    returns(uint256)
+  {
     uint256 n = controllers.length;
     uint256 offset = controllers[n - 1].lastId;
     // Update the currentLastId with the id in the controller plus the offSet
     currentLastId = currentWitnetRequestBoard.postDataRequest{value: msg.value}(_requestAddress) + offset;
+    // Keep track of the requester, as the WRB only knows about the Proxy
+    requesters[currentLastId] = msg.sender;
+    // Have the WRB credit any refunds of the request to the requester instead of the Proxy
+    currentWitnetRequestBoard.setRefundAddress(currentLastId - offset, msg.sender);
     return currentLastId;
   }
 
+  /// @dev Posts a data request into the WRB, asking for its result to be delivered back to the sender through its
+  /// `witnetCallback` function. The callback gas limit must also cover the forwarding of the result by the Proxy.
+  /// @param _requestAddress The request contract address which includes the request bytecode.
+  /// @param _callbackGasLimit The maximum amount of gas to be spent in the callback.
+  /// @return The unique identifier of the data request.
+  function postDataRequestWithCallback(address _requestAddress, uint256 _callbackGasLimit)
+    external
+    payable
+    whenNotPaused
+    returns(uint256)
+  {
+    uint256 n = controllers.length;
+    uint256 offset = controllers[n - 1].lastId;
+    // Update the currentLastId with the id in the controller plus the offSet
+    currentLastId = currentWitnetRequestBoard.postDataRequestWithCallback{value: msg.value}(
+      _requestAddress,
+      _callbackGasLimit
+    ) + offset;
+    // Keep track of the requester, as the WRB will call back the Proxy
+    requesters[currentLastId] = msg.sender;
+    // Have the WRB credit any refunds of the request to the requester instead of the Proxy
+    currentWitnetRequestBoard.setRefundAddress(currentLastId - offset, msg.sender);
+    return currentLastId;
+  }
+
+  /// @dev Posts a data request into the WRB whose result may take up to `_maxResultSize` bytes.
+  /// @param _requestAddress The request contract address which includes the request bytecode.
+  /// @param _maxResultSize The maximum size in bytes of the result.
+  /// @return The unique identifier of the data request.
+  function postDataRequestWithMaxResultSize(address _requestAddress, uint256 _maxResultSize)
+    external
+    payable
+    whenNotPaused
+    returns(uint256)
+  {
+    uint256 n = controllers.length;
+    uint256 offset = controllers[n - 1].lastId;
+    // Update the currentLastId with the id in the controller plus the offSet
+    currentLastId = currentWitnetRequestBoard.postDataRequestWithMaxResultSize{value: msg.value}(
+      _requestAddress,
+      _maxResultSize
+    ) + offset;
+    // Keep track of the requester, as the WRB only knows about the Proxy
+    requesters[currentLastId] = msg.sender;
+    // Have the WRB credit any refunds of the request to the requester instead of the Proxy
+    currentWitnetRequestBoard.setRefundAddress(currentLastId - offset, msg.sender);
+    return currentLastId;
+  }
+
+  /// @dev Posts a data request into the WRB with a reward in an allowed ERC-20 token. The Proxy pulls the tokens from
+  /// the sender, which has to have allowed the Proxy to spend them, and lets the WRB pull them in turn.
+  /// @param _requestAddress The request contract address which includes the request bytecode.
+  /// @param _token The address of the ERC-20 token.
+  /// @param _reward The reward in tokens.
+  /// @return The unique identifier of the data request.
+  function postDataRequestWithToken(address _requestAddress, address _token, uint256 _reward)
+    external
+    whenNotPaused
+    returns(uint256)
+  {
+    _pullTokens(_token, _reward, address(currentWitnetRequestBoard));
+    uint256 n = controllers.length;
+    uint256 offset = controllers[n - 1].lastId;
+    // Update the currentLastId with the id in the controller plus the offSet
+    currentLastId = currentWitnetRequestBoard.postDataRequestWithToken(_requestAddress, _token, _reward) + offset;
+    // Keep track of the requester, as the WRB only knows about the Proxy
+    requesters[currentLastId] = msg.sender;
+    // Have the WRB credit any refunds of the request to the requester instead of the Proxy
+    currentWitnetRequestBoard.setRefundAddress(currentLastId - offset, msg.sender);
+    return currentLastId;
+  }
+
+  /// @dev Cancels an unresolved data request once its deadline has passed. The WRB controller holding the request
+  /// credits the refund to the balance of the requester, who can withdraw it from that controller.
+  /// @param _id The unique identifier of the data request.
+  /// @return The amount of reward that has been refunded.
+  function cancelDataRequest(uint256 _id) external returns(uint256) {
+    // Get the address and the offset of the corresponding to id
+    (address wrbAddress, uint256 offsetWrb) = getController(_id);
+    require(requesters[_id] == msg.sender, "Sender is not the requester");
+    return WitnetRequestBoardInterface(wrbAddress).cancelDataRequest(_id - offsetWrb);
+  }
+
   /// @dev Increments the reward of a data request by adding the transaction value to it.
   /// @param _id The unique identifier of the data request.
   function upgradeDataRequest(uint256 _id) external payable {
     address wrbAddress;
     uint256 wrbOffset;
     (wrbAddress, wrbOffset) = getController(_id);
-    return currentWitnetRequestBoard.upgradeDataRequest{value: msg.value}(_id - wrbOffset);
+    // The controller holding the DR may be paused even if the current one is not
+    require(!WitnetRequestBoardInterface(wrbAddress).paused(), "The Witnet Request Board is paused");
+    // Upgrade the DR in the corresponding Controller with its own id
+    return WitnetRequestBoardInterface(wrbAddress).upgradeDataRequest{value: msg.value}(_id - wrbOffset);
+  }
+
+  /// @dev Increments the reward of a data request rewarded in an ERC-20 token, pulling the tokens from the sender.
+  /// @param _id The unique identifier of the data request.
+  /// @param _amount The amount of tokens to be added to the reward.
+  function upgradeDataRequestWithToken(uint256 _id, uint256 _amount) external {
+    (address wrbAddress, uint256 wrbOffset) = getController(_id);
+    // The controller holding the DR may be paused even if the current one is not
+    require(!WitnetRequestBoardInterface(wrbAddress).paused(), "The Witnet Request Board is paused");
+    WitnetRequestBoardInterface wrb = WitnetRequestBoardInterface(wrbAddress);
+    address token = wrb.readRewardToken(_id - wrbOffset);
+    require(token != address(0), "The request is not rewarded in tokens");
+    _pullTokens(token, _amount, wrbAddress);
+    wrb.upgradeDataRequestWithToken(_id - wrbOffset, _amount);
   }
 
   /// @dev Retrieves the DR transaction hash of the id from the WRB.
@@ -80,6 +241,48 @@ contract WitnetRequestBoardProxy {
     return drTxHash;
   }
 
+  /// @dev Checks whether the result of a DR has been proven to be included in a Witnet block.
+  /// @param _id The unique identifier of the data request.
+  /// @return Whether the result has been verified.
+  function isResultVerified(uint256 _id) external view returns(bool) {
+    (address wrbAddress, uint256 offsetWrb) = getController(_id);
+    return WitnetRequestBoardInterface(wrbAddress).isResultVerified(_id - offsetWrb);
+  }
+
+  /// @dev Retrieves the number of committee members that agreed on the result of a DR.
+  /// @param _id The unique identifier of the data request.
+  /// @return The number of agreeing members.
+  function readAgreements(uint256 _id) external view returns(uint256) {
+    (address wrbAddress, uint256 offsetWrb) = getController(_id);
+    return WitnetRequestBoardInterface(wrbAddress).readAgreements(_id - offsetWrb);
+  }
+
+  /// @dev Checks whether the result of a DR has been reported and can no longer be disputed.
+  /// @param _id The unique identifier of the data request.
+  /// @return Whether the result is final.
+  function isResultFinal(uint256 _id) external view returns(bool) {
+    (address wrbAddress, uint256 offsetWrb) = getController(_id);
+    return WitnetRequestBoardInterface(wrbAddress).isResultFinal(_id - offsetWrb);
+  }
+
+  /// @dev Retrieves the stage of the lifecycle of a DR from the WRB, which is `Unknown` for ids that have not been posted.
+  /// @param _id The unique identifier of the data request.
+  /// @return The status of the DR.
+  function getRequestStatus(uint256 _id) external view returns(WitnetRequestBoardInterface.RequestStatus) {
+    if (_id == 0 || _id > currentLastId) {
+      return WitnetRequestBoardInterface.RequestStatus.Unknown;
+    }
+    (address wrbAddress, uint256 offsetWrb) = getController(_id);
+    return WitnetRequestBoardInterface(wrbAddress).getRequestStatus(_id - offsetWrb);
+  }
+
+  /// @dev Retrieves the address that posted a DR through the Proxy.
+  /// @param _id The unique identifier of the data request.
+  /// @return The address of the requester, or the zero address if the id has not been posted.
+  function readRequester(uint256 _id) external view returns(address) {
+    return requesters[_id];
+  }
+
   /// @dev Retrieves the result (if already available) of one data request from the WRB.
   /// @param _id The unique identifier of the data request.
   /// @return The result of the DR.
@@ -101,28 +304,285 @@ contract WitnetRequestBoardProxy {
     return currentWitnetRequestBoard.estimateGasCost(_gasPrice);
   }
 
-  /// @notice Upgrades the Witnet Requests Board if the current one is upgradeable.
-  /// @param _newAddress address of the new block relay to upgrade.
-  function upgradeWitnetRequestBoard(address _newAddress) external notIdentical(_newAddress) {
-    // Require the WRB is upgradable
-    require(currentWitnetRequestBoard.isUpgradable(msg.sender), "The upgrade has been rejected by the current implementation");
-    // Map the currentLastId to the corresponding witnetRequestBoardAddress and add it to controllers
-    controllers.push(ControllerInfo({controllerAddress: _newAddress, lastId: currentLastId}));
-    // Upgrade the WRB
-    currentWitnetRequestBoard = WitnetRequestBoardInterface(_newAddress);
+  /// @dev Estimate the amount of reward in an ERC-20 token we need to insert for a given gas price.
+  /// @param _gasPrice The gas price for which we need to calculate the reward.
+  /// @param _token The address of the ERC-20 token.
+  /// @return The reward in tokens to be included for the given gas price.
+  function estimateGasCostInToken(uint256 _gasPrice, address _token) external view returns(uint256) {
+    return currentWitnetRequestBoard.estimateGasCostInToken(_gasPrice, _token);
+  }
+
+  /// @dev Estimate the gas cost per request that bridges incur for a given gas price when reporting results in batches.
+  /// This is an informational, bridge-side estimate: requests still need a reward of at least `estimateGasCost`.
+  /// @param _gasPrice The gas price for which we need to calculate the reward.
+  /// @param _batchSize The number of results reported in each batch.
+  /// @return The gas cost per request for the given gas price and batch size.
+  function estimateGasCostBatch(uint256 _gasPrice, uint256 _batchSize) external view returns(uint256) {
+    return currentWitnetRequestBoard.estimateGasCostBatch(_gasPrice, _batchSize);
+  }
+
+  /// @dev Estimate the amount of reward we need to insert for a given gas price and callback gas limit.
+  /// @param _gasPrice The gas price for which we need to calculate the reward.
+  /// @param _callbackGasLimit The maximum amount of gas to be spent in the callback.
+  /// @return The reward to be included for the given gas price and callback gas limit.
+  function estimateGasCostWithCallback(uint256 _gasPrice, uint256 _callbackGasLimit) external view returns(uint256) {
+    return currentWitnetRequestBoard.estimateGasCostWithCallback(_gasPrice, _callbackGasLimit);
+  }
+
+  /// @dev Estimate the amount of reward we need to insert for a given gas price and maximum result size.
+  /// @param _gasPrice The gas price for which we need to calculate the rewards.
+  /// @param _maxResultSize The maximum size in bytes of the result.
+  /// @return The reward to be included for the given gas price and maximum result size.
+  function estimateGasCostWithMaxResultSize(uint256 _gasPrice, uint256 _maxResultSize) external view returns(uint256) {
+    return currentWitnetRequestBoard.estimateGasCostWithMaxResultSize(_gasPrice, _maxResultSize);
+  }
+
+  /// @dev Forwards the result of a data request from the WRB controller that holds it to the original requester.
+  /// @param _id The unique identifier of the data request in the WRB controller.
+  /// @param _result The result itself as CBOR-encoded bytes.
+  function witnetCallback(uint256 _id, bytes calldata _result) external override {
+    // Find the offset of the calling controller, which is usually the current one
+    for (uint i = controllers.length; i > 0; i--) {
+      if (controllers[i - 1].controllerAddress == msg.sender) {
+        uint256 id = _id + controllers[i - 1].lastId;
+        WitnetCallbackInterface(requesters[id]).witnetCallback(id, _result);
+        return;
+      }
+    }
+    revert("Sender is not a Witnet Request Board controller");
+  }
+
+  /// @notice Proposes an upgrade of the Witnet Requests Board, which can be executed once the upgrade delay has passed.
+  /// Proposing a new upgrade replaces the pending one, if any.
+  /// @param _newAddress address of the new Witnet Requests Board controller to upgrade to.
+  function proposeWitnetRequestBoardUpgrade(address _newAddress)
+    external
+    notIdentical(_newAddress)
+    onlyUpgrader
+    isWitnetRequestBoard(_newAddress)
+  {
+    pendingWitnetRequestBoard = _newAddress;
+    pendingUpgradeBlock = block.number + upgradeDelay;
+    emit ProposedWitnetRequestBoardUpgrade(_newAddress, pendingUpgradeBlock);
+  }
+
+  /// @notice Executes the pending upgrade of the Witnet Requests Board once the upgrade delay has passed.
+  function executeWitnetRequestBoardUpgrade() external onlyUpgrader {
+    require(pendingWitnetRequestBoard != address(0), "There is no pending upgrade");
+    require(block.number >= pendingUpgradeBlock, "The upgrade delay has not passed yet");
+    address newAddress = pendingWitnetRequestBoard;
+    pendingWitnetRequestBoard = address(0);
+    pendingUpgradeBlock = 0;
+    _upgradeWitnetRequestBoard(newAddress);
+  }
+
+  /// @notice Cancels the pending upgrade of the Witnet Requests Board.
+  function cancelWitnetRequestBoardUpgrade() external onlyUpgrader {
+    require(pendingWitnetRequestBoard != address(0), "There is no pending upgrade");
+    emit CancelledWitnetRequestBoardUpgrade(pendingWitnetRequestBoard);
+    pendingWitnetRequestBoard = address(0);
+    pendingUpgradeBlock = 0;
+  }
+
+  /// @notice Sets the number of blocks that proposed upgrades have to wait for. The delay can only be increased, so that
+  /// consumers can rely on being warned about upgrades at least that long in advance. The pending upgrade, if any, is
+  /// postponed accordingly.
+  /// @param _upgradeDelay The number of blocks.
+  function setUpgradeDelay(uint256 _upgradeDelay) external onlyUpgrader {
+    require(_upgradeDelay >= upgradeDelay, "The upgrade delay cannot be decreased");
+    require(_upgradeDelay <= MAX_UPGRADE_DELAY, "The upgrade delay exceeds the maximum");
+    if (pendingWitnetRequestBoard != address(0)) {
+      pendingUpgradeBlock += _upgradeDelay - upgradeDelay;
+      emit ProposedWitnetRequestBoardUpgrade(pendingWitnetRequestBoard, pendingUpgradeBlock);
+    }
+    upgradeDelay = _upgradeDelay;
+    emit UpgradeDelayChanged(_upgradeDelay);
+  }
+
+  /// @notice Gets the pending upgrade of the Witnet Requests Board.
+  /// @return _newAddress The address of the proposed WRB, or the zero address if there is no pending upgrade.
+  /// @return _executableBlock The block from which the upgrade can be executed.
+  function getPendingUpgrade() external view returns(address _newAddress, uint256 _executableBlock) {
+    return (pendingWitnetRequestBoard, pendingUpgradeBlock);
+  }
+
+  /// @notice Gets the number of DRs that are pending to be reported across all the controllers.
+  /// @return _count The number of pending DRs.
+  function pendingRequestsCount() public view returns(uint256 _count) {
+    for (uint256 i = 0; i < controllers.length; i++) {
+      _count += WitnetRequestBoardInterface(controllers[i].controllerAddress).pendingRequestsCount();
+    }
+  }
+
+  /// @notice Gets a page of the DRs that are pending to be reported across all the controllers. Controllers may bound
+  /// the number of their pending DRs that are sorted by reward, so pages sorted by reward may list fewer DRs.
+  /// @param _offset The number of pending DRs to skip.
+  /// @param _limit The maximum number of pending DRs to retrieve.
+  /// @param _byReward Whether to sort the pending DRs by descending reward instead of ascending id.
+  /// @return _page The page of pending DRs, identified by their ids in the Proxy.
+  function getPendingRequests(uint256 _offset, uint256 _limit, bool _byReward)
+    external
+    view
+    returns(WitnetRequestBoardInterface.PendingRequest[] memory _page)
+  {
+    uint256 count = pendingRequestsCount();
+    if (_offset >= count) {
+      return _page;
+    }
+    uint256 length = count - _offset < _limit ? count - _offset : _limit;
+
+    if (_byReward) {
+      // Every controller sorts its own pending DRs, which are then merged by picking the highest reward each time
+      WitnetRequestBoardInterface.PendingRequest[][] memory lists =
+        new WitnetRequestBoardInterface.PendingRequest[][](controllers.length);
+      uint256 listed = 0;
+      for (uint256 i = 0; i < controllers.length; i++) {
+        lists[i] = getControllerPendingRequests(i, 0, _offset + length, true);
+        listed += lists[i].length;
+      }
+      // Controllers that bound the number of DRs sorted by reward may have listed fewer DRs than they have pending
+      if (listed < _offset + length) {
+        length = listed > _offset ? listed - _offset : 0;
+      }
+      _page = new WitnetRequestBoardInterface.PendingRequest[](length);
+      uint256[] memory heads = new uint256[](controllers.length);
+      for (uint256 k = 0; k < _offset + length; k++) {
+        uint256 best = _highestRewardList(lists, heads);
+        if (k >= _offset) {
+          _page[k - _offset] = lists[best][heads[best]];
+        }
+        heads[best]++;
+      }
+    } else {
+      _page = new WitnetRequestBoardInterface.PendingRequest[](length);
+      // Controllers hold increasing ranges of ids, so their pages can be concatenated from the oldest one
+      uint256 filled = 0;
+      for (uint256 i = 0; i < controllers.length && filled < length; i++) {
+        uint256 pending = WitnetRequestBoardInterface(controllers[i].controllerAddress).pendingRequestsCount();
+        if (_offset >= pending) {
+          _offset -= pending;
+          continue;
+        }
+        WitnetRequestBoardInterface.PendingRequest[] memory page =
+          getControllerPendingRequests(i, _offset, length - filled, false);
+        for (uint256 j = 0; j < page.length; j++) {
+          _page[filled++] = page[j];
+        }
+        _offset = 0;
+      }
+    }
+  }
+
+  /// @notice Gets a page of the DRs that are pending to be reported in one of the controllers.
+  /// @param _index The position of the controller in the list of controllers.
+  /// @param _offset The number of pending DRs of the controller to skip.
+  /// @param _limit The maximum number of pending DRs to retrieve.
+  /// @param _byReward Whether to sort the pending DRs by descending reward instead of ascending id.
+  /// @return _page The page of pending DRs, identified by their ids in the Proxy.
+  function getControllerPendingRequests(uint256 _index, uint256 _offset, uint256 _limit, bool _byReward)
+    public
+    view
+    returns(WitnetRequestBoardInterface.PendingRequest[] memory _page)
+  {
+    ControllerInfo memory controller = controllers[_index];
+    _page = WitnetRequestBoardInterface(controller.controllerAddress).getPendingRequests(_offset, _limit, _byReward);
+    for (uint256 i = 0; i < _page.length; i++) {
+      _page[i].id += controller.lastId;
+    }
+  }
+
+  /// @notice Gets the list of controllers that have been used in the Proxy, along with their offsets.
+  /// @return The list of controllers, sorted from the oldest to the current one.
+  function getControllers() external view returns(ControllerInfo[] memory) {
+    return controllers;
   }
 
   /// @notice Gets the controller from an Id.
   /// @param _id id of a Data Request from which we get the controller.
-  function getController(uint256 _id) internal view returns(address _controllerAddress, uint256 _offset) {
+  /// @return _controllerAddress The address of the controller that holds the data request.
+  /// @return _offset The offset to be subtracted from the id in order to get the id in the controller.
+  function getController(uint256 _id) public view returns(address _controllerAddress, uint256 _offset) {
     // Check id is bigger than 0
     require(_id > 0, "Non-existent controller for id 0");
+    // Check id has already been assigned to a data request
+    require(_id <= currentLastId, "Non-existent controller for id beyond the last id");
 
-    uint256 n = controllers.length;
-    // If the id is bigger than the lastId of a Controller, read the result in that Controller
-    for (uint i = n; i > 0; i--) {
-      if (_id > controllers[i - 1].lastId) {
-        return (controllers[i - 1].controllerAddress, controllers[i - 1].lastId);
+    // Binary search for the last Controller whose lastId is lower than the id, as lastIds are sorted in ascending order
+    uint256 low = 0;
+    uint256 high = controllers.length - 1;
+    while (low < high) {
+      uint256 mid = (low + high + 1) / 2;
+      if (controllers[mid].lastId < _id) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return (controllers[low].controllerAddress, controllers[low].lastId);
+  }
+
+  /// @dev Starts routing new data requests to a new WRB controller.
+  /// @param _newAddress The address of the new WRB.
+  function _upgradeWitnetRequestBoard(address _newAddress) internal {
+    // Map the currentLastId to the corresponding witnetRequestBoardAddress and add it to controllers
+    controllers.push(ControllerInfo({controllerAddress: _newAddress, lastId: currentLastId}));
+    // Let observers know that the routing table has changed
+    emit UpgradedWitnetRequestBoard(address(currentWitnetRequestBoard), _newAddress, currentLastId);
+    // Upgrade the WRB
+    currentWitnetRequestBoard = WitnetRequestBoardInterface(_newAddress);
+  }
+
+  /// @dev Pulls an amount of an ERC-20 token from the sender, allowing a WRB controller to pull it from the Proxy.
+  /// @param _token The address of the ERC-20 token.
+  /// @param _amount The amount of tokens.
+  /// @param _wrbAddress The address of the WRB controller.
+  function _pullTokens(address _token, uint256 _amount, address _wrbAddress) internal {
+    IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+    IERC20(_token).forceApprove(_wrbAddress, _amount);
+  }
+
+  /// @dev Checks whether an address is a contract that declares to implement the WRB interface through ERC-165.
+  /// @param _address The address to be checked.
+  /// @return Whether the address is a WRB.
+  function _implementsWitnetRequestBoard(address _address) internal view returns(bool) {
+    if (_address.code.length == 0) {
+      return false;
+    }
+    try WitnetRequestBoardInterface(_address).supportsInterface(type(WitnetRequestBoardInterface).interfaceId)
+      returns (bool supported)
+    {
+      return supported;
+    } catch {
+      return false;
+    }
+  }
+
+  /// @dev Finds the list of pending DRs whose next DR has the highest reward, or the lowest id in case of a tie.
+  /// @param _lists The lists of pending DRs of every controller, sorted by descending reward.
+  /// @param _heads The position of the next DR in each list.
+  /// @return _best The position of the list in `_lists`.
+  function _highestRewardList(
+    WitnetRequestBoardInterface.PendingRequest[][] memory _lists,
+    uint256[] memory _heads
+  )
+    internal
+    pure
+    returns(uint256 _best)
+  {
+    _best = type(uint256).max;
+    for (uint256 i = 0; i < _lists.length; i++) {
+      if (_heads[i] == _lists[i].length) {
+        continue;
+      }
+      if (_best == type(uint256).max) {
+        _best = i;
+        continue;
+      }
+      WitnetRequestBoardInterface.PendingRequest memory next = _lists[i][_heads[i]];
+      WitnetRequestBoardInterface.PendingRequest memory best = _lists[_best][_heads[_best]];
+      if (next.reward > best.reward || (next.reward == best.reward && next.id < best.id)) {
+        _best = i;
       }
     }
   }
@@ -7,9 +7,13 @@ module.exports = function (deployer, network, accounts) {
   if (network in addresses && addresses[network].WitnetRequestBoardProxy) {
     WitnetRequestBoardProxy.address = addresses[network].WitnetRequestBoardProxy
   } else {
+    const WitnetRequestBoardLib = artifacts.require("WitnetRequestBoardLib")
     const WitnetRequestBoard = artifacts.require("WitnetRequestBoard")
     console.log(`> Migrating WitnetRequestBoard and WitnetRequestBoardProxy into ${network} network`)
-    deployer.deploy(WitnetRequestBoard, [accounts[0]]).then(function () {
+    deployer.deploy(WitnetRequestBoardLib).then(function () {
+      deployer.link(WitnetRequestBoardLib, WitnetRequestBoard)
+      return deployer.deploy(WitnetRequestBoard, [accounts[0]])
+    }).then(function () {
       return deployer.deploy(WitnetRequestBoardProxy, WitnetRequestBoard.address)
     })
   }
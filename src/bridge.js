@@ -0,0 +1,229 @@
+/**
+ * A mock Witnet bridge node for end-to-end testing against a local chain. It watches the `PostedRequest` events of a
+ * `WitnetRequestBoard`, reads the posted requests and reports results for them as a committee member would, without
+ * any Witnet network behind.
+ *
+ * Results come either from a map of fixtures, keyed by serialized data request, or from a pluggable resolver. Both of
+ * them provide result specifications in any of these forms:
+ * - `{ value }`: a successful result holding `value`.
+ * - `{ error, args }`: an errored result with the `error` code (or its name in `ErrorCodes`) and its `args`.
+ * - `{ result }`: a result already CBOR-encoded as a hex string.
+ */
+
+const fs = require("fs")
+
+const { toBuffer } = require("./cbor")
+const { encodeError, encodeResult } = require("./result")
+
+// Fragments of the ABI of `WitnetRequestBoard` that are used by the mock bridge node
+const WRB_ABI = [
+  {
+    type: "function",
+    name: "readDataRequest",
+    stateMutability: "view",
+    inputs: [{ name: "_id", type: "uint256" }],
+    outputs: [{ name: "", type: "bytes" }],
+  },
+  {
+    type: "function",
+    name: "reportResult",
+    stateMutability: "payable",
+    inputs: [
+      { name: "_id", type: "uint256" },
+      { name: "_drTxHash", type: "uint256" },
+      { name: "_result", type: "bytes" },
+    ],
+    outputs: [],
+  },
+  {
+    type: "function",
+    name: "readSharedId",
+    stateMutability: "view",
+    inputs: [{ name: "_id", type: "uint256" }],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+  {
+    type: "function",
+    name: "readDrTxHash",
+    stateMutability: "view",
+    inputs: [{ name: "_id", type: "uint256" }],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+  {
+    type: "function",
+    name: "challengePeriod",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+  {
+    type: "function",
+    name: "challengeBond",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+]
+
+class MockBridgeNode {
+  /**
+   * @param {Web3} web3 A `web3` instance connected to the local chain.
+   * @param {string} wrbAddress The address of the `WitnetRequestBoard`, i.e. the current controller of the proxy.
+   * @param {object} options
+   * @param {string} options.from A committee member of the WRB, which reports the results.
+   * @param {object|string} [options.fixtures] Result specifications keyed by serialized data request, or the path of a
+   * JSON file containing them.
+   * @param {Function} [options.resolver] An async function receiving `{ id, bytecode }` and returning a result
+   * specification, or `undefined` to fall back to the fixtures.
+   * @param {number} [options.pollingInterval] Milliseconds between checks for new `PostedRequest` events.
+   * @param {number} [options.fromBlock] The block from which to look for `PostedRequest` events.
+   * @param {Function} [options.onError] Receives the errors thrown while polling after calling `start`.
+   */
+  constructor (web3, wrbAddress, {
+    from,
+    fixtures = {},
+    resolver,
+    pollingInterval = 1000,
+    fromBlock = 0,
+    onError = console.error,
+  }) {
+    this.web3 = web3
+    this.wrb = new web3.eth.Contract(WRB_ABI, wrbAddress)
+    this.from = from
+    this.fixtures = normalizeFixtures(typeof fixtures === "string" ? loadFixtures(fixtures) : fixtures)
+    this.resolver = resolver
+    this.pollingInterval = pollingInterval
+    this.onError = onError
+    this.nextBlock = fromBlock
+    this.postedRequestTopic = web3.utils.sha3("PostedRequest(uint256,address,uint256)")
+    this.timer = null
+  }
+
+  /**
+   * Starts polling for new data requests, which are resolved as soon as they are found.
+   * @returns {MockBridgeNode} The bridge node itself.
+   */
+  start () {
+    if (this.timer === null) {
+      const loop = async () => {
+        try {
+          await this.poll()
+        } catch (error) {
+          this.onError(error)
+        }
+        if (this.timer !== null) {
+          this.timer = setTimeout(loop, this.pollingInterval)
+        }
+      }
+      this.timer = setTimeout(loop, 0)
+    }
+    return this
+  }
+
+  /**
+   * Stops polling for new data requests.
+   */
+  stop () {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Resolves the data requests posted since the last poll. The polled blocks are only left behind once all of their
+   * requests have been processed, so that requests are not missed if resolving one of them throws.
+   * @returns {Promise<Array<object>>} The `id` and `result` of every reported data request.
+   */
+  async poll () {
+    const latestBlock = await this.web3.eth.getBlockNumber()
+    if (latestBlock < this.nextBlock) {
+      return []
+    }
+    const logs = await this.web3.eth.getPastLogs({
+      address: this.wrb.options.address,
+      topics: [this.postedRequestTopic],
+      fromBlock: this.nextBlock,
+      toBlock: latestBlock,
+    })
+
+    const reported = []
+    for (const log of logs) {
+      const id = this.web3.utils.toBN(log.topics[1]).toString()
+      // Requests merged into a shared one get resolved when the latter is reported
+      if (await this.wrb.methods.readSharedId(id).call() !== "0") {
+        continue
+      }
+      // Requests may have been reported already by a poll that threw before finishing
+      if (await this.wrb.methods.readDrTxHash(id).call() !== "0") {
+        continue
+      }
+      const result = await this.resolve(id)
+      if (result !== undefined) {
+        reported.push({ id, result })
+      }
+    }
+    this.nextBlock = latestBlock + 1
+    return reported
+  }
+
+  /**
+   * Reads a data request and reports its result, if the resolver or the fixtures provide one. The challenge bond is
+   * sent along with the report during challenge periods.
+   * @param {string|number} id The unique identifier of the data request.
+   * @returns {Promise<string|undefined>} The CBOR-encoded result that has been reported, if any.
+   */
+  async resolve (id) {
+    const bytecode = await this.wrb.methods.readDataRequest(id.toString()).call()
+    let spec = this.resolver ? await this.resolver({ id: id.toString(), bytecode }) : undefined
+    if (spec === undefined) {
+      spec = this.fixtures[bytecode.toLowerCase()]
+    }
+    if (spec === undefined) {
+      return undefined
+    }
+
+    const result = encodeSpec(spec)
+    // The data request transaction hash is made up, but it must be unique and non-zero
+    const drTxHash = this.web3.utils.soliditySha3({ t: "uint256", v: id.toString() }, { t: "bytes", v: bytecode })
+    const value = await this.wrb.methods.challengePeriod().call() === "0"
+      ? "0"
+      : await this.wrb.methods.challengeBond().call()
+    const report = this.wrb.methods.reportResult(id.toString(), drTxHash, result)
+    const transaction = { from: this.from, value }
+    await report.send({ ...transaction, gas: await report.estimateGas(transaction) })
+    return result
+  }
+}
+
+/**
+ * Reads result specifications keyed by serialized data request from a JSON file.
+ * @param {string} path The path of the JSON file.
+ * @returns {object} The result specifications.
+ */
+function loadFixtures (path) {
+  return JSON.parse(fs.readFileSync(path, "utf8"))
+}
+
+// Makes the keys of the fixtures comparable with the bytes returned by `readDataRequest`
+function normalizeFixtures (fixtures) {
+  return Object.keys(fixtures).reduce((normalized, bytecode) => {
+    normalized[`0x${toBuffer(bytecode).toString("hex")}`] = fixtures[bytecode]
+    return normalized
+  }, {})
+}
+
+// Encodes a result specification into CBOR
+function encodeSpec (spec) {
+  if ("result" in spec) {
+    return `0x${toBuffer(spec.result).toString("hex")}`
+  } else if ("error" in spec) {
+    return encodeError(spec.error, ...(spec.args || []))
+  } else if ("value" in spec) {
+    return encodeResult(spec.value)
+  }
+  throw new Error("Result specifications must have either a `value`, an `error` or a `result`")
+}
+
+module.exports = {
+  MockBridgeNode,
+  loadFixtures,
+}
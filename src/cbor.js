@@ -0,0 +1,339 @@
+/**
+ * A minimalistic encoder and decoder of "RFC 7049 Concise Binary Object Representation" values, covering every value
+ * that can be found in the result of a Witnet data request.
+ *
+ * Integers are decoded into `Number` values when they are safe integers, or into `BigInt` values otherwise. Maps are
+ * decoded into `Map` instances, as their keys are not necessarily strings. Tags other than bignums (tags 2 and 3) are
+ * preserved by wrapping the tagged value into a `Tagged` instance.
+ */
+
+// Returned when finding the "break" stop code that closes indefinite-length items
+const BREAK = Symbol("break")
+
+class Tagged {
+  constructor (tag, value) {
+    this.tag = tag
+    this.value = value
+  }
+}
+
+class Decoder {
+  constructor (buffer) {
+    this.buffer = buffer
+    this.cursor = 0
+  }
+
+  read (length) {
+    if (this.cursor + length > this.buffer.length) {
+      throw new Error("Not enough bytes in buffer when reading CBOR value")
+    }
+    const slice = this.buffer.slice(this.cursor, this.cursor + length)
+    this.cursor += length
+    return slice
+  }
+
+  readUint8 () {
+    return this.read(1).readUInt8(0)
+  }
+
+  // Reads the length or value encoded in the additional information of the initial byte of an item, or `null` if it
+  // corresponds to an indefinite-length item
+  readLength (additionalInformation) {
+    if (additionalInformation < 24) {
+      return additionalInformation
+    }
+    switch (additionalInformation) {
+      case 24:
+        return this.readUint8()
+      case 25:
+        return this.read(2).readUInt16BE(0)
+      case 26:
+        return this.read(4).readUInt32BE(0)
+      case 27:
+        return toSafeNumber(this.read(8).readBigUInt64BE(0))
+      case 31:
+        return null
+      default:
+        throw new Error(`Invalid length encoding (non-existent additionalInformation value ${additionalInformation})`)
+    }
+  }
+
+  decodeItem () {
+    const initialByte = this.readUint8()
+    const majorType = initialByte >> 5
+    const additionalInformation = initialByte & 0x1f
+
+    if (majorType === 7) {
+      return this.decodeSimpleOrFloat(additionalInformation)
+    }
+
+    const length = this.readLength(additionalInformation)
+    switch (majorType) {
+      case 0:
+        return length
+      case 1:
+        return toSafeNumber(-1n - BigInt(length))
+      case 2:
+        return length === null ? this.decodeIndefiniteString(2) : this.read(length)
+      case 3:
+        return length === null
+          ? this.decodeIndefiniteString(3).toString("utf8")
+          : this.read(length).toString("utf8")
+      case 4:
+        return this.decodeArray(length)
+      case 5:
+        return this.decodeMap(length)
+      default:
+        return this.decodeTagged(length)
+    }
+  }
+
+  decodeSimpleOrFloat (additionalInformation) {
+    switch (additionalInformation) {
+      case 20:
+        return false
+      case 21:
+        return true
+      case 22:
+        return null
+      case 23:
+        return undefined
+      case 25:
+        return decodeFloat16(this.read(2).readUInt16BE(0))
+      case 26:
+        return this.read(4).readFloatBE(0)
+      case 27:
+        return this.read(8).readDoubleBE(0)
+      case 31:
+        return BREAK
+      default:
+        throw new Error(`Unsupported CBOR simple value ${additionalInformation}`)
+    }
+  }
+
+  decodeIndefiniteString (majorType) {
+    const chunks = []
+    for (;;) {
+      const initialByte = this.readUint8()
+      if (initialByte === 0xff) {
+        return Buffer.concat(chunks)
+      }
+      const length = this.readLength(initialByte & 0x1f)
+      if (initialByte >> 5 !== majorType || length === null) {
+        throw new Error("Invalid indefinite length")
+      }
+      chunks.push(this.read(length))
+    }
+  }
+
+  decodeArray (length) {
+    const array = []
+    if (length === null) {
+      for (let item = this.decodeItem(); item !== BREAK; item = this.decodeItem()) {
+        array.push(item)
+      }
+    } else {
+      for (let i = 0; i < length; i++) {
+        array.push(this.decodeDefinedItem())
+      }
+    }
+    return array
+  }
+
+  decodeMap (length) {
+    const map = new Map()
+    if (length === null) {
+      for (let key = this.decodeItem(); key !== BREAK; key = this.decodeItem()) {
+        map.set(key, this.decodeDefinedItem())
+      }
+    } else {
+      for (let i = 0; i < length; i++) {
+        const key = this.decodeDefinedItem()
+        map.set(key, this.decodeDefinedItem())
+      }
+    }
+    return map
+  }
+
+  decodeTagged (tag) {
+    const value = this.decodeDefinedItem()
+    // Bignums are represented as byte strings containing their big-endian absolute value
+    if ((tag === 2 || tag === 3) && Buffer.isBuffer(value)) {
+      const absolute = value.length === 0 ? 0n : BigInt(`0x${value.toString("hex")}`)
+      return tag === 2 ? absolute : -1n - absolute
+    }
+    return new Tagged(tag, value)
+  }
+
+  // Decodes an item, making sure it is not a "break" stop code
+  decodeDefinedItem () {
+    const item = this.decodeItem()
+    if (item === BREAK) {
+      throw new Error("Unexpected break stop code")
+    }
+    return item
+  }
+}
+
+class Encoder {
+  constructor () {
+    this.chunks = []
+  }
+
+  write (chunk) {
+    this.chunks.push(chunk)
+  }
+
+  // Writes the initial byte of an item, followed by its length or value using the shortest possible encoding
+  writeHead (majorType, length) {
+    length = BigInt(length)
+    if (length < 24n) {
+      this.write(Buffer.from([majorType << 5 | Number(length)]))
+    } else if (length < 0x100n) {
+      this.write(Buffer.from([majorType << 5 | 24, Number(length)]))
+    } else if (length < 0x10000n) {
+      const buffer = Buffer.alloc(3)
+      buffer.writeUInt8(majorType << 5 | 25, 0)
+      buffer.writeUInt16BE(Number(length), 1)
+      this.write(buffer)
+    } else if (length < 0x100000000n) {
+      const buffer = Buffer.alloc(5)
+      buffer.writeUInt8(majorType << 5 | 26, 0)
+      buffer.writeUInt32BE(Number(length), 1)
+      this.write(buffer)
+    } else if (length < 0x10000000000000000n) {
+      const buffer = Buffer.alloc(9)
+      buffer.writeUInt8(majorType << 5 | 27, 0)
+      buffer.writeBigUInt64BE(length, 1)
+      this.write(buffer)
+    } else {
+      throw new Error(`Cannot encode length or value ${length} in a CBOR item head`)
+    }
+  }
+
+  encodeItem (value) {
+    if (value === false) {
+      this.write(Buffer.from([0xf4]))
+    } else if (value === true) {
+      this.write(Buffer.from([0xf5]))
+    } else if (value === null) {
+      this.write(Buffer.from([0xf6]))
+    } else if (value === undefined) {
+      this.write(Buffer.from([0xf7]))
+    } else if (typeof value === "number" && !Number.isInteger(value)) {
+      const buffer = Buffer.alloc(9)
+      buffer.writeUInt8(0xfb, 0)
+      buffer.writeDoubleBE(value, 1)
+      this.write(buffer)
+    } else if (typeof value === "number" || typeof value === "bigint") {
+      this.encodeInteger(BigInt(value))
+    } else if (typeof value === "string") {
+      const bytes = Buffer.from(value, "utf8")
+      this.writeHead(3, bytes.length)
+      this.write(bytes)
+    } else if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      this.writeHead(2, value.length)
+      this.write(Buffer.from(value))
+    } else if (Array.isArray(value)) {
+      this.writeHead(4, value.length)
+      value.forEach(item => this.encodeItem(item))
+    } else if (value instanceof Tagged) {
+      this.writeHead(6, value.tag)
+      this.encodeItem(value.value)
+    } else {
+      const entries = value instanceof Map ? Array.from(value.entries()) : Object.entries(value)
+      this.writeHead(5, entries.length)
+      entries.forEach(([key, item]) => {
+        this.encodeItem(key)
+        this.encodeItem(item)
+      })
+    }
+  }
+
+  // Integers that do not fit into 64 bits are encoded as bignums
+  encodeInteger (value) {
+    const majorType = value < 0n ? 1 : 0
+    const absolute = value < 0n ? -1n - value : value
+    if (absolute < 0x10000000000000000n) {
+      this.writeHead(majorType, absolute)
+    } else {
+      let hex = absolute.toString(16)
+      hex = hex.length % 2 ? `0${hex}` : hex
+      this.writeHead(6, majorType === 0 ? 2 : 3)
+      this.encodeItem(Buffer.from(hex, "hex"))
+    }
+  }
+}
+
+/**
+ * Encodes a native JavaScript value into CBOR. Non-integer numbers are encoded as double precision floats, and plain
+ * objects are encoded as maps with string keys.
+ * @param {*} value The value to be encoded.
+ * @returns {Buffer} The CBOR-encoded bytes.
+ */
+function encode (value) {
+  const encoder = new Encoder()
+  encoder.encodeItem(value)
+  return Buffer.concat(encoder.chunks)
+}
+
+/**
+ * Decodes CBOR-encoded bytes into a native JavaScript value.
+ * @param {string|Buffer|Uint8Array} bytes The CBOR-encoded bytes, as a `Buffer` or a hex string.
+ * @returns {*} The decoded value.
+ */
+function decode (bytes) {
+  const buffer = toBuffer(bytes)
+  if (buffer.length === 0) {
+    throw new Error("Found empty buffer when parsing CBOR value")
+  }
+  const decoder = new Decoder(buffer)
+  return decoder.decodeDefinedItem()
+}
+
+/**
+ * Decodes an IEEE 754 half-precision floating point number.
+ * @param {number} half The 16 bits of the number.
+ * @returns {number} The decoded number.
+ */
+function decodeFloat16 (half) {
+  const sign = half & 0x8000 ? -1 : 1
+  const exponent = (half & 0x7c00) >> 10
+  const fraction = half & 0x03ff
+  if (exponent === 0) {
+    return sign * Math.pow(2, -14) * (fraction / 1024)
+  } else if (exponent === 0x1f) {
+    return fraction ? NaN : sign * Infinity
+  }
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024)
+}
+
+/**
+ * Converts a `BigInt` into a `Number` if it can be represented safely.
+ * @param {bigint} value A `BigInt` value.
+ * @returns {number|bigint} The value as a `Number` if it is a safe integer, or as a `BigInt` otherwise.
+ */
+function toSafeNumber (value) {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)
+    ? Number(value)
+    : value
+}
+
+/**
+ * Converts a hex string (with or without `0x` prefix) or any array of bytes into a `Buffer`.
+ * @param {string|Buffer|Uint8Array} bytes The bytes to be converted.
+ * @returns {Buffer} The bytes as a `Buffer`.
+ */
+function toBuffer (bytes) {
+  if (typeof bytes === "string") {
+    return Buffer.from(bytes.startsWith("0x") ? bytes.slice(2) : bytes, "hex")
+  }
+  return Buffer.from(bytes)
+}
+
+module.exports = {
+  Tagged,
+  decode,
+  encode,
+  toBuffer,
+}
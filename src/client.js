@@ -0,0 +1,231 @@
+/**
+ * A thin client around a `WitnetRequestBoardProxy` (or a bare `WitnetRequestBoard`) for deploying and posting data
+ * requests and waiting for their results, built on top of a `web3` instance.
+ */
+
+const { encodeDataRequest } = require("./request")
+const { decodeResult } = require("./result")
+
+// Fragments of the ABI of `WitnetRequestBoardProxy` that are used by the client
+const WRB_ABI = [
+  {
+    type: "function",
+    name: "postDataRequest",
+    stateMutability: "payable",
+    inputs: [{ name: "_requestAddress", type: "address" }],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+  {
+    type: "function",
+    name: "postDataRequestWithMaxResultSize",
+    stateMutability: "payable",
+    inputs: [{ name: "_requestAddress", type: "address" }, { name: "_maxResultSize", type: "uint256" }],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+  {
+    type: "function",
+    name: "estimateGasCost",
+    stateMutability: "view",
+    inputs: [{ name: "_gasPrice", type: "uint256" }],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+  {
+    type: "function",
+    name: "estimateGasCostWithMaxResultSize",
+    stateMutability: "view",
+    inputs: [{ name: "_gasPrice", type: "uint256" }, { name: "_maxResultSize", type: "uint256" }],
+    outputs: [{ name: "", type: "uint256" }],
+  },
+  {
+    type: "function",
+    name: "readResult",
+    stateMutability: "view",
+    inputs: [{ name: "_id", type: "uint256" }],
+    outputs: [{ name: "", type: "bytes" }],
+  },
+  {
+    type: "function",
+    name: "isResultFinal",
+    stateMutability: "view",
+    inputs: [{ name: "_id", type: "uint256" }],
+    outputs: [{ name: "", type: "bool" }],
+  },
+  {
+    type: "function",
+    name: "supportsInterface",
+    stateMutability: "view",
+    inputs: [{ name: "_interfaceId", type: "bytes4" }],
+    outputs: [{ name: "", type: "bool" }],
+  },
+  {
+    type: "function",
+    name: "getController",
+    stateMutability: "view",
+    inputs: [{ name: "_id", type: "uint256" }],
+    outputs: [{ name: "_controllerAddress", type: "address" }, { name: "_offset", type: "uint256" }],
+  },
+  {
+    type: "function",
+    name: "getControllers",
+    stateMutability: "view",
+    inputs: [],
+    outputs: [{
+      name: "",
+      type: "tuple[]",
+      components: [{ name: "controllerAddress", type: "address" }, { name: "lastId", type: "uint256" }],
+    }],
+  },
+]
+
+// The ERC-165 interface identifier of `supportsInterface`, which bare WRBs implement but proxies do not
+const ERC165_INTERFACE_ID = "0x01ffc9a7"
+
+class WitnetClient {
+  /**
+   * @param {Web3} web3 A `web3` instance connected to the chain where the WRB lives.
+   * @param {string} wrbAddress The address of the `WitnetRequestBoardProxy`, or of a bare `WitnetRequestBoard`.
+   * @param {object} [options]
+   * @param {object} [options.requestArtifact] The Truffle artifact of the `Request` contract, which defaults to the
+   * one in the `build` folder.
+   */
+  constructor (web3, wrbAddress, { requestArtifact } = {}) {
+    this.web3 = web3
+    this.wrbAddress = wrbAddress
+    this.wrb = new web3.eth.Contract(WRB_ABI, wrbAddress)
+    this.requestArtifact = requestArtifact
+    this.postedRequestTopic = web3.utils.sha3("PostedRequest(uint256,address,uint256)")
+    this.postedResultTopic = web3.utils.sha3("PostedResult(uint256,address,uint256)")
+  }
+
+  /**
+   * Deploys a `Request` contract holding a serialized data request.
+   * @param {string|object} request The data request, either serialized or as accepted by `encodeDataRequest`.
+   * @param {object} options
+   * @param {string} options.from The account deploying the request.
+   * @returns {Promise<string>} The address of the `Request` contract.
+   */
+  async deployRequest (request, { from }) {
+    const artifact = this.requestArtifact || require("../build/contracts/Request.json")
+    const bytecode = typeof request === "string" ? request : encodeDataRequest(request)
+    const contract = new this.web3.eth.Contract(artifact.abi)
+    const deployment = contract.deploy({ data: artifact.bytecode, arguments: [bytecode] })
+    const instance = await deployment.send({ from, gas: await deployment.estimateGas({ from }) })
+    return instance.options.address
+  }
+
+  /**
+   * Posts a data request into the WRB, deploying its `Request` contract first unless an address is given. The reward
+   * defaults to the one estimated by the WRB for the gas price.
+   * @param {string|object} request The address of a `Request` contract, or a data request to be deployed.
+   * @param {object} options
+   * @param {string} options.from The account posting the request.
+   * @param {string|number} [options.gasPrice] The gas price, which defaults to the one suggested by the node.
+   * @param {string|number} [options.reward] The reward, if it has to be higher than the estimated one.
+   * @param {number} [options.maxResultSize] The maximum size in bytes of the result, if it may exceed the default one.
+   * @returns {Promise<object>} The `id` of the request, its `requestAddress` and the `transactionHash` of the post.
+   */
+  async postRequest (request, { from, gasPrice, reward, maxResultSize } = {}) {
+    const { toBN } = this.web3.utils
+    const requestAddress = this.web3.utils.isAddress(request)
+      ? request
+      : await this.deployRequest(request, { from })
+    gasPrice = gasPrice || await this.web3.eth.getGasPrice()
+    const estimate = maxResultSize
+      ? this.wrb.methods.estimateGasCostWithMaxResultSize(gasPrice, maxResultSize)
+      : this.wrb.methods.estimateGasCost(gasPrice)
+    const estimatedReward = toBN(await estimate.call())
+    const value = reward && toBN(reward).gt(estimatedReward) ? toBN(reward) : estimatedReward
+
+    const post = maxResultSize
+      ? this.wrb.methods.postDataRequestWithMaxResultSize(requestAddress, maxResultSize)
+      : this.wrb.methods.postDataRequest(requestAddress)
+    const transaction = { from, value: value.toString(), gasPrice }
+    const receipt = await post.send({ ...transaction, gas: await post.estimateGas(transaction) })
+    const log = (await this.web3.eth.getTransactionReceipt(receipt.transactionHash)).logs
+      .find(log => log.topics[0] === this.postedRequestTopic)
+    const id = toBN(log.topics[1]).add(toBN(await this.getOffset(log.address)))
+
+    return { id: id.toString(), requestAddress, transactionHash: receipt.transactionHash }
+  }
+
+  /**
+   * Waits for the `PostedResult` event of a data request and for its result to be final, i.e. for its challenge period
+   * to pass without disputes, and then reads and decodes the result.
+   * @param {string|number} id The unique identifier of the data request.
+   * @param {object} [options]
+   * @param {number} [options.timeout] Milliseconds to wait for before giving up.
+   * @param {number} [options.pollingInterval] Milliseconds between checks for new `PostedResult` events.
+   * @param {number} [options.fromBlock] The block from which to look for the `PostedResult` event.
+   * @returns {Promise<object>} The decoded result, as returned by `decodeResult`.
+   */
+  async waitForResult (id, { timeout = 60000, pollingInterval = 1000, fromBlock = 0 } = {}) {
+    const { padLeft, toBN, toHex } = this.web3.utils
+    const { controllerAddress, offset } = await this.getController(id)
+    const localId = toBN(id).sub(toBN(offset))
+    const deadline = Date.now() + timeout
+
+    for (;;) {
+      // The identifier of the data request is an indexed argument of `PostedResult`
+      const logs = await this.web3.eth.getPastLogs({
+        address: controllerAddress,
+        topics: [this.postedResultTopic, padLeft(toHex(localId), 64)],
+        fromBlock,
+      })
+      if (logs.length > 0 && await this.wrb.methods.isResultFinal(id.toString()).call()) {
+        return this.readResult(id)
+      }
+      if (Date.now() + pollingInterval > deadline) {
+        throw new Error(`Timed out waiting for the result of data request #${id}`)
+      }
+      await new Promise(resolve => setTimeout(resolve, pollingInterval))
+    }
+  }
+
+  /**
+   * Reads and decodes the result of a data request that has already been resolved.
+   * @param {string|number} id The unique identifier of the data request.
+   * @returns {Promise<object>} The decoded result, as returned by `decodeResult`.
+   */
+  async readResult (id) {
+    return decodeResult(await this.wrb.methods.readResult(id.toString()).call())
+  }
+
+  // Gets the WRB controller holding a data request, which is the WRB itself if it is not a proxy
+  async getController (id) {
+    if (!await this.isProxy()) {
+      return { controllerAddress: this.wrbAddress, offset: "0" }
+    }
+    const controller = await this.wrb.methods.getController(id.toString()).call()
+    return { controllerAddress: controller._controllerAddress, offset: controller._offset }
+  }
+
+  // Tells whether the WRB is a proxy, as calls to the `supportsInterface` method that only bare WRBs have revert
+  async isProxy () {
+    if (this.proxy === undefined) {
+      try {
+        this.proxy = !await this.wrb.methods.supportsInterface(ERC165_INTERFACE_ID).call()
+      } catch (e) {
+        if (!/revert/i.test(e.message)) {
+          throw e
+        }
+        this.proxy = true
+      }
+    }
+    return this.proxy
+  }
+
+  // Gets the offset of the ids of a WRB controller, which is zero if the WRB is not a proxy
+  async getOffset (controllerAddress) {
+    if (controllerAddress.toLowerCase() === this.wrbAddress.toLowerCase()) {
+      return "0"
+    }
+    const controllers = await this.wrb.methods.getControllers().call()
+    const controller = controllers.slice().reverse()
+      .find(controller => controller.controllerAddress.toLowerCase() === controllerAddress.toLowerCase())
+    return controller.lastId
+  }
+}
+
+module.exports = {
+  WitnetClient,
+}
@@ -0,0 +1,24 @@
+/**
+ * JavaScript SDK for building, posting and decoding Witnet data requests through the Witnet Ethereum bridge.
+ */
+
+const cbor = require("./cbor")
+const { RETRIEVAL_HTTP_GET, Filters, Reducers, encodeDataRequest } = require("./request")
+const { ErrorCodes, decodeResult, encodeError, encodeResult } = require("./result")
+const { WitnetClient } = require("./client")
+const { MockBridgeNode, loadFixtures } = require("./bridge")
+
+module.exports = {
+  RETRIEVAL_HTTP_GET,
+  Filters,
+  Reducers,
+  ErrorCodes,
+  MockBridgeNode,
+  WitnetClient,
+  cbor,
+  decodeResult,
+  encodeDataRequest,
+  encodeError,
+  encodeResult,
+  loadFixtures,
+}
@@ -0,0 +1,148 @@
+/**
+ * Serialization of Witnet data requests into the Protocol Buffers layout expected by the `Request` contract, mirroring
+ * the on-chain serialization in `RequestLib.sol`.
+ *
+ * Fields holding their default value (i.e. zero or empty) are omitted from the serialization, as mandated by `proto3`.
+ * Retrieval scripts and filter arguments are expected to be already CBOR-encoded RADON values.
+ */
+
+const { toBuffer } = require("./cbor")
+
+// Retrieval kind of the sources that are retrieved through an HTTP GET request
+const RETRIEVAL_HTTP_GET = 0x00
+
+// Filters that can be applied in the aggregation and tally stages
+const Filters = {
+  DeviationStandard: 0x05,
+  Mode: 0x08,
+}
+
+// Reducers that can be applied in the aggregation and tally stages
+const Reducers = {
+  Mode: 0x02,
+  AverageMean: 0x03,
+  AverageMedian: 0x05,
+}
+
+// Protocol Buffers wire types
+const WIRE_TYPE_VARINT = 0
+const WIRE_TYPE_LENGTH_DELIMITED = 2
+
+/**
+ * Serializes a data request into the bytes that a `Request` contract is constructed around.
+ * @param {object} request The data request, with the same fields as `RequestLib.DataRequest`.
+ * @returns {string} The serialized data request as a `0x`-prefixed hex string.
+ */
+function encodeDataRequest (request) {
+  if (!request.sources || request.sources.length === 0) {
+    throw new Error("The data request must have at least one source")
+  }
+  if (!(request.witnesses > 0)) {
+    throw new Error("The data request must have at least one witness")
+  }
+  if (!(request.minConsensusPercentage > 50 && request.minConsensusPercentage < 100)) {
+    throw new Error("The minimum consensus percentage must be between 51 and 99")
+  }
+
+  const radRequest = Buffer.concat([
+    encodeVarintField(1, request.timeLock),
+    ...request.sources.map(source => encodeMessageField(2, encodeSource(source))),
+    encodeMessageField(3, encodeReducer(request.aggregator)),
+    encodeMessageField(4, encodeReducer(request.tally)),
+  ])
+
+  const encoded = Buffer.concat([
+    encodeMessageField(1, radRequest),
+    encodeVarintField(2, request.witnessReward),
+    encodeVarintField(3, request.witnesses),
+    encodeVarintField(4, request.commitAndRevealFee),
+    encodeVarintField(5, request.minConsensusPercentage),
+    encodeVarintField(6, request.collateral),
+  ])
+
+  return `0x${encoded.toString("hex")}`
+}
+
+/**
+ * Serializes a data request source.
+ * @param {object} source The source, with `kind`, `url` and `script` fields.
+ * @returns {Buffer} The serialized source.
+ */
+function encodeSource (source) {
+  return Buffer.concat([
+    encodeVarintField(1, source.kind),
+    encodeBytesField(2, Buffer.from(source.url || "", "utf8")),
+    encodeBytesField(3, toBuffer(source.script || "")),
+  ])
+}
+
+/**
+ * Serializes the filters and reducer of the aggregation or tally stages.
+ * @param {object} reducer The stage, with `filters` and `reducer` fields.
+ * @returns {Buffer} The serialized stage.
+ */
+function encodeReducer ({ filters = [], reducer } = {}) {
+  return Buffer.concat([
+    ...filters.map(filter => encodeMessageField(1, Buffer.concat([
+      encodeVarintField(1, filter.op),
+      encodeBytesField(2, toBuffer(filter.args || "")),
+    ]))),
+    encodeVarintField(2, reducer),
+  ])
+}
+
+/**
+ * Encodes an unsigned integer as a Protocol Buffers base 128 varint.
+ * @param {number|bigint|string} value The value to be encoded.
+ * @returns {Buffer} The varint encoding of the value.
+ */
+function encodeVarint (value) {
+  let remaining = BigInt(value)
+  if (remaining < 0n) {
+    throw new Error("Cannot encode negative numbers as varint")
+  }
+  const bytes = []
+  do {
+    let nextByte = Number(remaining & 0x7fn)
+    remaining >>= 7n
+    if (remaining !== 0n) {
+      nextByte |= 0x80
+    }
+    bytes.push(nextByte)
+  } while (remaining !== 0n)
+  return Buffer.from(bytes)
+}
+
+// Encodes a varint field, omitting it if it holds the default value
+function encodeVarintField (field, value) {
+  if (value === undefined || BigInt(value) === 0n) {
+    return Buffer.alloc(0)
+  }
+  return Buffer.concat([encodeKey(field, WIRE_TYPE_VARINT), encodeVarint(value)])
+}
+
+// Encodes a bytes or string field, omitting it if it is empty
+function encodeBytesField (field, value) {
+  if (value.length === 0) {
+    return Buffer.alloc(0)
+  }
+  return encodeMessageField(field, value)
+}
+
+// Encodes an embedded message field. Messages are always encoded, even if empty, so as to mark them as present
+function encodeMessageField (field, value) {
+  return Buffer.concat([encodeKey(field, WIRE_TYPE_LENGTH_DELIMITED), encodeVarint(value.length), value])
+}
+
+// Encodes the key of a field, which combines the field number and the wire type
+function encodeKey (field, wireType) {
+  return encodeVarint(field << 3 | wireType)
+}
+
+module.exports = {
+  RETRIEVAL_HTTP_GET,
+  Filters,
+  Reducers,
+  encodeDataRequest,
+  encodeVarint,
+}
@@ -0,0 +1,101 @@
+/**
+ * Encoding and decoding of the CBOR-encoded results of Witnet data requests, as reported into the `WitnetRequestBoard`.
+ */
+
+const { Tagged, decode, encode } = require("./cbor")
+
+// Witnet uses CBOR tag 39 to represent RADON error code identifiers
+const ERROR_TAG = 39
+
+// Mirrors the allocated members of `Witnet.ErrorCodes`
+const ErrorCodes = {
+  Unknown: 0x00,
+  SourceScriptNotCBOR: 0x01,
+  SourceScriptNotArray: 0x02,
+  SourceScriptNotRADON: 0x03,
+  RequestTooManySources: 0x10,
+  ScriptTooManyCalls: 0x11,
+  UnsupportedOperator: 0x20,
+  HTTP: 0x30,
+  RetrievalTimeout: 0x31,
+  Underflow: 0x40,
+  Overflow: 0x41,
+  DivisionByZero: 0x42,
+  NoReveals: 0x50,
+  InsufficientConsensus: 0x51,
+  InsufficientCommits: 0x52,
+  TallyExecution: 0x53,
+  MalformedReveal: 0x60,
+  ArrayIndexOutOfBounds: 0x70,
+  MapKeyNotFound: 0x71,
+  BridgeMalformedRequest: 0xE0,
+  BridgePoorIncentives: 0xE1,
+  BridgeOversizedResult: 0xE2,
+  UnhandledIntercept: 0xFF,
+}
+
+const errorNames = Object.keys(ErrorCodes).reduce((names, name) => {
+  names[ErrorCodes[name]] = name
+  return names
+}, {})
+
+/**
+ * Decodes the result of a data request.
+ * @param {string|Buffer} bytes The CBOR-encoded result, as a `Buffer` or a hex string.
+ * @returns {object} `{ success: true, value }` for successful results, or `{ success: false, error }` for errored
+ * results, where `error` holds the numeric `code`, its `name` in `Witnet.ErrorCodes` and the error `args`.
+ */
+function decodeResult (bytes) {
+  const value = decode(bytes)
+  if (value instanceof Tagged && value.tag === ERROR_TAG) {
+    return { success: false, error: decodeError(value.value) }
+  }
+  return { success: true, value }
+}
+
+/**
+ * Decodes the value of an errored result into its error code and arguments.
+ * @param {*} value The value enclosed by the CBOR tag 39.
+ * @returns {object} The error, with `code`, `name` and `args` fields.
+ */
+function decodeError (value) {
+  const raw = Array.isArray(value) ? value : [value]
+  if (raw.length === 0 || typeof raw[0] !== "number") {
+    return { code: ErrorCodes.Unknown, name: "Unknown", args: [] }
+  }
+  const [code, ...args] = raw
+  return { code, name: errorNames[code] || "Unknown", args }
+}
+
+/**
+ * Encodes a successful result the same way Witnet does.
+ * @param {*} value The value of the result.
+ * @returns {string} The CBOR-encoded result as a `0x`-prefixed hex string.
+ */
+function encodeResult (value) {
+  return `0x${encode(value).toString("hex")}`
+}
+
+/**
+ * Encodes an errored result in Witnet's error format, i.e. an array with the error code and its arguments, enclosed by
+ * the CBOR tag 39.
+ * @param {number|string} code The numeric error code, or its name in `ErrorCodes`.
+ * @param {...*} args The arguments of the error, e.g. the index of the source and the status code of an `HTTP` error.
+ * @returns {string} The CBOR-encoded result as a `0x`-prefixed hex string.
+ */
+function encodeError (code, ...args) {
+  if (typeof code === "string") {
+    if (!(code in ErrorCodes)) {
+      throw new Error(`Unknown error code name "${code}"`)
+    }
+    code = ErrorCodes[code]
+  }
+  return `0x${encode(new Tagged(ERROR_TAG, [code, ...args])).toString("hex")}`
+}
+
+module.exports = {
+  ErrorCodes,
+  decodeResult,
+  encodeError,
+  encodeResult,
+}
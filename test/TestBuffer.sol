@@ -151,6 +151,54 @@ contract TestBuffer {
     Assert.isFalse(r, "Next for out of bounds fail");
   }
 
+  function testReadFloat32() external {
+    // 3.14159 as binary32, which actually holds 3.1415901184082031...
+    BufferLib.Buffer memory buf = BufferLib.Buffer(hex"40490fd0", 0);
+    Assert.equal(buf.readFloat32(8), int256(314159011), "Read Float32 with 8 decimals from a Buffer");
+
+    buf = BufferLib.Buffer(hex"4788b840", 0);
+    Assert.equal(buf.readFloat32(1), int256(700005), "Read Float32 beyond the Float16 range from a Buffer");
+
+    // -1e-7 as binary32, which actually holds -1.0000000116860974...e-7
+    buf = BufferLib.Buffer(hex"b3d6bf95", 0);
+    Assert.equal(buf.readFloat32(18), int256(-100000001168), "Read negative Float32 truncated towards zero from a Buffer");
+  }
+
+  function testReadFloat64() external {
+    // 45000.12345678 as binary64, which actually holds 45000.1234567799983...
+    BufferLib.Buffer memory buf = BufferLib.Buffer(hex"40e5f903f35ba212", 0);
+    Assert.equal(buf.readFloat64(8), int256(4500012345677), "Read Float64 with 8 decimals from a Buffer");
+
+    buf = BufferLib.Buffer(hex"bfe0000000000000", 0);
+    Assert.equal(buf.readFloat64(3), int256(-500), "Read negative Float64 from a Buffer");
+
+    // The smallest subnormal binary64 is way below the precision of the output
+    buf = BufferLib.Buffer(hex"0000000000000001", 0);
+    Assert.equal(buf.readFloat64(18), int256(0), "Read subnormal Float64 from a Buffer");
+  }
+
+  function testReadFloat16WithDecimals() external {
+    // 1.5 and the smallest subnormal binary16, i.e. 2^-24 = 0.000000059604644775390625
+    BufferLib.Buffer memory buf = BufferLib.Buffer(hex"3e000001", 0);
+    Assert.equal(buf.readFloat16(2), int256(150), "Read Float16 with 2 decimals from a Buffer");
+    Assert.equal(buf.readFloat16(24), int256(59604644775390625), "Read subnormal Float16 with 24 decimals from a Buffer");
+  }
+
+  function testReadInfiniteFloat32() external {
+    bool r;
+    // solhint-disable-next-line avoid-low-level-calls
+    (r,) = address(this).call(abi.encodeWithSelector(this.errorReadFloat32.selector, bytes(hex"7f800000")));
+    Assert.isFalse(r, "Reading an infinite Float32 should fail");
+  }
+
+  function testReadTooBigFloat64() external {
+    bool r;
+    // The biggest finite binary64, i.e. ~1.8e308
+    // solhint-disable-next-line avoid-low-level-calls
+    (r,) = address(this).call(abi.encodeWithSelector(this.errorReadFloat64.selector, bytes(hex"7fefffffffffffff")));
+    Assert.isFalse(r, "Reading a Float64 that does not fit into an int256 should fail");
+  }
+
   function errorReadAsUint16(bytes memory data) public {
     BufferLib.Buffer memory buf = BufferLib.Buffer(data, 0);
     buf.readUint16();
@@ -176,6 +224,16 @@ contract TestBuffer {
     buf.readUint256();
   }
 
+  function errorReadFloat32(bytes memory data) public pure {
+    BufferLib.Buffer memory buf = BufferLib.Buffer(data, 0);
+    buf.readFloat32(5);
+  }
+
+  function errorReadFloat64(bytes memory data) public pure {
+    BufferLib.Buffer memory buf = BufferLib.Buffer(data, 0);
+    buf.readFloat64(5);
+  }
+
   function errorReadNext(BufferLib.Buffer memory buf) public {
     buf.next();
   }
@@ -352,4 +352,172 @@ contract TestCBOR {
   //     "CBOR-encoded Array of String values should be decoded into a CBOR.Value containing the correct String values (error at item 3)"
   //   );
   // }
+
+  function testArrayDecode() external {
+    // [1, [2, 3], "a"]
+    CBOR.Value[] memory decoded = CBOR.valueFromBytes(hex"83018202036161").decodeArray();
+    Assert.equal(decoded.length, 3, "CBOR-encoded Array should be decoded into as many CBOR.Value items as it has");
+    Assert.equal(uint(decoded[0].decodeUint64()), 1, "CBOR-encoded Array should be decoded into the correct items (error at item 0)");
+    uint64[] memory nested = decoded[1].decodeUint64Array();
+    Assert.equal(nested.length, 2, "CBOR-encoded nested Array should be decoded into a CBOR.Value holding the nested Array");
+    Assert.equal(uint(nested[1]), 3, "CBOR-encoded nested Array should be decoded into the correct Uint64 values");
+    Assert.equal(decoded[2].decodeString(), "a", "CBOR-encoded Array should be decoded into the correct items (error at item 2)");
+  }
+
+  function testIndefiniteArrayDecode() external {
+    // [_ 1, [_ 2, 3], "a"]
+    CBOR.Value[] memory decoded = CBOR.valueFromBytes(hex"9f019f0203ff6161ff").decodeArray();
+    Assert.equal(decoded.length, 3, "Indefinite-length CBOR-encoded Array should be decoded into as many CBOR.Value items as it has");
+    Assert.equal(uint(decoded[0].decodeUint64()), 1, "Indefinite-length CBOR-encoded Array should be decoded into the correct items (error at item 0)");
+    CBOR.Value[] memory nested = decoded[1].decodeArray();
+    Assert.equal(nested.length, 2, "Indefinite-length CBOR-encoded nested Array should be decoded into a CBOR.Value holding the nested Array");
+    Assert.equal(uint(nested[1].decodeUint64()), 3, "Indefinite-length CBOR-encoded nested Array should be decoded into the correct items");
+    Assert.equal(decoded[2].decodeString(), "a", "Indefinite-length CBOR-encoded Array should be decoded into the correct items (error at item 2)");
+  }
+
+  function testArraySkipsTaggedAndFloatItems() external {
+    // [1.5, 2(h'01'), 7]
+    CBOR.Value[] memory decoded = CBOR.valueFromBytes(hex"83f93e00c2410107").decodeArray();
+    Assert.equal(decoded.length, 3, "CBOR-encoded Array with floats and tags should be decoded into as many CBOR.Value items as it has");
+    Assert.equal(int(decoded[0].decodeFixed16()), 15000, "CBOR-encoded Array should be decoded into the correct items (error at item 0)");
+    Assert.equal(uint(decoded[1].tag), 2, "CBOR-encoded Array should keep the tags of its items");
+    Assert.equal(uint(decoded[2].decodeUint64()), 7, "CBOR-encoded Array should be decoded into the correct items (error at item 2)");
+  }
+
+  function testMapDecode() external {
+    // {"bitstamp": 45000, "coindesk": 45100}
+    (CBOR.Value[] memory keys, CBOR.Value[] memory values) = CBOR.valueFromBytes(
+      hex"a2686269747374616d7019afc868636f696e6465736b19b02c"
+    ).decodeMap();
+    Assert.equal(keys.length, 2, "CBOR-encoded Map should be decoded into as many keys as it has");
+    Assert.equal(values.length, 2, "CBOR-encoded Map should be decoded into as many values as it has");
+    Assert.equal(keys[0].decodeString(), "bitstamp", "CBOR-encoded Map should be decoded into the correct keys (error at key 0)");
+    Assert.equal(uint(values[0].decodeUint64()), 45000, "CBOR-encoded Map should be decoded into the correct values (error at value 0)");
+    Assert.equal(keys[1].decodeString(), "coindesk", "CBOR-encoded Map should be decoded into the correct keys (error at key 1)");
+    Assert.equal(uint(values[1].decodeUint64()), 45100, "CBOR-encoded Map should be decoded into the correct values (error at value 1)");
+  }
+
+  function testIndefiniteMapDecode() external {
+    // {_ "BTC": {"bitstamp": 45000}, "prices": [_ 1, 2]}
+    (CBOR.Value[] memory keys, CBOR.Value[] memory values) = CBOR.valueFromBytes(
+      hex"bf63425443a1686269747374616d7019afc8667072696365739f0102ffff"
+    ).decodeMap();
+    Assert.equal(keys.length, 2, "Indefinite-length CBOR-encoded Map should be decoded into as many keys as it has");
+    Assert.equal(keys[0].decodeString(), "BTC", "Indefinite-length CBOR-encoded Map should be decoded into the correct keys (error at key 0)");
+    (CBOR.Value[] memory nestedKeys, CBOR.Value[] memory nestedValues) = values[0].decodeMap();
+    Assert.equal(nestedKeys[0].decodeString(), "bitstamp", "CBOR-encoded nested Map should be decoded into the correct keys");
+    Assert.equal(uint(nestedValues[0].decodeUint64()), 45000, "CBOR-encoded nested Map should be decoded into the correct values");
+    Assert.equal(keys[1].decodeString(), "prices", "Indefinite-length CBOR-encoded Map should be decoded into the correct keys (error at key 1)");
+    CBOR.Value[] memory prices = values[1].decodeArray();
+    Assert.equal(prices.length, 2, "CBOR-encoded Array nested into a Map should be decoded into as many items as it has");
+    Assert.equal(uint(prices[1].decodeUint64()), 2, "CBOR-encoded Array nested into a Map should be decoded into the correct items");
+  }
+
+  function helperDecodeMapWithoutValueRevert() public pure {
+    CBOR.valueFromBytes(hex"bf6161ff").decodeMap();
+  }
+
+  function testMapWithoutValueDecodeRevert() external {
+    bool r;
+    // solhint-disable-next-line avoid-low-level-calls
+    (r,) = address(this).call(abi.encodePacked(this.helperDecodeMapWithoutValueRevert.selector));
+    Assert.isFalse(r, "Indefinite-length CBOR-encoded Map with a key without value should revert in decodeMap function");
+  }
+
+  function helperDecodeUnterminatedArrayRevert() public pure {
+    CBOR.valueFromBytes(hex"9f0102").decodeArray();
+  }
+
+  function testUnterminatedArrayDecodeRevert() external {
+    bool r;
+    // solhint-disable-next-line avoid-low-level-calls
+    (r,) = address(this).call(abi.encodePacked(this.helperDecodeUnterminatedArrayRevert.selector));
+    Assert.isFalse(r, "Indefinite-length CBOR-encoded Array without break stop code should revert in decodeArray function");
+  }
+
+  function testFixed64Decode() external {
+    Assert.equal(CBOR.valueFromBytes(hex"f93e00").decodeFixed64(2), int256(150), "CBOR-encoded Float16 value should be decoded into the correct fixed point value");
+    Assert.equal(CBOR.valueFromBytes(hex"fa4788b840").decodeFixed64(1), int256(700005), "CBOR-encoded Float32 value should be decoded into the correct fixed point value");
+    Assert.equal(CBOR.valueFromBytes(hex"fb40e5f903f35ba212").decodeFixed64(6), int256(45000123456), "CBOR-encoded Float64 value should be decoded into the correct fixed point value");
+  }
+
+  function testFixed64ArrayDecode() external {
+    // [1.5, -0.5, 70000.5]
+    int256[] memory decoded = CBOR.valueFromBytes(hex"83f93e00fbbfe0000000000000fa4788b840").decodeFixed64Array(3);
+    Assert.equal(decoded.length, 3, "CBOR-encoded Array of floats should be decoded into as many fixed point values as it has");
+    Assert.equal(decoded[0], int256(1500), "CBOR-encoded Array of floats should be decoded into the correct fixed point values (error at item 0)");
+    Assert.equal(decoded[1], int256(-500), "CBOR-encoded Array of floats should be decoded into the correct fixed point values (error at item 1)");
+    Assert.equal(decoded[2], int256(70000500), "CBOR-encoded Array of floats should be decoded into the correct fixed point values (error at item 2)");
+  }
+
+  function helperDecodeFixed64FromIntegerRevert() public pure {
+    CBOR.valueFromBytes(hex"01").decodeFixed64(2);
+  }
+
+  function testFixed64DecodeFromIntegerRevert() external {
+    bool r;
+    // solhint-disable-next-line avoid-low-level-calls
+    (r,) = address(this).call(abi.encodePacked(this.helperDecodeFixed64FromIntegerRevert.selector));
+    Assert.isFalse(r, "CBOR-encoded integer should revert in decodeFixed64 function");
+  }
+
+  function testUint256Decode() external {
+    Assert.equal(CBOR.valueFromBytes(hex"1a000702c8").decodeUint256(), 459464, "CBOR-encoded Uint64 value should be decoded into the correct Uint256 value");
+    Assert.equal(
+      CBOR.valueFromBytes(hex"c249010000000000000000").decodeUint256(),
+      18446744073709551616,
+      "CBOR-encoded positive bignum should be decoded into the correct Uint256 value"
+    );
+    Assert.equal(
+      CBOR.valueFromBytes(hex"c25820ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff").decodeUint256(),
+      type(uint256).max,
+      "CBOR-encoded 32 bytes positive bignum should be decoded into the correct Uint256 value"
+    );
+  }
+
+  function testInt256Decode() external {
+    Assert.equal(CBOR.valueFromBytes(hex"3863").decodeInt256(), -100, "CBOR-encoded negative integer should be decoded into the correct Int256 value");
+    Assert.equal(
+      CBOR.valueFromBytes(hex"c249010000000000000000").decodeInt256(),
+      18446744073709551616,
+      "CBOR-encoded positive bignum should be decoded into the correct Int256 value"
+    );
+    Assert.equal(
+      CBOR.valueFromBytes(hex"c349010000000000000000").decodeInt256(),
+      -18446744073709551617,
+      "CBOR-encoded negative bignum should be decoded into the correct Int256 value"
+    );
+  }
+
+  function testBignumArrayDecode() external {
+    // [1, 2(h'010000000000000000'), -1]
+    int256[] memory decoded = CBOR.valueFromBytes(hex"8301c24901000000000000000020").decodeInt256Array();
+    Assert.equal(decoded.length, 3, "CBOR-encoded Array of bignums should be decoded into as many Int256 values as it has");
+    Assert.equal(decoded[1], 18446744073709551616, "CBOR-encoded Array of bignums should be decoded into the correct Int256 values (error at item 1)");
+    Assert.equal(decoded[2], -1, "CBOR-encoded Array of bignums should be decoded into the correct Int256 values (error at item 2)");
+    uint256[] memory naturals = CBOR.valueFromBytes(hex"8201c249010000000000000000").decodeUint256Array();
+    Assert.equal(naturals[1], 18446744073709551616, "CBOR-encoded Array of bignums should be decoded into the correct Uint256 values");
+  }
+
+  function helperDecodeNegativeBignumAsUint256Revert() public pure {
+    CBOR.valueFromBytes(hex"c349010000000000000000").decodeUint256();
+  }
+
+  function testNegativeBignumAsUint256Revert() external {
+    bool r;
+    // solhint-disable-next-line avoid-low-level-calls
+    (r,) = address(this).call(abi.encodePacked(this.helperDecodeNegativeBignumAsUint256Revert.selector));
+    Assert.isFalse(r, "CBOR-encoded negative bignum should revert in decodeUint256 function");
+  }
+
+  function helperDecodeOversizedBignumRevert() public pure {
+    CBOR.valueFromBytes(hex"c2582101ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff").decodeUint256();
+  }
+
+  function testOversizedBignumRevert() external {
+    bool r;
+    // solhint-disable-next-line avoid-low-level-calls
+    (r,) = address(this).call(abi.encodePacked(this.helperDecodeOversizedBignumRevert.selector));
+    Assert.isFalse(r, "CBOR-encoded bignum longer than 32 bytes should revert in decodeUint256 function");
+  }
 }
@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.8.4;
+pragma experimental ABIEncoderV2;
+
+import "truffle/Assert.sol";
+import "../contracts/RequestLib.sol";
+import "../contracts/StructuredRequest.sol";
+
+
+contract TestRequestLib {
+
+  // The bitstamp/coindesk BTC price request used in the WitnetRequestBoard tests
+  bytes constant internal EXPECTED_REQUEST = hex"0abb0108bd8cb8fa05123b122468747470733a2f2f7777772e6269747374616d702e6e65742f6170692f7469636b65722f1a13841877821864646c6173748218571903e8185b125c123168747470733a2f2f6170692e636f696e6465736b2e636f6d2f76312f6270692f63757272656e7470726963652e6a736f6e1a2786187782186663627069821866635553448218646a726174655f666c6f61748218571903e8185b1a0d0a0908051205fa3fc00000100322090a0508051201011003100a180420012846308094ebdc03";
+
+  function testEncodeVarint() external {
+    Assert.equal(keccak256(RequestLib.encodeVarint(0)), keccak256(hex"00"), "Encode 0 as varint");
+    Assert.equal(keccak256(RequestLib.encodeVarint(1)), keccak256(hex"01"), "Encode 1 as varint");
+    Assert.equal(keccak256(RequestLib.encodeVarint(127)), keccak256(hex"7f"), "Encode 127 as varint");
+    Assert.equal(keccak256(RequestLib.encodeVarint(128)), keccak256(hex"8001"), "Encode 128 as varint");
+    Assert.equal(keccak256(RequestLib.encodeVarint(300)), keccak256(hex"ac02"), "Encode 300 as varint");
+    Assert.equal(
+      keccak256(RequestLib.encodeVarint(type(uint64).max)),
+      keccak256(hex"ffffffffffffffffff01"),
+      "Encode UINT64_MAX as varint"
+    );
+  }
+
+  function testEncodeSource() external {
+    RequestLib.Source memory source = RequestLib.Source(
+      RequestLib.RETRIEVAL_HTTP_GET,
+      "https://example.com",
+      hex"80"
+    );
+    Assert.equal(
+      keccak256(RequestLib.encodeSource(source)),
+      keccak256(hex"121368747470733a2f2f6578616d706c652e636f6d1a0180"),
+      "Encode a source omitting the default retrieval kind"
+    );
+  }
+
+  function testEncodeDataRequest() external {
+    Assert.equal(
+      keccak256(RequestLib.encode(buildDataRequest())),
+      keccak256(EXPECTED_REQUEST),
+      "Encode a data request with two sources"
+    );
+  }
+
+  function testStructuredRequestBytecode() external {
+    StructuredRequest request = new StructuredRequest(buildDataRequest());
+    Assert.equal(
+      keccak256(request.bytecode()),
+      keccak256(EXPECTED_REQUEST),
+      "Build the bytecode of a request from its structured parts"
+    );
+  }
+
+  function buildDataRequest() internal pure returns (RequestLib.DataRequest memory request) {
+    request.timeLock = 1598948925;
+
+    request.sources = new RequestLib.Source[](2);
+    request.sources[0] = RequestLib.Source(
+      RequestLib.RETRIEVAL_HTTP_GET,
+      "https://www.bitstamp.net/api/ticker/",
+      hex"841877821864646c6173748218571903e8185b"
+    );
+    request.sources[1] = RequestLib.Source(
+      RequestLib.RETRIEVAL_HTTP_GET,
+      "https://api.coindesk.com/v1/bpi/currentprice.json",
+      hex"86187782186663627069821866635553448218646a726174655f666c6f61748218571903e8185b"
+    );
+
+    request.aggregator.filters = new RequestLib.Filter[](1);
+    request.aggregator.filters[0] = RequestLib.Filter(RequestLib.FILTER_DEVIATION_STANDARD, hex"fa3fc00000");
+    request.aggregator.reducer = RequestLib.REDUCER_AVERAGE_MEAN;
+
+    request.tally.filters = new RequestLib.Filter[](1);
+    request.tally.filters[0] = RequestLib.Filter(RequestLib.FILTER_DEVIATION_STANDARD, hex"01");
+    request.tally.reducer = RequestLib.REDUCER_AVERAGE_MEAN;
+
+    request.witnessReward = 10;
+    request.witnesses = 4;
+    request.commitAndRevealFee = 1;
+    request.minConsensusPercentage = 70;
+    request.collateral = 1000000000;
+  }
+}
@@ -280,4 +280,21 @@ contract WitnetTest {
     );
   }
 
+  // Test decoding of maps and nested arrays, e.g. a price per exchange
+  function testMapAndArrayResults() external {
+    // {"bitstamp": [45000, 45010], "coindesk": [45100]}
+    Witnet.Result memory result = Witnet.resultFromCborBytes(
+      hex"a2686269747374616d708219afc819afd268636f696e6465736b8119b02c"
+    );
+    (CBOR.Value[] memory keys, CBOR.Value[] memory values) = result.asMap();
+    Assert.equal(keys.length, 2, "Map result should have 2 keys");
+    Assert.equal(CBOR.decodeString(keys[1]), "coindesk", "Second key of the map result should be \"coindesk\"");
+    CBOR.Value[] memory prices = CBOR.decodeArray(values[0]);
+    Assert.equal(prices.length, 2, "First value of the map result should be an array with 2 items");
+    Assert.equal(uint(CBOR.decodeUint64(prices[1])), 45010, "Second price of the first exchange should be 45010");
+
+    CBOR.Value[] memory items = Witnet.resultFromCborBytes(hex"82018102").asArray();
+    Assert.equal(items.length, 2, "Array result should have 2 items");
+    Assert.equal(uint(CBOR.decodeUint64Array(items[1])[0]), 2, "Nested array in the array result should hold 2");
+  }
 }
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+pragma experimental ABIEncoderV2;
+
+import "truffle/Assert.sol";
+import "../contracts/Witnet.sol";
+
+
+contract TestWitnetErrors {
+  using Witnet for Witnet.Result;
+
+  // Test classification of error codes into families
+  function testErrorFamilies() external {
+    Assert.equal(uint(Witnet.errorFamily(Witnet.ErrorCodes.Unknown)), uint(Witnet.ErrorFamilies.Unknown), "0x00 should be in the Unknown family");
+    Assert.equal(uint(Witnet.errorFamily(Witnet.ErrorCodes.SourceScriptNotRADON)), uint(Witnet.ErrorFamilies.SourceScript), "0x03 should be in the SourceScript family");
+    Assert.equal(uint(Witnet.errorFamily(Witnet.ErrorCodes.ScriptTooManyCalls)), uint(Witnet.ErrorFamilies.Complexity), "0x11 should be in the Complexity family");
+    Assert.equal(uint(Witnet.errorFamily(Witnet.ErrorCodes.RetrievalTimeout)), uint(Witnet.ErrorFamilies.Retrieval), "0x31 should be in the Retrieval family");
+    Assert.equal(uint(Witnet.errorFamily(Witnet.ErrorCodes.DivisionByZero)), uint(Witnet.ErrorFamilies.Math), "0x42 should be in the Math family");
+    Assert.equal(uint(Witnet.errorFamily(Witnet.ErrorCodes.MalformedReveal)), uint(Witnet.ErrorFamilies.Tally), "0x60 should be in the Tally family");
+    Assert.equal(uint(Witnet.errorFamily(Witnet.ErrorCodes.MapKeyNotFound)), uint(Witnet.ErrorFamilies.Access), "0x71 should be in the Access family");
+    Assert.equal(uint(Witnet.errorFamily(Witnet.ErrorCodes.BridgeOversizedResult)), uint(Witnet.ErrorFamilies.Bridge), "0xE2 should be in the Bridge family");
+    Assert.equal(uint(Witnet.errorFamily(Witnet.ErrorCodes.UnhandledIntercept)), uint(Witnet.ErrorFamilies.Unknown), "0xFF should be in the Unknown family");
+  }
+
+  // Test decoding of source script errors
+  function testSourceScriptError() external {
+    Witnet.SourceScriptError memory error = Witnet.resultFromCborBytes(hex"D827820202").asSourceScriptError();
+    Assert.equal(uint(error.code), uint(Witnet.ErrorCodes.SourceScriptNotArray), "Error code should be `SourceScriptNotArray`");
+    Assert.equal(uint(error.scriptIndex), 2, "Script index should be 2");
+  }
+
+  // Test decoding of retrieval errors
+  function testRetrievalErrors() external {
+    Witnet.RetrievalError memory http = Witnet.resultFromCborBytes(hex"D827831830011901F7").asRetrievalError();
+    Assert.equal(uint(http.code), uint(Witnet.ErrorCodes.HTTP), "Error code should be `HTTP`");
+    Assert.equal(uint(http.sourceIndex), 1, "Source index should be 1");
+    Assert.equal(uint(http.httpStatusCode), 503, "HTTP status code should be 503");
+
+    Witnet.RetrievalError memory timeout = Witnet.resultFromCborBytes(hex"D82782183100").asRetrievalError();
+    Assert.equal(uint(timeout.code), uint(Witnet.ErrorCodes.RetrievalTimeout), "Error code should be `RetrievalTimeout`");
+    Assert.equal(uint(timeout.httpStatusCode), 0, "HTTP status code should not be set for timeouts");
+  }
+
+  // Test decoding of math errors
+  function testMathError() external {
+    Witnet.MathError memory error = Witnet.resultFromCborBytes(hex"D82785184201000218F5").asMathError();
+    Assert.equal(uint(error.code), uint(Witnet.ErrorCodes.DivisionByZero), "Error code should be `DivisionByZero`");
+    Assert.equal(uint(error.stage), 1, "Stage should be aggregation");
+    Assert.equal(uint(error.scriptIndex), 0, "Script index should be 0");
+    Assert.equal(uint(error.callIndex), 2, "Call index should be 2");
+    Assert.equal(uint(error.operatorCode), 0xF5, "Operator code should be 0xF5");
+  }
+
+  // Test decoding of tally errors, with consensus ratios encoded as half and double-precision floats
+  function testTallyErrors() external {
+    Witnet.TallyError memory consensus = Witnet.resultFromCborBytes(hex"D827831851F93800FB3FE6666666666666").asTallyError();
+    Assert.equal(uint(consensus.code), uint(Witnet.ErrorCodes.InsufficientConsensus), "Error code should be `InsufficientConsensus`");
+    Assert.equal(uint(consensus.achievedConsensus), 5000, "Achieved consensus should be 50%");
+    Assert.equal(uint(consensus.requiredConsensus), 7000, "Required consensus should be 70%");
+
+    Witnet.TallyError memory noReveals = Witnet.resultFromCborBytes(hex"D827811850").asTallyError();
+    Assert.equal(uint(noReveals.code), uint(Witnet.ErrorCodes.NoReveals), "Error code should be `NoReveals`");
+    Assert.equal(uint(noReveals.requiredConsensus), 0, "Required consensus should not be set for `NoReveals`");
+  }
+
+  // Test decoding of bridge errors
+  function testBridgeError() external {
+    Witnet.BridgeError memory error = Witnet.resultFromCborBytes(hex"D8278118E1").asBridgeError();
+    Assert.equal(uint(error.code), uint(Witnet.ErrorCodes.BridgePoorIncentives), "Error code should be `BridgePoorIncentives`");
+  }
+
+  function helperAsMathErrorFromRetrievalErrorRevert() public pure {
+    Witnet.resultFromCborBytes(hex"D827831830011901F7").asMathError();
+  }
+
+  function testErrorOfAnotherFamilyRevert() external {
+    bool r;
+    // solhint-disable-next-line avoid-low-level-calls
+    (r,) = address(this).call(abi.encodePacked(this.helperAsMathErrorFromRetrievalErrorRevert.selector));
+    Assert.isFalse(r, "Reading an `HTTP` error as a math error should revert");
+  }
+
+  function helperAsSourceScriptErrorWithoutArgsRevert() public pure {
+    Witnet.resultFromCborBytes(hex"D8278101").asSourceScriptError();
+  }
+
+  function testErrorWithoutArgsRevert() external {
+    bool r;
+    // solhint-disable-next-line avoid-low-level-calls
+    (r,) = address(this).call(abi.encodePacked(this.helperAsSourceScriptErrorWithoutArgsRevert.selector));
+    Assert.isFalse(r, "Reading a source script error without script index should revert");
+  }
+
+  // Test classification of errors into retriable and non-retriable
+  function testIsRetriable() external {
+    Assert.isFalse(Witnet.resultFromCborBytes(hex"1a000702c8").isRetriable(), "Successful results should not be retriable");
+    Assert.isTrue(Witnet.resultFromCborBytes(hex"D827831830011901F7").isRetriable(), "HTTP 503 errors should be retriable");
+    Assert.isTrue(Witnet.resultFromCborBytes(hex"D827831830011901AD").isRetriable(), "HTTP 429 errors should be retriable");
+    Assert.isFalse(Witnet.resultFromCborBytes(hex"D82783183001190194").isRetriable(), "HTTP 404 errors should not be retriable");
+    Assert.isTrue(Witnet.resultFromCborBytes(hex"D82782183100").isRetriable(), "Retrieval timeouts should be retriable");
+    Assert.isTrue(Witnet.resultFromCborBytes(hex"D827831851F93800FB3FE6666666666666").isRetriable(), "Insufficient consensus should be retriable");
+    Assert.isTrue(Witnet.resultFromCborBytes(hex"D8278118E1").isRetriable(), "Poor incentives should be retriable");
+    Assert.isFalse(Witnet.resultFromCborBytes(hex"D82785184201000218F5").isRetriable(), "Math errors should not be retriable");
+    Assert.isFalse(Witnet.resultFromCborBytes(hex"D827820202").isRetriable(), "Source script errors should not be retriable");
+    Assert.isFalse(Witnet.resultFromCborBytes(hex"D8278118E0").isRetriable(), "Malformed requests should not be retriable");
+    Assert.isFalse(Witnet.resultFromCborBytes(hex"D82780").isRetriable(), "Errors without error code should not be retriable");
+  }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+pragma experimental ABIEncoderV2;
+
+import "truffle/Assert.sol";
+import "../contracts/Witnet.sol";
+
+
+contract TestWitnetTypes {
+  using Witnet for Witnet.Result;
+
+  // Test decoding of single and double-precision floats and bignums
+  function testFixed64AndBignumResults() external {
+    Assert.equal(
+      Witnet.resultFromCborBytes(hex"fb40e5f903f35ba212").asFixed64(8),
+      int256(4500012345677),
+      "Float64 result should be decoded into a fixed point value with 8 decimals"
+    );
+    int256[] memory prices = Witnet.resultFromCborBytes(hex"82fa4788b840f93e00").asFixed64Array(2);
+    Assert.equal(prices[0], int256(7000050), "First item of the array of floats should be 70000.5");
+    Assert.equal(
+      Witnet.resultFromCborBytes(hex"c249010000000000000000").asUint256(),
+      18446744073709551616,
+      "Positive bignum result should be decoded into a `uint256`"
+    );
+    Assert.equal(
+      Witnet.resultFromCborBytes(hex"c349010000000000000000").asInt256(),
+      -18446744073709551617,
+      "Negative bignum result should be decoded into an `int256`"
+    );
+    Assert.equal(
+      Witnet.resultFromCborBytes(hex"82c24101c34101").asInt256Array()[1],
+      -2,
+      "Array of bignums result should be decoded into an `int256[]`"
+    );
+    Assert.equal(
+      Witnet.resultFromCborBytes(hex"8101").asUint256Array()[0],
+      1,
+      "Array of natural numbers result should be decoded into a `uint256[]`"
+    );
+  }
+}
@@ -0,0 +1,241 @@
+const {
+  expectEvent,
+  expectRevert,
+} = require("@openzeppelin/test-helpers")
+const { expect } = require("chai")
+const crypto = require("crypto")
+
+// Contracts
+const BlockRelay = artifacts.require("BlockRelay")
+const WRB = artifacts.require("WitnetRequestBoard")
+const WRBProxy = artifacts.require("WitnetRequestBoardProxy")
+const UsingWitnetTestHelper = artifacts.require("UsingWitnetTestHelper")
+const Request = artifacts.require("Request")
+const Witnet = artifacts.require("Witnet")
+
+const requestHex = "0x01"
+const resultHex = "0x1a002fefd8"
+const blockHash = "0x00000000000000000000000000000000000000000000000000000000000000aa"
+
+// SHA-256 of the concatenation of several hex strings
+const sha256 = (...items) => {
+  const hash = crypto.createHash("sha256")
+  items.forEach(item => hash.update(Buffer.from(item.slice(2), "hex")))
+  return "0x" + hash.digest("hex")
+}
+
+const randomHash = () => "0x" + crypto.randomBytes(32).toString("hex")
+
+const toHex32 = number => web3.utils.padLeft(web3.utils.toHex(number), 64)
+
+// Domain prefixes of the hashes of the leaves and the inner nodes of Merkle trees
+const leafPrefix = "0x00"
+const nodePrefix = "0x01"
+
+// Builds a Merkle tree of 4 leaves, returning its root and the siblings of the path from a leaf to the root
+const merkleProof = (leaves, index) => {
+  const nodes = leaves.map(leaf => sha256(leafPrefix, leaf))
+  const left = sha256(nodePrefix, nodes[0], nodes[1])
+  const right = sha256(nodePrefix, nodes[2], nodes[3])
+  const siblings = [nodes[index ^ 1], index < 2 ? right : left]
+  return { root: sha256(nodePrefix, left, right), siblings }
+}
+
+// Builds the roots of a Witnet block including the data request transaction and the tally transaction of a result
+const buildBlock = (drOutputHash, result, drIndex = 2, tallyIndex = 1) => {
+  const drRestHash = randomHash()
+  const drTxHash = sha256(drOutputHash, drRestHash)
+  const drLeaves = [randomHash(), randomHash(), randomHash(), randomHash()]
+  drLeaves[drIndex] = drTxHash
+  const tallyLeaves = [randomHash(), randomHash(), randomHash(), randomHash()]
+  tallyLeaves[tallyIndex] = sha256(drTxHash, result)
+
+  const dr = merkleProof(drLeaves, drIndex)
+  const tally = merkleProof(tallyLeaves, tallyIndex)
+  return {
+    drTxHash,
+    drMerkleRoot: dr.root,
+    tallyMerkleRoot: tally.root,
+    drPoi: [drRestHash, ...dr.siblings],
+    drIndex,
+    tallyPoi: tally.siblings,
+    tallyIndex,
+  }
+}
+
+contract("BlockRelay", ([owner, relayer, committeeMember, requestor, other]) => {
+  beforeEach(async () => {
+    this.BlockRelay = await BlockRelay.new({ from: owner })
+  })
+
+  describe("post new blocks", async () => {
+    it("owner can appoint relayers that post new blocks", async () => {
+      const block = buildBlock(randomHash(), resultHex)
+      await expectRevert(
+        this.BlockRelay.postNewBlock(blockHash, block.drMerkleRoot, block.tallyMerkleRoot, { from: relayer }),
+        "Sender is not a relayer"
+      )
+      await expectRevert(
+        this.BlockRelay.setRelayer(relayer, true, { from: relayer }),
+        "Ownable: caller is not the owner"
+      )
+      await this.BlockRelay.setRelayer(relayer, true, { from: owner })
+
+      const tx = await this.BlockRelay.postNewBlock(blockHash, block.drMerkleRoot, block.tallyMerkleRoot, {
+        from: relayer,
+      })
+      expectEvent(tx, "NewBlock", {
+        _blockHash: web3.utils.toBN(blockHash),
+        _drMerkleRoot: web3.utils.toBN(block.drMerkleRoot),
+        _tallyMerkleRoot: web3.utils.toBN(block.tallyMerkleRoot),
+      })
+      expect(toHex32(await this.BlockRelay.readDrMerkleRoot(blockHash))).to.equal(block.drMerkleRoot)
+      expect(toHex32(await this.BlockRelay.readTallyMerkleRoot(blockHash))).to.equal(block.tallyMerkleRoot)
+    })
+    it("fails if a block is posted twice or with zero roots", async () => {
+      const block = buildBlock(randomHash(), resultHex)
+      await expectRevert(
+        this.BlockRelay.postNewBlock(blockHash, block.drMerkleRoot, 0, { from: owner }),
+        "Merkle roots cannot be zero"
+      )
+      await this.BlockRelay.postNewBlock(blockHash, block.drMerkleRoot, block.tallyMerkleRoot, { from: owner })
+      await expectRevert(
+        this.BlockRelay.postNewBlock(blockHash, block.tallyMerkleRoot, block.drMerkleRoot, { from: owner }),
+        "The block has already been posted"
+      )
+    })
+    it("owner is transferred once the new owner accepts it", async () => {
+      await this.BlockRelay.transferOwnership(other, { from: owner })
+      expect(await this.BlockRelay.owner()).to.equal(owner)
+      expect(await this.BlockRelay.pendingOwner()).to.equal(other)
+      await expectRevert(this.BlockRelay.setRelayer(relayer, true, { from: other }), "Ownable: caller is not the owner")
+
+      await this.BlockRelay.acceptOwnership({ from: other })
+      expect(await this.BlockRelay.owner()).to.equal(other)
+      await this.BlockRelay.setRelayer(relayer, true, { from: other })
+      expect(await this.BlockRelay.isRelayer(relayer)).to.equal(true)
+    })
+  })
+
+  describe("verify results", async () => {
+    it("anyone can prove that a result was included in a block", async () => {
+      const drOutputHash = randomHash()
+      const block = buildBlock(drOutputHash, resultHex, 3, 0)
+      await this.BlockRelay.postNewBlock(blockHash, block.drMerkleRoot, block.tallyMerkleRoot, { from: owner })
+
+      const resultHash = web3.utils.keccak256(resultHex)
+      expect(await this.BlockRelay.isResultVerified(drOutputHash, block.drTxHash, resultHash)).to.equal(false)
+      const tx = await this.BlockRelay.verifyResult(
+        blockHash,
+        drOutputHash,
+        resultHex,
+        block.drPoi,
+        block.drIndex,
+        block.tallyPoi,
+        block.tallyIndex,
+        { from: other }
+      )
+      expectEvent(tx, "VerifiedResult", {
+        _drOutputHash: web3.utils.toBN(drOutputHash),
+        _drTxHash: web3.utils.toBN(block.drTxHash),
+        _blockHash: web3.utils.toBN(blockHash),
+      })
+      expect(await this.BlockRelay.isResultVerified(drOutputHash, block.drTxHash, resultHash)).to.equal(true)
+      expect(await this.BlockRelay.isResultVerified(drOutputHash, block.drTxHash, randomHash())).to.equal(false)
+    })
+    it("fails if the block has not been posted", async () => {
+      const drOutputHash = randomHash()
+      const block = buildBlock(drOutputHash, resultHex)
+      await expectRevert(
+        this.BlockRelay.verifyResult(
+          blockHash, drOutputHash, resultHex, block.drPoi, block.drIndex, block.tallyPoi, block.tallyIndex
+        ),
+        "The block has not been posted"
+      )
+    })
+    it("fails if the proofs do not match the data request or the result", async () => {
+      const drOutputHash = randomHash()
+      const block = buildBlock(drOutputHash, resultHex)
+      await this.BlockRelay.postNewBlock(blockHash, block.drMerkleRoot, block.tallyMerkleRoot, { from: owner })
+
+      await expectRevert(
+        this.BlockRelay.verifyResult(
+          blockHash, randomHash(), resultHex, block.drPoi, block.drIndex, block.tallyPoi, block.tallyIndex
+        ),
+        "Invalid proof of inclusion of the data request transaction"
+      )
+      await expectRevert(
+        this.BlockRelay.verifyResult(
+          blockHash, drOutputHash, resultHex, block.drPoi, block.drIndex + 1, block.tallyPoi, block.tallyIndex
+        ),
+        "Invalid proof of inclusion of the data request transaction"
+      )
+      await expectRevert(
+        this.BlockRelay.verifyResult(
+          blockHash, drOutputHash, "0x1a002fefd9", block.drPoi, block.drIndex, block.tallyPoi, block.tallyIndex
+        ),
+        "Invalid proof of inclusion of the tally transaction"
+      )
+      await expectRevert(
+        this.BlockRelay.verifyResult(blockHash, drOutputHash, resultHex, [], 0, block.tallyPoi, block.tallyIndex),
+        "The proof of inclusion cannot be empty"
+      )
+    })
+  })
+
+  describe("verify results reported to the board", async () => {
+    beforeEach(async () => {
+      this.WitnetRequestBoard = await WRB.new([committeeMember], { from: owner })
+      this.Request = await Request.new(requestHex, { from: requestor })
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: 1000000,
+        gasPrice: 1,
+      })
+      this.drOutputHash = toHex32((await this.WitnetRequestBoard.requests(1)).drOutputHash)
+      this.block = buildBlock(this.drOutputHash, resultHex)
+      await this.BlockRelay.postNewBlock(blockHash, this.block.drMerkleRoot, this.block.tallyMerkleRoot, {
+        from: owner,
+      })
+    })
+
+    const verify = async block => this.BlockRelay.verifyResult(
+      blockHash, this.drOutputHash, resultHex, block.drPoi, block.drIndex, block.tallyPoi, block.tallyIndex
+    )
+
+    it("results are verified once proven through the block relay of the board", async () => {
+      await this.WitnetRequestBoard.reportResult(1, this.block.drTxHash, resultHex, { from: committeeMember })
+      await verify(this.block)
+      expect(await this.WitnetRequestBoard.isResultVerified(1)).to.equal(false)
+
+      await expectRevert(
+        this.WitnetRequestBoard.setBlockRelay(this.BlockRelay.address, { from: other }),
+        "Ownable: caller is not the owner"
+      )
+      await this.WitnetRequestBoard.setBlockRelay(this.BlockRelay.address, { from: owner })
+      expect(await this.WitnetRequestBoard.blockRelay()).to.equal(this.BlockRelay.address)
+      expect(await this.WitnetRequestBoard.isResultVerified(1)).to.equal(true)
+    })
+    it("results are not verified if they differ from the proven ones", async () => {
+      await this.WitnetRequestBoard.setBlockRelay(this.BlockRelay.address, { from: owner })
+      await verify(this.block)
+      expect(await this.WitnetRequestBoard.isResultVerified(1)).to.equal(false)
+
+      await this.WitnetRequestBoard.reportResult(1, this.block.drTxHash, "0x1a002fefd9", { from: committeeMember })
+      expect(await this.WitnetRequestBoard.isResultVerified(1)).to.equal(false)
+    })
+    it("consumers can check whether results are verified through the proxy", async () => {
+      const witnet = await Witnet.deployed()
+      const proxy = await WRBProxy.new(this.WitnetRequestBoard.address, { from: owner })
+      await UsingWitnetTestHelper.link(Witnet, witnet.address)
+      const consumer = await UsingWitnetTestHelper.new(proxy.address)
+      await consumer._witnetPostRequest(this.Request.address, { from: requestor, value: 1000000, gasPrice: 1 })
+      await this.WitnetRequestBoard.setBlockRelay(this.BlockRelay.address, { from: owner })
+
+      await this.WitnetRequestBoard.reportResult(2, this.block.drTxHash, resultHex, { from: committeeMember })
+      expect(await consumer._witnetCheckResultVerified(2)).to.equal(false)
+      await verify(this.block)
+      expect(await consumer._witnetCheckResultVerified(2)).to.equal(true)
+    })
+  })
+})
@@ -0,0 +1,168 @@
+const path = require("path")
+const { expect } = require("chai")
+
+const { ErrorCodes, MockBridgeNode, WitnetClient, decodeResult } = require("../src")
+
+const WRB = artifacts.require("WitnetRequestBoard")
+const WRBProxy = artifacts.require("WitnetRequestBoardProxy")
+const UsingWitnetTestHelper = artifacts.require("UsingWitnetTestHelper")
+const Request = artifacts.require("Request")
+const Witnet = artifacts.require("Witnet")
+
+contract("Mock bridge node", ([
+  requestor,
+  owner,
+  committeeMember,
+]) => {
+  beforeEach(async () => {
+    this.wrb = await WRB.new([committeeMember], { from: owner })
+    this.wrbProxy = await WRBProxy.new(this.wrb.address, { from: owner })
+    this.client = new WitnetClient(web3, this.wrbProxy.address, { requestArtifact: Request })
+    this.fromBlock = await web3.eth.getBlockNumber()
+  })
+
+  it("resolves the requests of a consumer contract with fixtures", async () => {
+    const witnet = await Witnet.deployed()
+    await UsingWitnetTestHelper.link(Witnet, witnet.address)
+    const consumer = await UsingWitnetTestHelper.new(this.wrbProxy.address)
+    const request = await Request.new("0x01")
+    const reward = await consumer._witnetEstimateGasCost.call(web3.utils.toWei("1", "gwei"))
+    await consumer._witnetPostRequest(request.address, {
+      from: requestor,
+      value: reward,
+      gasPrice: web3.utils.toWei("1", "gwei"),
+    })
+
+    const node = new MockBridgeNode(web3, this.wrb.address, {
+      from: committeeMember,
+      fixtures: { "0x01": { value: 3141592 } },
+      fromBlock: this.fromBlock,
+    })
+    expect(await node.poll()).to.deep.equal([{ id: "1", result: "0x1a002fefd8" }])
+
+    expect(await consumer._witnetCheckRequestResolved.call(1)).to.equal(true)
+    await consumer._witnetReadResult(1)
+    expect((await consumer._witnetAsUint64.call()).toString()).to.equal("3141592")
+  })
+
+  it("loads fixtures from a JSON file", async () => {
+    const { id: successId } = await this.client.postRequest("0x0a0b0c", { from: requestor })
+    const { id: errorId } = await this.client.postRequest("0x0d0e0f", { from: requestor })
+
+    const node = new MockBridgeNode(web3, this.wrb.address, {
+      from: committeeMember,
+      fixtures: path.join(__dirname, "fixtures", "results.json"),
+      fromBlock: this.fromBlock,
+    })
+    await node.poll()
+
+    expect(await this.client.readResult(successId)).to.deep.equal({ success: true, value: 3141592 })
+    expect(await this.client.readResult(errorId)).to.deep.equal({
+      success: false,
+      error: { code: ErrorCodes.InsufficientConsensus, name: "InsufficientConsensus", args: [0.5, 0.7] },
+    })
+  })
+
+  it("reports canned errors provided by a resolver", async () => {
+    const errors = {
+      "0x01": { error: "HTTP", args: [0, 404] },
+      "0x02": { error: ErrorCodes.InsufficientConsensus, args: [0.4, 0.7] },
+      "0x03": { error: "BridgePoorIncentives" },
+    }
+    const ids = []
+    for (const bytecode of Object.keys(errors)) {
+      ids.push((await this.client.postRequest(bytecode, { from: requestor })).id)
+    }
+
+    const node = new MockBridgeNode(web3, this.wrb.address, {
+      from: committeeMember,
+      resolver: async ({ bytecode }) => errors[bytecode],
+      fromBlock: this.fromBlock,
+    })
+    await node.poll()
+
+    expect((await this.client.readResult(ids[0])).error).to.deep.equal({ code: 0x30, name: "HTTP", args: [0, 404] })
+    expect((await this.client.readResult(ids[1])).error.name).to.equal("InsufficientConsensus")
+    expect(await this.client.readResult(ids[2])).to.deep.equal({
+      success: false,
+      error: { code: 0xE1, name: "BridgePoorIncentives", args: [] },
+    })
+  })
+
+  it("falls back to the fixtures and leaves unknown requests pending", async () => {
+    const { id: knownId } = await this.client.postRequest("0x01", { from: requestor })
+    const { id: unknownId } = await this.client.postRequest("0x02", { from: requestor })
+
+    const node = new MockBridgeNode(web3, this.wrb.address, {
+      from: committeeMember,
+      fixtures: { "0x01": { result: "0x1a000702c8" } },
+      resolver: async () => undefined,
+      fromBlock: this.fromBlock,
+    })
+    expect(await node.poll()).to.deep.equal([{ id: knownId, result: "0x1a000702c8" }])
+    expect(await node.poll()).to.deep.equal([])
+
+    expect(decodeResult(await this.wrb.readResult.call(knownId))).to.deep.equal({ success: true, value: 459464 })
+    expect((await this.wrb.readDrTxHash.call(unknownId)).toString()).to.equal("0")
+  })
+
+  it("resolves the requests left behind by a poll that threw", async () => {
+    const { id: firstId } = await this.client.postRequest("0x01", { from: requestor })
+    const { id: secondId } = await this.client.postRequest("0x02", { from: requestor })
+
+    let failing = true
+    const node = new MockBridgeNode(web3, this.wrb.address, {
+      from: committeeMember,
+      resolver: async ({ id }) => {
+        if (id === secondId && failing) {
+          failing = false
+          throw new Error("Resolver unavailable")
+        }
+        return { value: 1 }
+      },
+      fromBlock: this.fromBlock,
+    })
+    let error
+    try {
+      await node.poll()
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.equal("Resolver unavailable")
+
+    expect(await node.poll()).to.deep.equal([{ id: secondId, result: "0x01" }])
+    expect(decodeResult(await this.wrb.readResult.call(firstId))).to.deep.equal({ success: true, value: 1 })
+  })
+
+  it("sends the challenge bond along with the reports during challenge periods", async () => {
+    const bond = web3.utils.toWei("1", "ether")
+    await this.wrb.setChallengePeriod(10, bond, { from: owner })
+    const { id } = await this.client.postRequest("0x01", { from: requestor })
+
+    const node = new MockBridgeNode(web3, this.wrb.address, {
+      from: committeeMember,
+      fixtures: { "0x01": { value: 1 } },
+      fromBlock: this.fromBlock,
+    })
+    const balance = web3.utils.toBN(await web3.eth.getBalance(this.wrb.address))
+    expect(await node.poll()).to.deep.equal([{ id, result: "0x01" }])
+    expect(await web3.eth.getBalance(this.wrb.address)).to.equal(balance.add(web3.utils.toBN(bond)).toString())
+  })
+
+  it("resolves requests in the background once started", async () => {
+    const node = new MockBridgeNode(web3, this.wrb.address, {
+      from: committeeMember,
+      resolver: async ({ id }) => ({ value: `Result of #${id}` }),
+      pollingInterval: 100,
+      fromBlock: this.fromBlock,
+    }).start()
+
+    try {
+      const { id } = await this.client.postRequest("0x01", { from: requestor })
+      expect(await this.client.waitForResult(id, { pollingInterval: 100 }))
+        .to.deep.equal({ success: true, value: "Result of #1" })
+    } finally {
+      node.stop()
+    }
+  })
+})
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+
+
+/**
+ * @title A minimal ERC-20 token whose transfers and approvals return no value, as some widely used tokens do
+ */
+contract ERC20NoReturnTestHelper {
+  mapping(address => uint256) public balanceOf;
+  mapping(address => mapping(address => uint256)) public allowance;
+
+  function mint(address _to, uint256 _amount) external {
+    balanceOf[_to] += _amount;
+  }
+
+  function transfer(address _to, uint256 _amount) external {
+    balanceOf[msg.sender] -= _amount;
+    balanceOf[_to] += _amount;
+  }
+
+  function transferFrom(address _from, address _to, uint256 _amount) external {
+    allowance[_from][msg.sender] -= _amount;
+    balanceOf[_from] -= _amount;
+    balanceOf[_to] += _amount;
+  }
+
+  function approve(address _spender, uint256 _amount) external {
+    allowance[msg.sender][_spender] = _amount;
+  }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.7.0 <0.9.0;
+
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+
+/**
+ * @title A minimal ERC-20 token that anyone can mint, for testing rewards paid in tokens
+ */
+contract ERC20TestHelper is IERC20 {
+  uint256 public override totalSupply;
+  mapping(address => uint256) public override balanceOf;
+  mapping(address => mapping(address => uint256)) public override allowance;
+
+  function mint(address _to, uint256 _amount) external {
+    totalSupply += _amount;
+    balanceOf[_to] += _amount;
+    emit Transfer(address(0), _to, _amount);
+  }
+
+  function transfer(address _to, uint256 _amount) external override returns(bool) {
+    balanceOf[msg.sender] -= _amount;
+    balanceOf[_to] += _amount;
+    emit Transfer(msg.sender, _to, _amount);
+    return true;
+  }
+
+  function transferFrom(address _from, address _to, uint256 _amount) external override returns(bool) {
+    allowance[_from][msg.sender] -= _amount;
+    balanceOf[_from] -= _amount;
+    balanceOf[_to] += _amount;
+    emit Transfer(_from, _to, _amount);
+    return true;
+  }
+
+  function approve(address _spender, uint256 _amount) external override returns(bool) {
+    allowance[msg.sender][_spender] = _amount;
+    emit Approval(msg.sender, _spender, _amount);
+    return true;
+  }
+}
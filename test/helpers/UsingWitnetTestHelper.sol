@@ -18,16 +18,36 @@ contract UsingWitnetTestHelper is UsingWitnet {
 
   Witnet.Result public result;
 
+  uint256 public callbackId;
+
+  bool public callbackReverts;
+
   constructor (address _wrbAddress) UsingWitnet(_wrbAddress) { }
 
+  receive() external payable { }
+
   function _witnetPostRequest(Request _request) external payable returns(uint256 id) {
     return witnetPostRequest(_request);
   }
 
+  function _witnetPostRequestWithCallback(Request _request, uint256 _callbackGasLimit)
+    external payable returns(uint256 id)
+  {
+    return witnetPostRequestWithCallback(_request, _callbackGasLimit);
+  }
+
+  function _setCallbackReverts(bool _callbackReverts) external {
+    callbackReverts = _callbackReverts;
+  }
+
   function _witnetUpgradeRequest(uint256 _id) external payable {
     witnetUpgradeRequest(_id);
   }
 
+  function _witnetCancelRequest(uint256 _id) external returns(uint256) {
+    return witnetCancelRequest(_id);
+  }
+
   function _witnetReadResult(uint256 _requestId) external returns(Witnet.Result memory) {
     result = witnetReadResult(_requestId);
     return result;
@@ -37,13 +57,32 @@ contract UsingWitnetTestHelper is UsingWitnet {
     return witnetEstimateGasCost(_gasPrice);
   }
 
+  function _witnetEstimateGasCostWithCallback(uint256 _gasPrice, uint256 _callbackGasLimit)
+    external view returns(uint256)
+  {
+    return witnetEstimateGasCostWithCallback(_gasPrice, _callbackGasLimit);
+  }
+
   function _witnetAsUint64() external view returns(uint64) {
     return result.asUint64();
   }
 
   function _witnetCheckRequestResolved(uint256 _id) external view returns (bool) {
-  // If the result of the data request in Witnet is not the default, then it means that it has been reported as resolved.
-  return wrb.readDrTxHash(_id) != 0;
+    return witnetCheckRequestResolved(_id);
+  }
+
+  function _witnetCheckResultVerified(uint256 _id) external view returns (bool) {
+    return witnetCheckResultVerified(_id);
+  }
+
+  function _witnetReadAgreements(uint256 _id) external view returns (uint256) {
+    return witnetReadAgreements(_id);
+  }
+
+  function witnetCallback(uint256 _id, Witnet.Result memory _result) internal override {
+    require(!callbackReverts, "Callback reverted on purpose");
+    callbackId = _id;
+    result = _result;
   }
 
 }
@@ -34,6 +34,14 @@ contract WitnetRequestBoardTestHelper is WitnetRequestBoardInterface {
   // Is upgradable
   bool public upgradable;
 
+  mapping(address => uint256) internal balances;
+
+  mapping(uint256 => address) internal refundAddresses;
+
+  uint256 internal pendingCount;
+
+  bool public override paused;
+
   constructor (address[] memory _committee, bool _upgradable) {
     witnet = msg.sender;
     upgradable = _upgradable;
@@ -47,7 +55,7 @@ contract WitnetRequestBoardTestHelper is WitnetRequestBoardInterface {
   /// @dev Posts a data request into the WRB in expectation that it will be relayed and resolved in Witnet with a total reward that equals to msg.value.
   /// @param _requestAddress The request contract address which includes the request bytecode.
   /// @return The unique identifier of the data request.
-  function postDataRequest(address _requestAddress) external payable override returns(uint256) {
+  function postDataRequest(address _requestAddress) public payable override returns(uint256) {
     uint256 _id = requests.length;
     DataRequest memory dr;
     requests.push(dr);
@@ -59,11 +67,28 @@ contract WitnetRequestBoardTestHelper is WitnetRequestBoardInterface {
     requests[_id].drTxHash = 0;
     requests[_id].pkhClaim = payable(address(0));
 
-    emit PostedRequest(_id);
+    emit PostedRequest(_id, msg.sender, msg.value);
 
     return _id;
   }
 
+  /// @dev Posts a data request into the WRB, ignoring the callback gas limit.
+  /// @param _requestAddress The request contract address which includes the request bytecode.
+  /// @return The unique identifier of the data request.
+  function postDataRequestWithCallback(address _requestAddress, uint256) external payable override returns(uint256) {
+    return postDataRequest(_requestAddress);
+  }
+
+  function postDataRequestWithMaxResultSize(address _requestAddress, uint256)
+    external payable override returns(uint256)
+  {
+    return postDataRequest(_requestAddress);
+  }
+
+  function postDataRequestWithToken(address _requestAddress, address, uint256) external override returns(uint256) {
+    return postDataRequest(_requestAddress);
+  }
+
   /// @dev Increments the rewards of a data request by adding more value to it.
   /// @param _id The unique identifier of the data request.
   function upgradeDataRequest(uint256 _id)
@@ -74,6 +99,49 @@ contract WitnetRequestBoardTestHelper is WitnetRequestBoardInterface {
     requests[_id].reward += msg.value;
   }
 
+  function upgradeDataRequestWithToken(uint256 _id, uint256 _amount) external override {
+    requests[_id].reward += _amount;
+  }
+
+  /// @dev Cancels a data request, refunding the reward to its refund address or else to the sender.
+  /// @param _id The unique identifier of the data request.
+  /// @return The amount of reward that has been refunded.
+  function cancelDataRequest(uint256 _id) external override returns(uint256) {
+    uint256 refund = requests[_id].reward;
+    requests[_id].reward = 0;
+    emit CancelledRequest(_id);
+    address refundAddress = refundAddresses[_id] == address(0) ? msg.sender : refundAddresses[_id];
+    balances[refundAddress] += refund;
+    return refund;
+  }
+
+  function setRefundAddress(uint256 _id, address _refundAddress) external override {
+    refundAddresses[_id] = _refundAddress;
+  }
+
+  function withdraw() external override returns(uint256) {
+    uint256 amount = balances[msg.sender];
+    balances[msg.sender] = 0;
+    payable(msg.sender).transfer(amount);
+    return amount;
+  }
+
+  function balanceOf(address _account) external view override returns(uint256) {
+    return balances[_account];
+  }
+
+  function withdrawToken(address) external pure override returns(uint256) {
+    return 0;
+  }
+
+  function tokenBalanceOf(address, address) external pure override returns(uint256) {
+    return 0;
+  }
+
+  function readRewardToken(uint256) external pure override returns(address) {
+    return address(0);
+  }
+
   /// @dev Retrieves hash of the data request transaction in Witnet
   /// @param _id The unique identifier of the data request.
   /// @return The hash of the DataRequest transaction in Witnet
@@ -81,6 +149,39 @@ contract WitnetRequestBoardTestHelper is WitnetRequestBoardInterface {
     return requests[_id].drTxHash;
   }
 
+  function isResultVerified(uint256) external pure override returns(bool) {
+    return false;
+  }
+
+  function isResultFinal(uint256 _id) external view override returns(bool) {
+    return requests[_id].drTxHash != 0;
+  }
+
+  function readAgreements(uint256 _id) external view override returns(uint256) {
+    return requests[_id].drTxHash != 0 ? 1 : 0;
+  }
+
+  /// @dev Sets the number of pending requests that are counted, which are never listed, as if none were sorted.
+  /// @param _pendingCount The number of pending requests.
+  function setPendingRequestsCount(uint256 _pendingCount) external {
+    pendingCount = _pendingCount;
+  }
+
+  function pendingRequestsCount() external view override returns(uint256) {
+    return pendingCount;
+  }
+
+  function getPendingRequests(uint256, uint256, bool) external pure override returns(PendingRequest[] memory) {
+    return new PendingRequest[](0);
+  }
+
+  function getRequestStatus(uint256 _id) external view override returns(RequestStatus) {
+    if (_id == 0 || _id >= requests.length) {
+      return RequestStatus.Unknown;
+    }
+    return requests[_id].drTxHash != 0 ? RequestStatus.Reported : RequestStatus.Posted;
+  }
+
   /// @dev Retrieves the result (if already available) of one data request from the WRB.
   /// @param _id The unique identifier of the data request.
   /// @return The result of the DR
@@ -88,6 +189,10 @@ contract WitnetRequestBoardTestHelper is WitnetRequestBoardInterface {
     return requests[_id].result;
   }
 
+  function supportsInterface(bytes4 _interfaceId) external pure override returns(bool) {
+    return _interfaceId == type(WitnetRequestBoardInterface).interfaceId;
+  }
+
   /// @dev Verifies if the contract is upgradable
   /// @return true if the contract upgradable
   /* solhint-disable-next-line no-unused-vars*/
@@ -101,4 +206,24 @@ contract WitnetRequestBoardTestHelper is WitnetRequestBoardInterface {
     return 0;
   }
 
+  function estimateGasCostInToken(uint256, address) external pure override returns(uint256){
+    return 0;
+  }
+
+  /// @dev Estimate the amount of reward per request that bridges need when reporting results in batches.
+  /// @return The rewards per request for the given gas price and batch size.
+  function estimateGasCostBatch(uint256, uint256) external pure override returns(uint256){
+    return 0;
+  }
+
+  /// @dev Estimate the amount of reward we need to insert for a given gas price and callback gas limit.
+  /// @return The rewards to be included for the given gas price and callback gas limit.
+  function estimateGasCostWithCallback(uint256, uint256) external pure override returns(uint256){
+    return 0;
+  }
+
+  function estimateGasCostWithMaxResultSize(uint256, uint256) external pure override returns(uint256){
+    return 0;
+  }
+
 }
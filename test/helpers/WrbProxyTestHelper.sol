@@ -13,7 +13,19 @@ import "../../contracts/WitnetRequestBoardProxy.sol";
  */
 contract WrbProxyTestHelper is WitnetRequestBoardProxy {
 
-  constructor (address _witnetRequestBoardAddress) WitnetRequestBoardProxy(_witnetRequestBoardAddress) {}
+  constructor (address _witnetRequestBoardAddress) WitnetRequestBoardProxy(_witnetRequestBoardAddress) {
+    // Let tests upgrade the WRB right away or set a shorter upgrade delay than the default one
+    upgradeDelay = 0;
+  }
+
+  function upgradeWitnetRequestBoard(address _newAddress)
+    external
+    notIdentical(_newAddress)
+    onlyUpgrader
+    isWitnetRequestBoard(_newAddress)
+  {
+    _upgradeWitnetRequestBoard(_newAddress);
+  }
 
   function checkLastId(uint256 _id) external view returns(bool) {
     return _id == currentLastId;
@@ -0,0 +1,194 @@
+const { time } = require("@openzeppelin/test-helpers")
+const { expect } = require("chai")
+
+const {
+  Filters,
+  Reducers,
+  RETRIEVAL_HTTP_GET,
+  WitnetClient,
+  cbor,
+  decodeResult,
+  encodeDataRequest,
+} = require("../src")
+
+const WRB = artifacts.require("WitnetRequestBoard")
+const WrbProxy = artifacts.require("WrbProxyTestHelper")
+const Request = artifacts.require("Request")
+
+// The bitstamp/coindesk BTC price request used in the WitnetRequestBoard tests
+const dataRequest = {
+  timeLock: 1598948925,
+  sources: [
+    {
+      kind: RETRIEVAL_HTTP_GET,
+      url: "https://www.bitstamp.net/api/ticker/",
+      script: "0x841877821864646c6173748218571903e8185b",
+    },
+    {
+      kind: RETRIEVAL_HTTP_GET,
+      url: "https://api.coindesk.com/v1/bpi/currentprice.json",
+      script: "0x86187782186663627069821866635553448218646a726174655f666c6f61748218571903e8185b",
+    },
+  ],
+  aggregator: {
+    filters: [{ op: Filters.DeviationStandard, args: "0xfa3fc00000" }],
+    reducer: Reducers.AverageMean,
+  },
+  tally: {
+    filters: [{ op: Filters.DeviationStandard, args: "0x01" }],
+    reducer: Reducers.AverageMean,
+  },
+  witnessReward: 10,
+  witnesses: 4,
+  commitAndRevealFee: 1,
+  minConsensusPercentage: 70,
+  collateral: 1000000000,
+}
+// eslint-disable-next-line no-multi-str
+const requestHex = "0x0abb0108bd8cb8fa05123b122468747470733a2f2f7777772e6269747374616d702e6e65742f6170692f7469636b65722\
+f1a13841877821864646c6173748218571903e8185b125c123168747470733a2f2f6170692e636f696e6465736b2e636f6d2f76312f6270692f6375\
+7272656e7470726963652e6a736f6e1a2786187782186663627069821866635553448218646a726174655f666c6f61748218571903e8185b1a0d0a0\
+908051205fa3fc00000100322090a0508051201011003100a1804200128\
+46308094ebdc03"
+const resultHex = "0x1a000702c8"
+const drTxHash = "0x0000000000000000000000000000000000000000000000000000000000000001"
+
+contract("JavaScript SDK", ([
+  requestor,
+  owner,
+  committeeMember,
+]) => {
+  describe("build data requests", async () => {
+    it("serializes a data request exactly like the tests' fixture", async () => {
+      expect(encodeDataRequest(dataRequest)).to.equal(requestHex)
+    })
+
+    it("rejects data requests without sources", async () => {
+      expect(() => encodeDataRequest({ ...dataRequest, sources: [] }))
+        .to.throw("The data request must have at least one source")
+    })
+
+    it("rejects data requests with a minimum consensus percentage out of range", async () => {
+      expect(() => encodeDataRequest({ ...dataRequest, minConsensusPercentage: 50 }))
+        .to.throw("The minimum consensus percentage must be between 51 and 99")
+    })
+  })
+
+  describe("decode results", async () => {
+    it("decodes CBOR values", async () => {
+      expect(cbor.decode("0x1a000702c8")).to.equal(459464)
+      expect(cbor.decode("0x3863")).to.equal(-100)
+      expect(cbor.decode("0x6449455446")).to.equal("IETF")
+      expect(cbor.decode("0x83010203")).to.deep.equal([1, 2, 3])
+      expect(cbor.decode("0xf93e00")).to.equal(1.5)
+      expect(cbor.decode("0x1bffffffffffffffff")).to.equal(18446744073709551615n)
+    })
+
+    it("decodes successful results", async () => {
+      expect(decodeResult(resultHex)).to.deep.equal({ success: true, value: 459464 })
+    })
+
+    it("decodes error results along with their arguments", async () => {
+      expect(decodeResult("0xd82783183000190194")).to.deep.equal({
+        success: false,
+        error: { code: 0x30, name: "HTTP", args: [0, 404] },
+      })
+    })
+  })
+
+  describe("post data requests and wait for their results", async () => {
+    beforeEach(async () => {
+      this.WitnetRequestBoard = await WRB.new([owner, committeeMember], { from: owner })
+      this.WrbProxy = await WrbProxy.new(this.WitnetRequestBoard.address, { from: owner })
+      this.client = new WitnetClient(web3, this.WrbProxy.address, { requestArtifact: Request })
+    })
+
+    it("deploys a data request and posts it through the proxy", async () => {
+      const { id, requestAddress } = await this.client.postRequest(dataRequest, { from: requestor })
+
+      expect(id).to.equal("1")
+      const request = await Request.at(requestAddress)
+      expect(await request.bytecode.call()).to.equal(requestHex)
+      expect((await this.WitnetRequestBoard.requestsCount.call()).toString()).to.equal("2")
+    })
+
+    it("waits for the result of a data request and decodes it", async () => {
+      const { id } = await this.client.postRequest(requestHex, { from: requestor })
+      const result = this.client.waitForResult(id, { pollingInterval: 100 })
+
+      await this.WitnetRequestBoard.reportResult(id, drTxHash, resultHex, { from: committeeMember })
+
+      expect(await result).to.deep.equal({ success: true, value: 459464 })
+    })
+
+    it("waits for the results of data requests to be final during challenge periods", async () => {
+      await this.WitnetRequestBoard.setChallengePeriod(2, 1000, { from: owner })
+      const { id } = await this.client.postRequest(requestHex, { from: requestor })
+      let resolved = false
+      const result = this.client.waitForResult(id, { pollingInterval: 100 }).then(result => {
+        resolved = true
+        return result
+      })
+
+      await this.WitnetRequestBoard.reportResult(id, drTxHash, resultHex, { from: committeeMember, value: 1000 })
+      await new Promise(resolve => setTimeout(resolve, 500))
+      expect(resolved).to.equal(false)
+
+      for (let i = 0; i < 3; i++) {
+        await time.advanceBlock()
+      }
+      expect(await result).to.deep.equal({ success: true, value: 459464 })
+    })
+
+    it("posts data requests declaring the maximum size of their results", async () => {
+      const { id } = await this.client.postRequest(requestHex, { from: requestor, gasPrice: 1, maxResultSize: 256 })
+      const largeResultHex = `0x58fd${"ab".repeat(253)}`
+
+      await this.WitnetRequestBoard.reportResult(id, drTxHash, largeResultHex, { from: committeeMember })
+      expect(await this.client.waitForResult(id, { pollingInterval: 100 }))
+        .to.deep.equal({ success: true, value: Buffer.from("ab".repeat(253), "hex") })
+    })
+
+    it("offsets the ids of data requests posted after upgrading the WRB", async () => {
+      await this.client.postRequest(requestHex, { from: requestor })
+      const newWitnetRequestBoard = await WRB.new([owner, committeeMember], { from: owner })
+      await this.WrbProxy.upgradeWitnetRequestBoard(newWitnetRequestBoard.address, { from: owner })
+
+      const { id } = await this.client.postRequest(requestHex, { from: requestor })
+      expect(id).to.equal("2")
+
+      await newWitnetRequestBoard.reportResult(1, drTxHash, resultHex, { from: committeeMember })
+      expect(await this.client.waitForResult(id, { pollingInterval: 100 }))
+        .to.deep.equal({ success: true, value: 459464 })
+    })
+
+    it("gives up waiting for a result after the timeout", async () => {
+      const { id } = await this.client.postRequest(requestHex, { from: requestor })
+      let error
+      try {
+        await this.client.waitForResult(id, { timeout: 300, pollingInterval: 100 })
+      } catch (e) {
+        error = e
+      }
+      expect(error.message).to.equal(`Timed out waiting for the result of data request #${id}`)
+    })
+
+    it("does not wait for the results of unknown data requests", async () => {
+      let error
+      try {
+        await this.client.waitForResult(1, { timeout: 300, pollingInterval: 100 })
+      } catch (e) {
+        error = e
+      }
+      expect(error.message).to.match(/Non-existent controller for id beyond the last id/)
+    })
+
+    it("waits for the results of data requests posted into a bare WRB", async () => {
+      const client = new WitnetClient(web3, this.WitnetRequestBoard.address, { requestArtifact: Request })
+      const { id } = await client.postRequest(requestHex, { from: requestor })
+      await this.WitnetRequestBoard.reportResult(id, drTxHash, resultHex, { from: committeeMember })
+
+      expect(await client.waitForResult(id, { pollingInterval: 100 })).to.deep.equal({ success: true, value: 459464 })
+    })
+  })
+})
@@ -200,6 +200,150 @@ contract("UsingWitnet", accounts => {
       )
     })
   })
+
+  describe("UsingWitnet cancellation test case. " +
+    "This covers the refund of requests that are not resolved before their deadline.", () => {
+    const requestHex = "0x03"
+    const drTxHash = "0xe3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855"
+
+    const reward = web3.utils.toWei("1", "ether")
+
+    let witnet, clientContract, wrb, wrbProxy, request, requestId
+
+    before(async () => {
+      witnet = await Witnet.deployed()
+      wrb = await WRB.new([accounts[0]])
+      await wrb.setRequestTimeout(0)
+      wrbProxy = await WRBProxy.new(wrb.address)
+      await UsingWitnetTestHelper.link(Witnet, witnet.address)
+      clientContract = await UsingWitnetTestHelper.new(wrbProxy.address)
+      request = await Request.new(requestHex)
+      requestId = await returnData(clientContract._witnetPostRequest(
+        request.address,
+        {
+          from: accounts[1],
+          value: reward,
+        }
+      ))
+    })
+
+    it("should not let anyone but the client contract cancel the request", async () => {
+      await truffleAssert.reverts(
+        wrbProxy.cancelDataRequest(requestId, { from: accounts[1] }),
+        "Sender is not the requester"
+      )
+    })
+
+    it("should cancel the request and credit the refund to the client contract", async () => {
+      await clientContract._witnetCancelRequest(requestId, { from: accounts[1] })
+      const usingWitnetBalance = await wrb.balanceOf.call(clientContract.address)
+      assert.equal(usingWitnetBalance.toString(), reward)
+      const proxyBalance = await wrb.balanceOf.call(wrbProxy.address)
+      assert.equal(proxyBalance.toString(), "0")
+      assert.equal(await web3.eth.getBalance(wrbProxy.address), "0")
+    })
+
+    it("should not accept a result for the cancelled request", async () => {
+      await truffleAssert.reverts(
+        wrb.reportResult(requestId, drTxHash, "0x1a002fefd8", {
+          from: accounts[0],
+        }),
+        "The request has been cancelled"
+      )
+    })
+  })
+
+  describe("UsingWitnet callback test case. " +
+    "This covers the delivery of results to the client contract as soon as they are reported.", () => {
+    const requestHex = "0x04"
+    const resultHex = "0x1a002fefd8"
+    const resultDecimal = 3141592
+    const drTxHash = "0xe3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855"
+    const callbackGasLimit = 500000
+    const gasPrice = 1
+
+    let witnet, clientContract, wrb, wrbProxy, request, reward
+
+    before(async () => {
+      witnet = await Witnet.deployed()
+      wrb = await WRB.new([accounts[0]])
+      wrbProxy = await WRBProxy.new(wrb.address)
+      await UsingWitnetTestHelper.link(Witnet, witnet.address)
+      clientContract = await UsingWitnetTestHelper.new(wrbProxy.address)
+      request = await Request.new(requestHex)
+      reward = await clientContract._witnetEstimateGasCostWithCallback.call(gasPrice, callbackGasLimit)
+    })
+
+    it("should estimate a reward that covers the callback gas", async () => {
+      const estimatedReward = await clientContract._witnetEstimateGasCost.call(gasPrice)
+      assert.equal(reward.toString(), estimatedReward.addn(callbackGasLimit * gasPrice).toString())
+    })
+
+    it("should not accept a reward that does not cover the callback gas", async () => {
+      await truffleAssert.reverts(
+        clientContract._witnetPostRequestWithCallback(request.address, callbackGasLimit, {
+          from: accounts[1],
+          value: reward.subn(1),
+          gasPrice: gasPrice,
+        }),
+        "Result reward should cover gas expenses"
+      )
+    })
+
+    it("should deliver the result to the client contract when it is reported", async () => {
+      const requestId = await returnData(clientContract._witnetPostRequestWithCallback(
+        request.address,
+        callbackGasLimit,
+        {
+          from: accounts[1],
+          value: reward,
+          gasPrice: gasPrice,
+        }
+      ))
+      const tx = await wrb.reportResult(requestId, drTxHash, resultHex, { from: accounts[0] })
+      truffleAssert.eventNotEmitted(tx, "FailedCallback")
+
+      const callbackId = await clientContract.callbackId()
+      assert.equal(callbackId.toString(), web3.utils.toBN(requestId).toString())
+      const result = await clientContract.result()
+      assert.equal(result.success, true)
+      assert.equal(result.cborValue.buffer.data, resultHex)
+      const actualResultDecimal = await clientContract._witnetAsUint64.call()
+      assert.equal(actualResultDecimal.toString(), resultDecimal.toString())
+    })
+
+    it("should report the result and pay the reporter even if the callback reverts", async () => {
+      await clientContract._setCallbackReverts(true)
+      const requestId = await returnData(clientContract._witnetPostRequestWithCallback(
+        request.address,
+        callbackGasLimit,
+        {
+          from: accounts[1],
+          value: reward,
+          gasPrice: gasPrice,
+        }
+      ))
+      const reporterBalance = await wrb.balanceOf(accounts[0])
+      const tx = await wrb.reportResult(requestId, drTxHash, resultHex, { from: accounts[0] })
+      truffleAssert.eventEmitted(tx, "FailedCallback", ev => ev._id.eq(web3.utils.toBN(requestId)))
+
+      const requestInfo = await wrb.requests(requestId)
+      assert.equal(requestInfo.result, resultHex)
+      const finalReporterBalance = await wrb.balanceOf(accounts[0])
+      assert.equal(finalReporterBalance.toString(), reporterBalance.add(reward).toString())
+    })
+
+    it("should not accept results from anyone but the WRB", async () => {
+      await truffleAssert.reverts(
+        clientContract.witnetCallback(1, resultHex, { from: accounts[0] }),
+        "Only the WitnetRequestBoard can deliver results"
+      )
+      await truffleAssert.reverts(
+        wrbProxy.witnetCallback(1, resultHex, { from: accounts[0] }),
+        "Sender is not a Witnet Request Board controller"
+      )
+    })
+  })
 })
 
 function waitForHash (tx) {
@@ -212,6 +356,6 @@ async function returnData (tx) {
   const txHash = await waitForHash(tx)
   const txReceipt = await web3.eth.getTransactionReceipt(txHash)
   if (txReceipt.logs[0]) {
-    return txReceipt.logs[0].data
+    return txReceipt.logs[0].topics[1]
   }
 }
@@ -4,6 +4,7 @@ const {
   expectRevert,
   balance,
   ether,
+  time,
 } = require("@openzeppelin/test-helpers")
 const { expect } = require("chai")
 
@@ -11,7 +12,10 @@ const { expect } = require("chai")
 const WRB = artifacts.require("WitnetRequestBoard")
 
 const Request = artifacts.require("Request")
+const UsingWitnetTestHelper = artifacts.require("UsingWitnetTestHelper")
+const Witnet = artifacts.require("Witnet")
 const RequestTestHelper = artifacts.require("RequestTestHelper")
+const ERC20TestHelper = artifacts.require("ERC20TestHelper")
 
 // Request definition
 const requestId = new BN(1)
@@ -63,6 +67,8 @@ contract("WitnetRequestBoard", ([
         "PostedRequest",
         {
           _id: requestId,
+          _requester: requestor,
+          _reward: ether("1"),
         })
       expect(postDataRequestTx.logs[0].args._id, "match data request id").to.be.bignumber.equal(requestId)
 
@@ -235,6 +241,88 @@ contract("WitnetRequestBoard", ([
     })
   })
 
+  describe("request status and metadata", async () => {
+    it("anyone can follow the status of a data request through its lifecycle", async () => {
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(0)).toString()).to.equal("0")
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(requestId)).toString()).to.equal("0")
+
+      await this.WitnetRequestBoard.setRequestTimeout(2, { from: owner })
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, { from: requestor, value: ether("1") })
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, { from: requestor, value: ether("1") })
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(requestId)).toString()).to.equal("1")
+
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember })
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(requestId)).toString()).to.equal("2")
+
+      const cancelledId = requestId.add(new BN(1))
+      await time.advanceBlockTo((await this.WitnetRequestBoard.readDeadline.call(cancelledId)).add(new BN(1)))
+      await this.WitnetRequestBoard.cancelDataRequest(cancelledId, { from: requestor })
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(cancelledId)).toString()).to.equal("3")
+    })
+    it("anyone can read who posted a data request and when", async () => {
+      const postDataRequestTx = await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: ether("1"),
+      })
+      const block = await web3.eth.getBlock(postDataRequestTx.receipt.blockNumber)
+
+      expect(await this.WitnetRequestBoard.readRequester.call(requestId)).to.equal(requestor)
+      const postedAt = await this.WitnetRequestBoard.readPostedAt.call(requestId)
+      expect(postedAt._blockNumber.toString()).to.equal(block.number.toString())
+      expect(postedAt._timestamp.toString()).to.equal(block.timestamp.toString())
+      await expectRevert(this.WitnetRequestBoard.readRequester.call(requestId.add(new BN(1))), "Id not found")
+    })
+  })
+
+  describe("list pending requests", async () => {
+    const listPending = async (offset, limit, byReward) =>
+      (await this.WitnetRequestBoard.getPendingRequests.call(offset, limit, byReward))
+        .map(request => request.id.toString())
+
+    beforeEach(async () => {
+      // Post ids 1 to 5 and resolve ids 2 and 4
+      await this.WitnetRequestBoard.setRequestTimeout(0, { from: owner })
+      for (const reward of ["3", "1", "4", "1", "5"]) {
+        await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+          from: requestor,
+          value: ether(reward),
+          gasPrice: 1,
+        })
+      }
+      await this.WitnetRequestBoard.reportResult(2, drTxHash, resultHex, { from: committeeMember })
+      await this.WitnetRequestBoard.reportResult(4, drTxHash, resultHex, { from: committeeMember })
+    })
+    it("bridges can list the pending requests by id", async () => {
+      expect((await this.WitnetRequestBoard.pendingRequestsCount.call()).toString()).to.equal("3")
+      expect(await listPending(0, 10, false)).to.deep.equal(["1", "3", "5"])
+      expect(await listPending(1, 1, false)).to.deep.equal(["3"])
+      expect(await listPending(3, 1, false)).to.deep.equal([])
+
+      const [request] = await this.WitnetRequestBoard.getPendingRequests.call(0, 1, false)
+      expect(request.reward.toString()).to.equal(ether("3").toString())
+      expect(request.gasPrice.toString()).to.equal("1")
+      expect(request.drOutputHash.toString())
+        .to.equal((await this.WitnetRequestBoard.requests.call(1)).drOutputHash.toString())
+    })
+    it("bridges can list the pending requests by reward, including upgrades", async () => {
+      expect(await listPending(0, 10, true)).to.deep.equal(["5", "3", "1"])
+      await this.WitnetRequestBoard.upgradeDataRequest(1, { from: requestor, value: ether("3"), gasPrice: 1 })
+      expect(await listPending(0, 10, true)).to.deep.equal(["1", "5", "3"])
+      expect(await listPending(1, 5, true)).to.deep.equal(["5", "3"])
+    })
+    it("cancelled and newly posted requests are removed from and appended to the list", async () => {
+      await time.advanceBlock()
+      await this.WitnetRequestBoard.cancelDataRequest(3, { from: requestor })
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: ether("2"),
+        gasPrice: 1,
+      })
+      expect(await listPending(0, 10, false)).to.deep.equal(["1", "5", "6"])
+      expect(await listPending(0, 10, true)).to.deep.equal(["5", "1", "6"])
+    })
+  })
+
   describe("report data request result", async () => {
     beforeEach(async () => {
       // Post data request
@@ -244,12 +332,10 @@ contract("WitnetRequestBoard", ([
         gasPrice: 1,
       })
     })
-    it("committee members can report a request result from Witnet and it should receive the tallyReward", async () => {
+    it("committee members can report a request result from Witnet and it gets the tallyReward credited", async () => {
       // Initial balances
       const contractBalanceTracker = await balance.tracker(this.WitnetRequestBoard.address)
-      const ownerBalanceTracker = await balance.tracker(owner)
       const contractInitialBalance = await contractBalanceTracker.get()
-      const ownerInitialBalance = await ownerBalanceTracker.get()
 
       // Report data request result from Witnet to WitnetRequestBoard
       const reportResultTx = await this.WitnetRequestBoard.reportResult(
@@ -263,26 +349,17 @@ contract("WitnetRequestBoard", ([
         "PostedResult",
         {
           _id: requestId,
+          _requester: requestor,
+          _drTxHash: new BN(drTxHash.slice(2), 16),
         },
       )
       expect(reportResultTx.logs[0].args._id, "match data request id").to.be.bignumber.equal(requestId)
+      expectEvent(reportResultTx, "Credited", { _account: owner, _amount: ether("1") })
 
-      // Check balances (contract decreased and claimer increased)
+      // Check balances (reward credited to the claimer, while it stays in the contract until withdrawn)
       const contractFinalBalance = await contractBalanceTracker.get()
-      const ownerFinalBalance = await ownerBalanceTracker.get()
-
-      expect(
-        contractFinalBalance.eq(contractInitialBalance
-          .sub(ether("1"))
-        ),
-        "contract balance should have decreased after reporting dr request result by 1 eth",
-      ).to.equal(true)
-      expect(
-        ownerFinalBalance.eq(ownerInitialBalance
-          .add(ether("1")).sub(new BN(reportResultTx.receipt.gasUsed))
-        ),
-        "Owner balance should have increased after reporting result",
-      ).to.equal(true)
+      expect(contractFinalBalance.toString()).to.equal(contractInitialBalance.toString())
+      expect((await this.WitnetRequestBoard.balanceOf.call(owner)).toString()).to.equal(ether("1").toString())
     })
     it("fails if reporter is not a committee member", async () => {
       await expectRevert(
@@ -329,6 +406,339 @@ contract("WitnetRequestBoard", ([
     })
   })
 
+  describe("report data request results in batches", async () => {
+    beforeEach(async () => {
+      // Post three data requests
+      for (let i = 0; i < 3; i++) {
+        await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+          from: requestor,
+          value: ether("1"),
+          gasPrice: 1,
+        })
+      }
+    })
+    it("committee members can report several results at once and receive all the rewards", async () => {
+      const ids = [requestId, requestId.add(new BN(1)), requestId.add(new BN(2))]
+
+      // Report the results of the three data requests
+      const reportResultBatchTx = await this.WitnetRequestBoard.reportResultBatch(
+        ids, [drTxHash, drTxHash, drTxHash], [resultHex, resultHex, resultHex],
+        { from: owner, gasPrice: 1 }
+      )
+
+      // Check `PostedResult` events
+      for (const id of ids) {
+        expectEvent(reportResultBatchTx, "PostedResult", { _id: id })
+        expect(await this.WitnetRequestBoard.readResult.call(id)).to.be.equal(resultHex)
+      }
+
+      // Check the three rewards are credited at once to the claimer
+      expectEvent(reportResultBatchTx, "Credited", { _account: owner, _amount: ether("3") })
+      expect((await this.WitnetRequestBoard.balanceOf.call(owner)).toString()).to.equal(ether("3").toString())
+    })
+    it("skips the results that cannot be reported without reverting the whole batch", async () => {
+      const id1 = requestId
+      const id2 = requestId.add(new BN(1))
+      const id3 = requestId.add(new BN(2))
+      const nonExistentId = requestId.add(new BN(3))
+
+      // Report the first result beforehand
+      await this.WitnetRequestBoard.reportResult(id1, drTxHash, resultHex, { from: owner, gasPrice: 1 })
+
+      const reportResultBatchTx = await this.WitnetRequestBoard.reportResultBatch(
+        [id1, nonExistentId, id2, id3, id3],
+        [drTxHash, drTxHash, 0, drTxHash, drTxHash],
+        [resultHex, resultHex, resultHex, resultHex, resultHex],
+        { from: committeeMember, gasPrice: 1 }
+      )
+
+      expectEvent(reportResultBatchTx, "BatchReportError", { _id: id1, _reason: "Result already included" })
+      expectEvent(reportResultBatchTx, "BatchReportError", { _id: nonExistentId, _reason: "Id not found" })
+      expectEvent(
+        reportResultBatchTx,
+        "BatchReportError",
+        { _id: id2, _reason: "Data request transaction cannot be zero" }
+      )
+      expectEvent(reportResultBatchTx, "PostedResult", { _id: id3 })
+      expectEvent(reportResultBatchTx, "BatchReportError", { _id: id3, _reason: "Result already included" })
+
+      // Only the third request should have been resolved by the batch
+      expect(await this.WitnetRequestBoard.readDrTxHash.call(id2)).to.be.bignumber.equal(new BN(0))
+      expect(await this.WitnetRequestBoard.readResult.call(id3)).to.be.equal(resultHex)
+    })
+    it("bridges spend less gas per result than the estimated batch reward", async () => {
+      const ids = [requestId, requestId.add(new BN(1)), requestId.add(new BN(2))]
+      const reportResultBatchTx = await this.WitnetRequestBoard.reportResultBatch(
+        ids, [drTxHash, drTxHash, drTxHash], [resultHex, resultHex, resultHex],
+        { from: owner, gasPrice: 1 }
+      )
+      const rewardPerResult = await this.WitnetRequestBoard.estimateGasCostBatch.call(1, ids.length)
+      expect(
+        new BN(reportResultBatchTx.receipt.gasUsed).lte(rewardPerResult.mul(new BN(ids.length))),
+        "the estimated batch reward should cover the gas spent in the batch",
+      ).to.equal(true)
+    })
+    it("fails if the batch arrays have different lengths", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.reportResultBatch(
+          [requestId, requestId.add(new BN(1))], [drTxHash], [resultHex, resultHex],
+          { from: owner, gasPrice: 1 }
+        ),
+        "Batch arrays must have the same length"
+      )
+    })
+    it("fails if reporter is not a committee member", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.reportResultBatch([requestId], [drTxHash], [resultHex], {
+          from: other,
+          gasPrice: 1,
+        }),
+        "Sender not authorized"
+      )
+    })
+  })
+
+  describe("settle report rewards", async () => {
+    const gasPrice = 1000
+    const reward = new BN(gasPrice).mul(new BN(500000))
+
+    beforeEach(async () => {
+      await this.WitnetRequestBoard.setSettlement(true, 1000, { from: owner })
+      for (let i = 0; i < 3; i++) {
+        await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+          from: requestor,
+          value: reward,
+          gasPrice,
+        })
+      }
+    })
+    it("reporters get the gas they spend plus the premium and requesters get back the rest", async () => {
+      const reportResultTx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: committeeMember,
+        gasPrice,
+      })
+
+      const gasCost = new BN(reportResultTx.receipt.gasUsed).mul(new BN(gasPrice))
+      const refund = await this.WitnetRequestBoard.balanceOf.call(requestor)
+      const payment = await this.WitnetRequestBoard.balanceOf.call(committeeMember)
+      const reporterProfit = payment.sub(gasCost)
+      expectEvent(reportResultTx, "RefundedReward", { _id: requestId, _requester: requestor, _amount: refund })
+      expect(refund.gt(new BN(0)), "the requester should get back the unused reward").to.equal(true)
+      expect(payment.add(refund).toString()).to.equal(reward.toString())
+      // The reporter profit should roughly amount to the 10% premium
+      expect(reporterProfit.gt(gasCost.divn(20)), "the reporter should profit from the premium").to.equal(true)
+      expect(reporterProfit.lt(gasCost.divn(5)), "the reporter should not profit beyond the premium").to.equal(true)
+    })
+    it("reporters get the gas they spend in batches plus the premium", async () => {
+      const reportResultBatchTx = await this.WitnetRequestBoard.reportResultBatch(
+        [requestId, requestId.add(new BN(1))], [drTxHash, drTxHash], [resultHex, resultHex],
+        { from: committeeMember, gasPrice }
+      )
+
+      const gasCost = new BN(reportResultBatchTx.receipt.gasUsed).mul(new BN(gasPrice))
+      const refund = await this.WitnetRequestBoard.balanceOf.call(requestor)
+      const payment = await this.WitnetRequestBoard.balanceOf.call(committeeMember)
+      const reporterProfit = payment.sub(gasCost)
+      expect(payment.add(refund).toString()).to.equal(reward.muln(2).toString())
+      expect(reporterProfit.gt(gasCost.divn(20)), "the reporter should profit from the premium").to.equal(true)
+      expect(reporterProfit.lt(gasCost.divn(5)), "the reporter should not profit beyond the premium").to.equal(true)
+    })
+    it("reporters get the whole reward if it does not cover the gas they spend", async () => {
+      await this.WitnetRequestBoard.setSettlement(true, 1000000, { from: owner })
+
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: committeeMember,
+        gasPrice,
+      })
+
+      expect((await this.WitnetRequestBoard.balanceOf.call(requestor)).toString()).to.equal("0")
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal(reward.toString())
+    })
+    it("fails if the settlement is set by someone other than the owner", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.setSettlement(false, 0, { from: requestor }),
+        "Ownable: caller is not the owner"
+      )
+    })
+  })
+
+  describe("withdraw balances", async () => {
+    beforeEach(async () => {
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: ether("1"),
+        gasPrice: 1,
+      })
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: committeeMember,
+        gasPrice: 1,
+      })
+    })
+    it("reporters can withdraw their credited rewards", async () => {
+      const contractBalanceTracker = await balance.tracker(this.WitnetRequestBoard.address)
+      const reporterBalanceTracker = await balance.tracker(committeeMember)
+
+      const withdrawTx = await this.WitnetRequestBoard.withdraw({ from: committeeMember, gasPrice: 1 })
+      expectEvent(withdrawTx, "Withdrawn", { _account: committeeMember, _amount: ether("1") })
+
+      expect((await contractBalanceTracker.delta()).toString()).to.equal(ether("-1").toString())
+      expect((await reporterBalanceTracker.delta()).toString())
+        .to.equal(ether("1").sub(new BN(withdrawTx.receipt.gasUsed)).toString())
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal("0")
+    })
+    it("fails if there is nothing to withdraw", async () => {
+      await this.WitnetRequestBoard.withdraw({ from: committeeMember })
+      await expectRevert(this.WitnetRequestBoard.withdraw({ from: committeeMember }), "Nothing to withdraw")
+      await expectRevert(this.WitnetRequestBoard.withdraw({ from: other }), "Nothing to withdraw")
+    })
+  })
+
+  describe("share requests with the same bytecode", async () => {
+    const sharedId = requestId
+    const subscriberId = requestId.add(new BN(1))
+    const reward = new BN(1000000)
+    const post = (from, value) => this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+      from,
+      value,
+      gasPrice: 1,
+    })
+
+    beforeEach(async () => {
+      await this.WitnetRequestBoard.setRequestSharing(true, { from: owner })
+      await this.WitnetRequestBoard.setRequestTimeout(2, { from: owner })
+      await post(requestor, reward)
+    })
+    it("requests with the same bytecode are merged into the pending one, which collects their rewards", async () => {
+      const postDataRequestTx = await post(other, reward.muln(3))
+      expectEvent(postDataRequestTx, "PostedRequest", {
+        _id: subscriberId,
+        _requester: other,
+        _reward: reward.muln(3),
+      })
+      expectEvent(postDataRequestTx, "SharedRequest", { _id: subscriberId, _sharedId: sharedId })
+
+      expect((await this.WitnetRequestBoard.readSharedId.call(subscriberId)).toString()).to.equal(sharedId.toString())
+      expect((await this.WitnetRequestBoard.requests(sharedId)).reward.toString()).to.equal(reward.muln(4).toString())
+      expect((await this.WitnetRequestBoard.requests(subscriberId)).reward.toString())
+        .to.equal(reward.muln(3).toString())
+      const pending = await this.WitnetRequestBoard.getPendingRequests.call(0, 10, false)
+      expect(pending.map(request => request.id.toString())).to.deep.equal([sharedId.toString()])
+    })
+    it("a single report resolves every request merged into the shared one", async () => {
+      await post(other, reward)
+
+      const reportResultTx = await this.WitnetRequestBoard.reportResult(sharedId, drTxHash, resultHex, {
+        from: committeeMember,
+      })
+      expectEvent(reportResultTx, "PostedResult", { _id: sharedId, _requester: requestor })
+      expectEvent(reportResultTx, "PostedResult", { _id: subscriberId, _requester: other })
+      expectEvent(reportResultTx, "Credited", { _account: committeeMember, _amount: reward.muln(2) })
+
+      expect(await this.WitnetRequestBoard.readResult.call(subscriberId)).to.equal(resultHex)
+      expect((await this.WitnetRequestBoard.readDrTxHash.call(subscriberId)).toString())
+        .to.equal(new BN(drTxHash.slice(2), 16).toString())
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(subscriberId)).toString()).to.equal("2")
+    })
+    it("merged requests cannot be reported on their own", async () => {
+      await post(other, reward)
+
+      await expectRevert(
+        this.WitnetRequestBoard.reportResult(subscriberId, drTxHash, resultHex, { from: committeeMember }),
+        "The request is reported through the one it is shared with"
+      )
+      const reportResultBatchTx = await this.WitnetRequestBoard.reportResultBatch(
+        [subscriberId], [drTxHash], [resultHex], { from: committeeMember }
+      )
+      expectEvent(reportResultBatchTx, "BatchReportError", {
+        _id: subscriberId,
+        _reason: "The request is reported through the one it is shared with",
+      })
+    })
+    it("upgrading a merged request upgrades the shared one too", async () => {
+      await post(other, reward)
+
+      await this.WitnetRequestBoard.upgradeDataRequest(subscriberId, { from: other, value: reward, gasPrice: 1 })
+
+      expect((await this.WitnetRequestBoard.requests(sharedId)).reward.toString()).to.equal(reward.muln(3).toString())
+      expect((await this.WitnetRequestBoard.requests(subscriberId)).reward.toString())
+        .to.equal(reward.muln(2).toString())
+    })
+    it("the settlement refund is split among the requesters in proportion to their contributions", async () => {
+      await this.WitnetRequestBoard.setSettlement(true, 1000, { from: owner })
+      await post(other, reward.muln(3))
+
+      const reportResultTx = await this.WitnetRequestBoard.reportResult(sharedId, drTxHash, resultHex, {
+        from: committeeMember,
+        gasPrice: 1,
+      })
+
+      const requestorRefund = await this.WitnetRequestBoard.balanceOf.call(requestor)
+      const otherRefund = await this.WitnetRequestBoard.balanceOf.call(other)
+      const payment = await this.WitnetRequestBoard.balanceOf.call(committeeMember)
+      expectEvent(reportResultTx, "RefundedReward", { _id: subscriberId, _requester: other, _amount: otherRefund })
+      expect(payment.add(requestorRefund).add(otherRefund).toString()).to.equal(reward.muln(4).toString())
+      expect(requestorRefund.muln(3).sub(otherRefund).abs().lten(3), "refunds should be proportional").to.equal(true)
+    })
+    it("cancelling a merged request refunds its contribution to the shared one", async () => {
+      await post(other, reward.muln(3))
+      const deadline = await this.WitnetRequestBoard.readDeadline.call(subscriberId)
+      await time.advanceBlockTo(deadline.add(new BN(1)))
+
+      const cancelTx = await this.WitnetRequestBoard.cancelDataRequest(subscriberId, { from: other })
+      expectEvent(cancelTx, "Credited", { _account: other, _amount: reward.muln(3) })
+      expect((await this.WitnetRequestBoard.requests(sharedId)).reward.toString()).to.equal(reward.toString())
+
+      await this.WitnetRequestBoard.cancelDataRequest(sharedId, { from: requestor })
+      expect((await this.WitnetRequestBoard.balanceOf.call(requestor)).toString()).to.equal(reward.toString())
+      expect((await this.WitnetRequestBoard.pendingRequestsCount.call()).toString()).to.equal("0")
+    })
+    it("cancelling a shared request refunds its own contribution and promotes the first merged request", async () => {
+      const thirdId = subscriberId.addn(1)
+      await post(other, reward.muln(3))
+      await post(owner, reward.muln(2))
+      const deadline = await this.WitnetRequestBoard.readDeadline.call(sharedId)
+      await time.advanceBlockTo(deadline.add(new BN(1)))
+
+      const cancelTx = await this.WitnetRequestBoard.cancelDataRequest(sharedId, { from: requestor })
+      expectEvent(cancelTx, "Credited", { _account: requestor, _amount: reward })
+      expectEvent(cancelTx, "SharedRequest", { _id: thirdId, _sharedId: subscriberId })
+      expect((await this.WitnetRequestBoard.readSharedId.call(subscriberId)).toString()).to.equal("0")
+      expect((await this.WitnetRequestBoard.readSharedId.call(thirdId)).toString()).to.equal(subscriberId.toString())
+      expect((await this.WitnetRequestBoard.requests(subscriberId)).reward.toString())
+        .to.equal(reward.muln(5).toString())
+      const pending = await this.WitnetRequestBoard.getPendingRequests.call(0, 10, false)
+      expect(pending.map(request => request.id.toString())).to.deep.equal([subscriberId.toString()])
+
+      // New requests are merged into the promoted request, which resolves every request still merged into it
+      await post(other, reward)
+      expect((await this.WitnetRequestBoard.readSharedId.call(thirdId.addn(1))).toString())
+        .to.equal(subscriberId.toString())
+      await this.WitnetRequestBoard.reportResult(subscriberId, drTxHash, resultHex, { from: committeeMember })
+      expect(await this.WitnetRequestBoard.readResult.call(thirdId)).to.equal(resultHex)
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString())
+        .to.equal(reward.muln(6).toString())
+    })
+    it("requests are not merged if their maximum result sizes differ or the shared one is not pending", async () => {
+      await this.WitnetRequestBoard.postDataRequestWithMaxResultSize(this.Request.address, 64, {
+        from: other,
+        value: reward,
+        gasPrice: 1,
+      })
+      await this.WitnetRequestBoard.reportResult(sharedId, drTxHash, resultHex, { from: committeeMember })
+      await post(other, reward)
+
+      expect((await this.WitnetRequestBoard.readSharedId.call(subscriberId)).toString()).to.equal("0")
+      expect((await this.WitnetRequestBoard.readSharedId.call(subscriberId.addn(1))).toString()).to.equal("0")
+      expect((await this.WitnetRequestBoard.pendingRequestsCount.call()).toString()).to.equal("2")
+    })
+    it("fails if request sharing is set by someone other than the owner", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.setRequestSharing(false, { from: requestor }),
+        "Ownable: caller is not the owner"
+      )
+    })
+  })
+
   describe("read data request result", async () => {
     let requestTestHelper
     beforeEach(async () => {
@@ -391,6 +801,98 @@ contract("WitnetRequestBoard", ([
     })
   })
 
+  describe("declare maximum result size", async () => {
+    // A CBOR byte string of 1021 bytes, which takes 1024 bytes once encoded
+    const largeResultHex = `0x5903fd${"ab".repeat(1021)}`
+    const oversizedResultHex = "0xd8278118e2"
+
+    it("requests posted without declaring a size cover the default maximum result size", async () => {
+      const defaultSize = await this.WitnetRequestBoard.DEFAULT_MAX_RESULT_SIZE.call()
+      const reward = await this.WitnetRequestBoard.estimateGasCost.call(1)
+      const sizedReward = await this.WitnetRequestBoard.estimateGasCostWithMaxResultSize.call(1, defaultSize)
+      expect(sizedReward.toString()).to.equal(reward.toString())
+    })
+    it("larger maximum result sizes require larger rewards", async () => {
+      const reward = await this.WitnetRequestBoard.estimateGasCost.call(1)
+      const sizedReward = await this.WitnetRequestBoard.estimateGasCostWithMaxResultSize.call(1, 1024)
+      expect(sizedReward.gt(reward), "the reward should grow with the maximum result size").to.equal(true)
+      await expectRevert(
+        this.WitnetRequestBoard.postDataRequestWithMaxResultSize(this.Request.address, 1024, {
+          from: requestor,
+          value: reward,
+          gasPrice: 1,
+        }),
+        "Result reward should cover gas expenses. Check the estimateGasCost"
+      )
+    })
+    it("committee members can report results up to the declared size, spending less gas than rewarded", async () => {
+      const reward = await this.WitnetRequestBoard.estimateGasCostWithMaxResultSize.call(1, 1024)
+      await this.WitnetRequestBoard.postDataRequestWithMaxResultSize(this.Request.address, 1024, {
+        from: requestor,
+        value: reward,
+        gasPrice: 1,
+      })
+      const reportResultTx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, largeResultHex, {
+        from: committeeMember,
+        gasPrice: 1,
+      })
+      expect(await this.WitnetRequestBoard.readResult.call(requestId)).to.be.equal(largeResultHex)
+      expect(
+        new BN(reportResultTx.receipt.gasUsed).lte(reward),
+        "the reward should cover the gas spent in reporting the result",
+      ).to.equal(true)
+    })
+    it("results exceeding the declared size are replaced by an oversized result error", async () => {
+      const reward = await this.WitnetRequestBoard.estimateGasCost.call(1)
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: reward,
+        gasPrice: 1,
+      })
+      const reportResultTx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, largeResultHex, {
+        from: committeeMember,
+        gasPrice: 1,
+      })
+      expectEvent(reportResultTx, "PostedResult", { _id: requestId })
+      expect(await this.WitnetRequestBoard.readResult.call(requestId)).to.be.equal(oversizedResultHex)
+    })
+    it("fails if the declared size is zero or exceeds the result size limit", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.postDataRequestWithMaxResultSize(this.Request.address, 0, {
+          from: requestor,
+          value: ether("1"),
+          gasPrice: 1,
+        }),
+        "Maximum result size cannot be zero"
+      )
+      const limit = await this.WitnetRequestBoard.resultSizeLimit.call()
+      await expectRevert(
+        this.WitnetRequestBoard.postDataRequestWithMaxResultSize(this.Request.address, limit.add(new BN(1)), {
+          from: requestor,
+          value: ether("1"),
+          gasPrice: 1,
+        }),
+        "Maximum result size exceeds the limit"
+      )
+    })
+    it("owner can raise the result size limit", async () => {
+      await this.WitnetRequestBoard.setResultSizeLimit(4096, { from: owner })
+      await this.WitnetRequestBoard.postDataRequestWithMaxResultSize(this.Request.address, 4096, {
+        from: requestor,
+        value: ether("1"),
+        gasPrice: 1,
+      })
+      await expectRevert(
+        this.WitnetRequestBoard.setResultSizeLimit(4096, { from: requestor }),
+        "Ownable: caller is not the owner"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.setResultSizeLimit(1, { from: owner }),
+        "Result size limit cannot be below the default"
+      )
+    })
+  })
+
   describe("estimate gas cost", async () => {
     it("anyone can estime a data request gas cost", async () => {
       // Gas price = 1
@@ -403,5 +905,824 @@ contract("WitnetRequestBoard", ([
       ).to.equal(true)
     }
     )
+    it("anyone can estimate a lower data request gas cost for batches of results", async () => {
+      const reward = await this.WitnetRequestBoard.estimateGasCost.call(1)
+      const batchReward = await this.WitnetRequestBoard.estimateGasCostBatch.call(1, 1)
+      const largeBatchReward = await this.WitnetRequestBoard.estimateGasCostBatch.call(1, 10)
+      expect(batchReward.lte(reward), "a batch of one should not cost more than a single report").to.equal(true)
+      expect(largeBatchReward.lt(batchReward), "larger batches should cost less per request").to.equal(true)
+      await expectRevert(this.WitnetRequestBoard.estimateGasCostBatch.call(1, 0), "Batch size cannot be zero")
+    })
+    it("requests still need to cover the reward of a single report", async () => {
+      const largeBatchReward = await this.WitnetRequestBoard.estimateGasCostBatch.call(1, 10)
+      await expectRevert(
+        this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+          from: requestor,
+          value: largeBatchReward,
+          gasPrice: 1,
+        }),
+        "Result reward should cover gas expenses. Check the estimateGasCost method."
+      )
+    })
+  })
+
+  describe("cancel data request", async () => {
+    beforeEach(async () => {
+      await this.WitnetRequestBoard.setRequestTimeout(2, { from: owner })
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: ether("1"),
+        gasPrice: 1,
+      })
+    })
+    it("requester can cancel a request after its deadline and get the reward back", async () => {
+      // Let the deadline pass
+      const deadline = await this.WitnetRequestBoard.readDeadline.call(requestId)
+      await time.advanceBlockTo(deadline.add(new BN(1)))
+
+      // Cancel data request
+      const cancelTx = await this.WitnetRequestBoard.cancelDataRequest(requestId, {
+        from: requestor,
+        gasPrice: 1,
+      })
+      expectEvent(cancelTx, "CancelledRequest", { _id: requestId })
+      expectEvent(cancelTx, "Credited", { _account: requestor, _amount: ether("1") })
+
+      // Check the reward is credited back to the requestor
+      expect((await this.WitnetRequestBoard.balanceOf.call(requestor)).toString()).to.equal(ether("1").toString())
+    })
+    it("cancelled requests cannot be reported, upgraded nor read", async () => {
+      const deadline = await this.WitnetRequestBoard.readDeadline.call(requestId)
+      await time.advanceBlockTo(deadline.add(new BN(1)))
+      await this.WitnetRequestBoard.cancelDataRequest(requestId, { from: requestor })
+
+      await expectRevert(
+        this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+          from: committeeMember,
+          gasPrice: 1,
+        }),
+        "The request has been cancelled"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.upgradeDataRequest(requestId, {
+          from: other,
+          value: ether("1"),
+        }),
+        "The request has been cancelled"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.readResult(requestId),
+        "The request has been cancelled"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.cancelDataRequest(requestId, { from: requestor }),
+        "The request has been cancelled"
+      )
+    })
+    it("fails if the deadline has not passed yet", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.cancelDataRequest(requestId, { from: requestor }),
+        "The request deadline has not passed yet"
+      )
+    })
+    it("fails if sender is not the requester", async () => {
+      const deadline = await this.WitnetRequestBoard.readDeadline.call(requestId)
+      await time.advanceBlockTo(deadline.add(new BN(1)))
+      await expectRevert(
+        this.WitnetRequestBoard.cancelDataRequest(requestId, { from: other }),
+        "Sender is not the requester"
+      )
+    })
+    it("fails if result was already reported", async () => {
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: committeeMember,
+        gasPrice: 1,
+      })
+      const deadline = await this.WitnetRequestBoard.readDeadline.call(requestId)
+      await time.advanceBlockTo(deadline.add(new BN(1)))
+      await expectRevert(
+        this.WitnetRequestBoard.cancelDataRequest(requestId, { from: requestor }),
+        "Result already included"
+      )
+    })
+    it("fails if the request timeout is set by someone other than the owner", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.setRequestTimeout(0, { from: requestor }),
+        "Ownable: caller is not the owner"
+      )
+    })
+  })
+
+  describe("committee management", async () => {
+    beforeEach(async () => {
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: 1000000,
+        gasPrice: 1,
+      })
+    })
+    it("anyone can list the current committee", async () => {
+      const committee = await this.WitnetRequestBoard.getCommittee.call()
+      expect(committee).to.deep.equal([owner, committeeMember])
+    })
+    it("owner can add a committee member who can then report results", async () => {
+      const addTx = await this.WitnetRequestBoard.addCommitteeMember(other, { from: owner })
+      expectEvent(addTx, "CommitteeMemberAdded", { _member: other })
+      expect(await this.WitnetRequestBoard.isInCommittee.call(other)).to.equal(true)
+      expect(await this.WitnetRequestBoard.getCommittee.call()).to.deep.equal([owner, committeeMember, other])
+
+      const reportResultTx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: other,
+        gasPrice: 1,
+      })
+      expectEvent(reportResultTx, "PostedResult", { _id: requestId })
+    })
+    it("owner can remove a committee member whose reports then revert", async () => {
+      const removeTx = await this.WitnetRequestBoard.removeCommitteeMember(committeeMember, { from: owner })
+      expectEvent(removeTx, "CommitteeMemberRemoved", { _member: committeeMember })
+      expect(await this.WitnetRequestBoard.isInCommittee.call(committeeMember)).to.equal(false)
+      expect(await this.WitnetRequestBoard.getCommittee.call()).to.deep.equal([owner])
+
+      await expectRevert(
+        this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+          from: committeeMember,
+          gasPrice: 1,
+        }),
+        "Sender not authorized"
+      )
+    })
+    it("owner can transfer the ownership of the board once the new owner accepts it", async () => {
+      const transferTx = await this.WitnetRequestBoard.transferOwnership(other, { from: owner })
+      expectEvent(transferTx, "OwnershipTransferStarted", { previousOwner: owner, newOwner: other })
+      expect(await this.WitnetRequestBoard.owner.call()).to.equal(owner)
+      expect(await this.WitnetRequestBoard.pendingOwner.call()).to.equal(other)
+
+      const acceptTx = await this.WitnetRequestBoard.acceptOwnership({ from: other })
+      expectEvent(acceptTx, "OwnershipTransferred", { previousOwner: owner, newOwner: other })
+      expect(await this.WitnetRequestBoard.owner.call()).to.equal(other)
+      expect(await this.WitnetRequestBoard.isUpgradable.call(other)).to.equal(true)
+      expect(await this.WitnetRequestBoard.isUpgradable.call(owner)).to.equal(false)
+
+      // The previous owner can no longer manage the committee
+      await expectRevert(
+        this.WitnetRequestBoard.addCommitteeMember(requestor, { from: owner }),
+        "Sender is missing the required role"
+      )
+    })
+    it("fails if the ownership is accepted by someone other than the pending owner", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.acceptOwnership({ from: other }),
+        "Ownable2Step: caller is not the new owner"
+      )
+      await this.WitnetRequestBoard.transferOwnership(other, { from: owner })
+      await expectRevert(
+        this.WitnetRequestBoard.acceptOwnership({ from: requestor }),
+        "Ownable2Step: caller is not the new owner"
+      )
+    })
+    it("fails if adding an address that is already in the committee", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.addCommitteeMember(committeeMember, { from: owner }),
+        "Address already in committee"
+      )
+    })
+    it("fails if removing an address that is not in the committee", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.removeCommitteeMember(other, { from: owner }),
+        "Address not in committee"
+      )
+    })
+    it("fails if the committee is managed by someone other than the owner or a committee manager", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.addCommitteeMember(other, { from: committeeMember }),
+        "Sender is missing the required role"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.removeCommitteeMember(owner, { from: committeeMember }),
+        "Sender is missing the required role"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.transferOwnership(other, { from: committeeMember }),
+        "Ownable: caller is not the owner"
+      )
+    })
+  })
+
+  describe("report threshold", async () => {
+    const otherDrTxHash = "0x0000000000000000000000000000000000000000000000000000000000000002"
+
+    beforeEach(async () => {
+      await this.WitnetRequestBoard.addCommitteeMember(other, { from: owner })
+      await this.WitnetRequestBoard.setReportThreshold(2, { from: owner })
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: 1000000,
+        gasPrice: 1,
+      })
+    })
+    it("results are only accepted once the threshold of members agree on them", async () => {
+      const firstTx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: committeeMember,
+        gasPrice: 1,
+      })
+      expectEvent(firstTx, "ReportedResult", { _id: requestId, _reporter: committeeMember })
+      expect(firstTx.logs.map(log => log.event)).to.not.include("PostedResult")
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(requestId)).toString()).to.equal("1")
+      expect((await this.WitnetRequestBoard.readAgreements.call(requestId)).toString()).to.equal("1")
+
+      const conflictingTx = await this.WitnetRequestBoard.reportResult(requestId, otherDrTxHash, resultHex, {
+        from: owner,
+        gasPrice: 1,
+      })
+      expectEvent(conflictingTx, "ConflictingReport", { _id: requestId, _reporter: owner })
+      expect((await this.WitnetRequestBoard.readAgreements.call(requestId)).toString()).to.equal("1")
+
+      const agreeingTx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: other,
+        gasPrice: 1,
+      })
+      expectEvent(agreeingTx, "PostedResult", { _id: requestId, _drTxHash: drTxHash })
+      expect(await this.WitnetRequestBoard.readResult.call(requestId)).to.equal(resultHex)
+      expect((await this.WitnetRequestBoard.readAgreements.call(requestId)).toString()).to.equal("2")
+
+      // The reward is split among the agreeing members
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal("500000")
+      expect((await this.WitnetRequestBoard.balanceOf.call(other)).toString()).to.equal("500000")
+      expect((await this.WitnetRequestBoard.balanceOf.call(owner)).toString()).to.equal("0")
+    })
+    it("batches of result reports count as reports of their sender", async () => {
+      await this.WitnetRequestBoard.reportResultBatch([requestId], [drTxHash], [resultHex], {
+        from: committeeMember,
+        gasPrice: 1,
+      })
+      const repeatedTx = await this.WitnetRequestBoard.reportResultBatch([requestId], [drTxHash], [resultHex], {
+        from: committeeMember,
+        gasPrice: 1,
+      })
+      expectEvent(repeatedTx, "BatchReportError", {
+        _id: requestId,
+        _reason: "Sender has already reported the result",
+      })
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(requestId)).toString()).to.equal("1")
+
+      const agreeingTx = await this.WitnetRequestBoard.reportResultBatch([requestId], [drTxHash], [resultHex], {
+        from: other,
+        gasPrice: 1,
+      })
+      expectEvent(agreeingTx, "PostedResult", { _id: requestId })
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal("500000")
+      expect((await this.WitnetRequestBoard.balanceOf.call(other)).toString()).to.equal("500000")
+    })
+    it("results reported by a single member count as agreed by that member", async () => {
+      await this.WitnetRequestBoard.setReportThreshold(0, { from: owner })
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember })
+      expect((await this.WitnetRequestBoard.readAgreements.call(requestId)).toString()).to.equal("1")
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal("1000000")
+    })
+    it("fails if a member reports the result of a request twice", async () => {
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember })
+      await expectRevert(
+        this.WitnetRequestBoard.reportResult(requestId, otherDrTxHash, resultHex, { from: committeeMember }),
+        "Sender has already reported the result"
+      )
+    })
+    it("fails if the threshold exceeds the committee or is set by someone other than a committee manager", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.setReportThreshold(4, { from: owner }),
+        "The report threshold cannot exceed the committee size"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.setReportThreshold(1, { from: committeeMember }),
+        "Sender is missing the required role"
+      )
+      await this.WitnetRequestBoard.setReportThreshold(3, { from: owner })
+      await expectRevert(
+        this.WitnetRequestBoard.removeCommitteeMember(other, { from: owner }),
+        "The committee cannot be smaller than the report threshold"
+      )
+    })
+  })
+
+  describe("challenge period", async () => {
+    const bond = 1000
+
+    beforeEach(async () => {
+      await this.WitnetRequestBoard.setChallengePeriod(2, bond, { from: owner })
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: 1000000,
+        gasPrice: 1,
+      })
+    })
+    it("results are final once their challenge period passes without disputes", async () => {
+      const tx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: committeeMember,
+        value: bond,
+      })
+      expectEvent(tx, "PostedResult", { _id: requestId, _drTxHash: drTxHash })
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(requestId)).toString()).to.equal("2")
+      expect(await this.WitnetRequestBoard.isResultFinal.call(requestId)).to.equal(false)
+      await expectRevert(this.WitnetRequestBoard.readResult.call(requestId), "The result is not final yet")
+      await expectRevert(this.WitnetRequestBoard.releaseReward(requestId), "The result is not final yet")
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal("0")
+
+      for (let i = 0; i < 3; i++) {
+        await time.advanceBlock()
+      }
+      expect(await this.WitnetRequestBoard.isResultFinal.call(requestId)).to.equal(true)
+      expect(await this.WitnetRequestBoard.readResult.call(requestId)).to.equal(resultHex)
+
+      // Anyone can release the reward and the bond held for the reporter
+      const releaseTx = await this.WitnetRequestBoard.releaseReward(requestId, { from: other })
+      expectEvent(releaseTx, "Credited", { _account: committeeMember, _amount: "1000000" })
+      expectEvent(releaseTx, "Credited", { _account: committeeMember, _amount: new BN(bond) })
+      await expectRevert(this.WitnetRequestBoard.releaseReward(requestId), "The result is not final yet")
+    })
+    it("upheld results become final and their reporter gets both bonds", async () => {
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember, value: bond })
+      const disputeTx = await this.WitnetRequestBoard.disputeResult(requestId, { from: other, value: bond })
+      expectEvent(disputeTx, "DisputedResult", { _id: requestId, _challenger: other })
+      for (let i = 0; i < 3; i++) {
+        await time.advanceBlock()
+      }
+      // Disputed results are frozen until the dispute is resolved
+      expect(await this.WitnetRequestBoard.isResultFinal.call(requestId)).to.equal(false)
+
+      const resolveTx = await this.WitnetRequestBoard.resolveDispute(requestId, true, { from: owner })
+      expectEvent(resolveTx, "ResolvedDispute", { _id: requestId, _upheld: true })
+      expect(await this.WitnetRequestBoard.readResult.call(requestId)).to.equal(resultHex)
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal("1002000")
+      expect((await this.WitnetRequestBoard.balanceOf.call(other)).toString()).to.equal("0")
+    })
+    it("discarded results go back to pending and the challenger gets both bonds", async () => {
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember, value: bond })
+      await this.WitnetRequestBoard.disputeResult(requestId, { from: other, value: bond })
+
+      const resolveTx = await this.WitnetRequestBoard.resolveDispute(requestId, false, { from: owner })
+      expectEvent(resolveTx, "ResolvedDispute", { _id: requestId, _upheld: false })
+      expect((await this.WitnetRequestBoard.balanceOf.call(other)).toString()).to.equal("2000")
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal("0")
+      expect((await this.WitnetRequestBoard.getRequestStatus.call(requestId)).toString()).to.equal("1")
+      const pending = await this.WitnetRequestBoard.getPendingRequests.call(0, 10, false)
+      expect(pending.map(request => request.id)).to.deep.equal([requestId.toString()])
+      expect(pending[0].reward).to.equal("1000000")
+
+      // The request can be reported again for the held reward
+      const tx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: owner,
+        value: bond,
+      })
+      expectEvent(tx, "PostedResult", { _id: requestId })
+    })
+    it("consumers only treat results as resolved once they are final", async () => {
+      const witnet = await Witnet.deployed()
+      await UsingWitnetTestHelper.link(Witnet, witnet.address)
+      const consumer = await UsingWitnetTestHelper.new(this.WitnetRequestBoard.address)
+      await consumer._witnetPostRequest(this.Request.address, { from: requestor, value: 1000000, gasPrice: 1 })
+
+      await this.WitnetRequestBoard.reportResult(2, drTxHash, resultHex, { from: committeeMember, value: bond })
+      expect(await consumer._witnetCheckRequestResolved(2)).to.equal(false)
+      for (let i = 0; i < 3; i++) {
+        await time.advanceBlock()
+      }
+      expect(await consumer._witnetCheckRequestResolved(2)).to.equal(true)
+    })
+    it("callbacks are only delivered once results are final", async () => {
+      const witnet = await Witnet.deployed()
+      await UsingWitnetTestHelper.link(Witnet, witnet.address)
+      const consumer = await UsingWitnetTestHelper.new(this.WitnetRequestBoard.address)
+      await consumer._witnetPostRequestWithCallback(this.Request.address, 500000, {
+        from: requestor,
+        value: 1000000,
+        gasPrice: 1,
+      })
+
+      await this.WitnetRequestBoard.reportResult(2, drTxHash, resultHex, { from: committeeMember, value: bond })
+      expect((await consumer.callbackId()).toString()).to.equal("0")
+      await this.WitnetRequestBoard.disputeResult(2, { from: other, value: bond })
+      await this.WitnetRequestBoard.resolveDispute(2, false, { from: owner })
+      expect((await consumer.callbackId()).toString()).to.equal("0")
+
+      await this.WitnetRequestBoard.reportResult(2, drTxHash, resultHex, { from: owner, value: bond })
+      for (let i = 0; i < 3; i++) {
+        await time.advanceBlock()
+      }
+      await this.WitnetRequestBoard.releaseReward(2, { from: other })
+      expect((await consumer.callbackId()).toString()).to.equal("2")
+    })
+    it("refunds of settled results are held until they are final", async () => {
+      await this.WitnetRequestBoard.setSettlement(true, 1000, { from: owner })
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember, value: bond })
+      await this.WitnetRequestBoard.disputeResult(requestId, { from: other, value: bond })
+      await this.WitnetRequestBoard.resolveDispute(requestId, false, { from: owner })
+      expect((await this.WitnetRequestBoard.balanceOf.call(requestor)).toString()).to.equal("0")
+      const pending = await this.WitnetRequestBoard.getPendingRequests.call(0, 10, false)
+      expect(pending[0].reward).to.equal("1000000")
+
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: owner, value: bond })
+      expect((await this.WitnetRequestBoard.balanceOf.call(requestor)).toString()).to.equal("0")
+      for (let i = 0; i < 3; i++) {
+        await time.advanceBlock()
+      }
+      await this.WitnetRequestBoard.releaseReward(requestId)
+      const refund = await this.WitnetRequestBoard.balanceOf.call(requestor)
+      const payment = (await this.WitnetRequestBoard.balanceOf.call(owner)).subn(bond)
+      expect(refund.gtn(0)).to.equal(true)
+      expect(refund.add(payment).toString()).to.equal("1000000")
+    })
+    it("disputes on merged requests are resolved through the request they are shared with", async () => {
+      await this.WitnetRequestBoard.setRequestSharing(true, { from: owner })
+      for (const from of [requestor, other]) {
+        await this.WitnetRequestBoard.postDataRequest(this.Request.address, { from, value: 1000000, gasPrice: 1 })
+      }
+      await this.WitnetRequestBoard.reportResult(2, drTxHash, resultHex, { from: committeeMember, value: bond })
+      await this.WitnetRequestBoard.disputeResult(3, { from: other, value: bond })
+
+      const resolveTx = await this.WitnetRequestBoard.resolveDispute(3, true, { from: owner })
+      expectEvent(resolveTx, "ResolvedDispute", { _id: "2", _upheld: true })
+      expect(await this.WitnetRequestBoard.isResultFinal.call(3)).to.equal(true)
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal("2002000")
+    })
+    it("fails if results or disputes are not bonded", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember }),
+        "The value must equal the challenge bond"
+      )
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember, value: bond })
+      await expectRevert(
+        this.WitnetRequestBoard.disputeResult(requestId, { from: other, value: bond - 1 }),
+        "The value must equal the challenge bond"
+      )
+    })
+    it("fails if results are disputed twice or after their challenge period", async () => {
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember, value: bond })
+      await this.WitnetRequestBoard.disputeResult(requestId, { from: other, value: bond })
+      await expectRevert(
+        this.WitnetRequestBoard.disputeResult(requestId, { from: requestor, value: bond }),
+        "The result is already disputed"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.resolveDispute(requestId, false, { from: committeeMember }),
+        "Sender is missing the required role"
+      )
+
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: 1000000,
+        gasPrice: 1,
+      })
+      await this.WitnetRequestBoard.reportResult(2, drTxHash, resultHex, { from: committeeMember, value: bond })
+      await expectRevert(
+        this.WitnetRequestBoard.resolveDispute(2, true, { from: owner }),
+        "The result is not disputed"
+      )
+      for (let i = 0; i < 3; i++) {
+        await time.advanceBlock()
+      }
+      await expectRevert(
+        this.WitnetRequestBoard.disputeResult(2, { from: other, value: bond }),
+        "The result cannot be disputed"
+      )
+    })
+    it("fails if results are reported in batches or challenges are combined with report thresholds", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.reportResultBatch([requestId], [drTxHash], [resultHex], { from: committeeMember }),
+        "Results cannot be reported in batches during challenge periods"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.setReportThreshold(2, { from: owner }),
+        "Report thresholds cannot be combined with challenges"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.setChallengePeriod(0, 0, { from: committeeMember }),
+        "Ownable: caller is not the owner"
+      )
+    })
+  })
+
+  describe("reporter staking", async () => {
+    const minimumStake = 1000
+
+    beforeEach(async () => {
+      await this.WitnetRequestBoard.setStaking(minimumStake, 2, { from: owner })
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: 1000000,
+        gasPrice: 1,
+      })
+    })
+    it("reporters join the committee by staking the minimum stake and earn rewards", async () => {
+      const firstTx = await this.WitnetRequestBoard.stake({ from: other, value: 600 })
+      expectEvent(firstTx, "Staked", { _reporter: other, _amount: "600" })
+      expect(await this.WitnetRequestBoard.isInCommittee.call(other)).to.equal(false)
+
+      const secondTx = await this.WitnetRequestBoard.stake({ from: other, value: 400 })
+      expectEvent(secondTx, "CommitteeMemberAdded", { _member: other })
+      expect(await this.WitnetRequestBoard.isInCommittee.call(other)).to.equal(true)
+
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: other })
+      const stake = await this.WitnetRequestBoard.stakes.call(other)
+      expect(stake.amount.toString()).to.equal("1000")
+      expect(stake.rewards.toString()).to.equal("1000000")
+      expect(stake.slashes.toString()).to.equal("0")
+    })
+    it("members whose stake is below the minimum cannot report", async () => {
+      await this.WitnetRequestBoard.stake({ from: committeeMember, value: minimumStake - 1 })
+      await expectRevert(
+        this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember }),
+        "Sender stake is below the minimum"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.reportResultBatch([requestId], [drTxHash], [resultHex], { from: committeeMember }),
+        "Sender stake is below the minimum"
+      )
+    })
+    it("reporters unstake once the cooldown has passed", async () => {
+      await this.WitnetRequestBoard.stake({ from: other, value: minimumStake })
+      const requestTx = await this.WitnetRequestBoard.requestUnstake(400, { from: other })
+      expectEvent(requestTx, "UnstakeRequested", { _reporter: other, _amount: "400" })
+      const stake = await this.WitnetRequestBoard.stakes.call(other)
+      expect(stake.amount.toString()).to.equal("600")
+      expect(stake.unstaking.toString()).to.equal("400")
+      await expectRevert(
+        this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: other }),
+        "Sender stake is below the minimum"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.unstake({ from: other }),
+        "The unstake cooldown has not passed yet"
+      )
+
+      await time.advanceBlock()
+      const unstakeTx = await this.WitnetRequestBoard.unstake({ from: other })
+      expectEvent(unstakeTx, "Unstaked", { _reporter: other, _amount: "400" })
+      expect((await this.WitnetRequestBoard.balanceOf.call(other)).toString()).to.equal("400")
+      expect((await this.WitnetRequestBoard.stakes.call(other)).unstaking.toString()).to.equal("0")
+    })
+    it("owner can slash stakes, including the amount being unstaked", async () => {
+      await this.WitnetRequestBoard.stake({ from: other, value: minimumStake })
+      await this.WitnetRequestBoard.requestUnstake(300, { from: other })
+
+      const tx = await this.WitnetRequestBoard.slashStake(other, 900, { from: owner })
+      expectEvent(tx, "Slashed", { _reporter: other, _amount: "900", _beneficiary: owner })
+      const stake = await this.WitnetRequestBoard.stakes.call(other)
+      expect(stake.amount.toString()).to.equal("0")
+      expect(stake.unstaking.toString()).to.equal("100")
+      expect(stake.slashes.toString()).to.equal("900")
+      expect((await this.WitnetRequestBoard.balanceOf.call(owner)).toString()).to.equal("900")
+    })
+    it("successful disputes slash the minimum stake of the reporter to the challenger", async () => {
+      const bond = 1000
+      await this.WitnetRequestBoard.setChallengePeriod(2, bond, { from: owner })
+      await this.WitnetRequestBoard.stake({ from: other, value: 1500 })
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: other, value: bond })
+      await this.WitnetRequestBoard.disputeResult(requestId, { from: requestor, value: bond })
+
+      const tx = await this.WitnetRequestBoard.resolveDispute(requestId, false, { from: owner })
+      expectEvent(tx, "Slashed", { _reporter: other, _amount: "1000", _beneficiary: requestor })
+      expect((await this.WitnetRequestBoard.balanceOf.call(requestor)).toString()).to.equal("3000")
+      expect((await this.WitnetRequestBoard.stakes.call(other)).amount.toString()).to.equal("500")
+    })
+    it("reporters cannot unstake while their results are being disputed", async () => {
+      const bond = 1000
+      await this.WitnetRequestBoard.setChallengePeriod(2, bond, { from: owner })
+      await this.WitnetRequestBoard.stake({ from: other, value: minimumStake })
+      await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: other, value: bond })
+      await this.WitnetRequestBoard.requestUnstake(minimumStake, { from: other })
+      await this.WitnetRequestBoard.disputeResult(requestId, { from: requestor, value: bond })
+      for (let i = 0; i < 3; i++) {
+        await time.advanceBlock()
+      }
+      await expectRevert(this.WitnetRequestBoard.unstake({ from: other }), "The reporter has results under dispute")
+
+      const tx = await this.WitnetRequestBoard.resolveDispute(requestId, false, { from: owner })
+      expectEvent(tx, "Slashed", { _reporter: other, _amount: "1000", _beneficiary: requestor })
+      await expectRevert(this.WitnetRequestBoard.unstake({ from: other }), "Nothing to unstake")
+    })
+    it("fails if the unstake cooldown is shorter than the challenge period", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.setChallengePeriod(3, 1000, { from: owner }),
+        "The cooldown is shorter than the challenge period"
+      )
+      await this.WitnetRequestBoard.setChallengePeriod(2, 1000, { from: owner })
+      await expectRevert(
+        this.WitnetRequestBoard.setStaking(minimumStake, 1, { from: owner }),
+        "The cooldown is shorter than the challenge period"
+      )
+      await this.WitnetRequestBoard.setStaking(minimumStake, 3, { from: owner })
+    })
+    it("fails if staking is disabled or the amounts are invalid", async () => {
+      await expectRevert(this.WitnetRequestBoard.stake({ from: other }), "The stake cannot be zero")
+      await expectRevert(this.WitnetRequestBoard.requestUnstake(1, { from: other }), "Invalid amount to unstake")
+      await expectRevert(this.WitnetRequestBoard.unstake({ from: other }), "Nothing to unstake")
+      await expectRevert(
+        this.WitnetRequestBoard.setStaking(0, 0, { from: committeeMember }),
+        "Ownable: caller is not the owner"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.slashStake(committeeMember, 1, { from: committeeMember }),
+        "Ownable: caller is not the owner"
+      )
+
+      await this.WitnetRequestBoard.setStaking(0, 0, { from: owner })
+      await expectRevert(this.WitnetRequestBoard.stake({ from: other, value: 1000 }), "Staking is disabled")
+    })
+  })
+
+  describe("token rewards", async () => {
+    // Tokens worth 1 ether, i.e. each wei is worth 2 units of the token
+    const rate = ether("2")
+    const reward = new BN(1000000)
+
+    beforeEach(async () => {
+      this.Token = await ERC20TestHelper.new()
+      await this.Token.mint(requestor, reward.muln(10))
+      await this.Token.approve(this.WitnetRequestBoard.address, reward.muln(10), { from: requestor })
+      await this.WitnetRequestBoard.setRewardToken(this.Token.address, true, rate, { from: owner })
+    })
+    it("requests are rewarded in allowed tokens and reporters are paid in them", async () => {
+      const estimate = await this.WitnetRequestBoard.estimateGasCostInToken.call(1, this.Token.address)
+      const ethEstimate = await this.WitnetRequestBoard.estimateGasCost.call(1)
+      expect(estimate.toString()).to.equal(ethEstimate.muln(2).toString())
+
+      const postTx = await this.WitnetRequestBoard.postDataRequestWithToken(
+        this.Request.address, this.Token.address, reward, { from: requestor, gasPrice: 1 }
+      )
+      expectEvent(postTx, "PostedRequest", { _id: requestId, _reward: reward })
+      expect(await this.WitnetRequestBoard.readRewardToken.call(requestId)).to.equal(this.Token.address)
+      expect((await this.Token.balanceOf.call(this.WitnetRequestBoard.address)).toString()).to.equal(reward.toString())
+
+      const reportTx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: committeeMember,
+      })
+      expectEvent(reportTx, "CreditedToken", {
+        _token: this.Token.address,
+        _account: committeeMember,
+        _amount: reward,
+      })
+      expect((await this.WitnetRequestBoard.balanceOf.call(committeeMember)).toString()).to.equal("0")
+
+      const withdrawTx = await this.WitnetRequestBoard.withdrawToken(this.Token.address, { from: committeeMember })
+      expectEvent(withdrawTx, "WithdrawnToken", { _token: this.Token.address, _account: committeeMember })
+      expect((await this.Token.balanceOf.call(committeeMember)).toString()).to.equal(reward.toString())
+      expect(
+        (await this.WitnetRequestBoard.tokenBalanceOf.call(this.Token.address, committeeMember)).toString()
+      ).to.equal("0")
+    })
+    it("requests rewarded in tokens are only upgraded with the same tokens", async () => {
+      await this.WitnetRequestBoard.postDataRequestWithToken(this.Request.address, this.Token.address, reward, {
+        from: requestor,
+        gasPrice: 1,
+      })
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: 1000000,
+        gasPrice: 1,
+      })
+
+      await this.WitnetRequestBoard.upgradeDataRequestWithToken(requestId, reward, { from: requestor, gasPrice: 1 })
+      const pending = await this.WitnetRequestBoard.getPendingRequests.call(0, 10, false)
+      expect(pending[0].reward).to.equal(reward.muln(2).toString())
+      await expectRevert(
+        this.WitnetRequestBoard.upgradeDataRequest(requestId, { from: requestor, value: 1000 }),
+        "The request is rewarded in tokens"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.upgradeDataRequestWithToken(2, reward, { from: requestor }),
+        "The request is not rewarded in tokens"
+      )
+    })
+    it("settled and cancelled requests are refunded in tokens", async () => {
+      await this.WitnetRequestBoard.setSettlement(true, 0, { from: owner })
+      await this.WitnetRequestBoard.setRequestTimeout(0, { from: owner })
+      for (let i = 0; i < 2; i++) {
+        await this.WitnetRequestBoard.postDataRequestWithToken(this.Request.address, this.Token.address, reward, {
+          from: requestor,
+          gasPrice: 1,
+        })
+      }
+
+      const reportTx = await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, {
+        from: committeeMember,
+      })
+      const payment = await this.WitnetRequestBoard.tokenBalanceOf.call(this.Token.address, committeeMember)
+      const refund = await this.WitnetRequestBoard.tokenBalanceOf.call(this.Token.address, requestor)
+      expectEvent(reportTx, "RefundedReward", { _id: requestId, _requester: requestor, _amount: refund })
+      // The gas spent is paid at the exchange rate of the token
+      expect(payment.mod(new BN(2)).toString()).to.equal("0")
+      expect(payment.add(refund).toString()).to.equal(reward.toString())
+
+      const cancelTx = await this.WitnetRequestBoard.cancelDataRequest(2, { from: requestor })
+      expectEvent(cancelTx, "CreditedToken", { _token: this.Token.address, _account: requestor, _amount: reward })
+      await this.WitnetRequestBoard.withdrawToken(this.Token.address, { from: requestor })
+      expect((await this.Token.balanceOf.call(requestor)).toString()).to.equal(
+        reward.muln(9).add(refund).toString()
+      )
+    })
+    it("fails if the token is not allowed or the reward does not cover the gas cost", async () => {
+      await expectRevert(
+        this.WitnetRequestBoard.postDataRequestWithToken(this.Request.address, this.Token.address, 1000, {
+          from: requestor,
+          gasPrice: 1,
+        }),
+        "Result reward should cover gas expenses"
+      )
+      await this.WitnetRequestBoard.setRewardToken(this.Token.address, false, rate, { from: owner })
+      await expectRevert(
+        this.WitnetRequestBoard.postDataRequestWithToken(this.Request.address, this.Token.address, reward, {
+          from: requestor,
+        }),
+        "The token is not allowed"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.estimateGasCostInToken.call(1, this.Token.address),
+        "The token is not allowed"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.setRewardToken(this.Token.address, true, 0, { from: owner }),
+        "The exchange rate cannot be zero"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.setRewardToken(this.Token.address, true, rate, { from: requestor }),
+        "Ownable: caller is not the owner"
+      )
+    })
+  })
+
+  describe("roles and pause", async () => {
+    let committeeManagerRole, pauserRole
+    beforeEach(async () => {
+      committeeManagerRole = await this.WitnetRequestBoard.COMMITTEE_MANAGER_ROLE.call()
+      pauserRole = await this.WitnetRequestBoard.PAUSER_ROLE.call()
+      await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+        from: requestor,
+        value: 1000000,
+        gasPrice: 1,
+      })
+    })
+    it("owner can grant and revoke the committee manager role", async () => {
+      const grantTx = await this.WitnetRequestBoard.grantRole(committeeManagerRole, other, { from: owner })
+      expectEvent(grantTx, "RoleGranted", { role: committeeManagerRole, account: other, sender: owner })
+      expect(await this.WitnetRequestBoard.hasRole.call(committeeManagerRole, other)).to.equal(true)
+      expect(await this.WitnetRequestBoard.hasRole.call(pauserRole, other)).to.equal(false)
+
+      await this.WitnetRequestBoard.addCommitteeMember(requestor, { from: other })
+      expect(await this.WitnetRequestBoard.isInCommittee.call(requestor)).to.equal(true)
+
+      const revokeTx = await this.WitnetRequestBoard.revokeRole(committeeManagerRole, other, { from: owner })
+      expectEvent(revokeTx, "RoleRevoked", { role: committeeManagerRole, account: other, sender: owner })
+      await expectRevert(
+        this.WitnetRequestBoard.removeCommitteeMember(requestor, { from: other }),
+        "Sender is missing the required role"
+      )
+    })
+    it("pausers can pause the posting and upgrading of requests, while results can still be reported and read",
+      async () => {
+        await this.WitnetRequestBoard.grantRole(pauserRole, other, { from: owner })
+        const pauseTx = await this.WitnetRequestBoard.pause({ from: other })
+        expectEvent(pauseTx, "Paused", { account: other })
+        expect(await this.WitnetRequestBoard.paused.call()).to.equal(true)
+
+        await expectRevert(
+          this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+            from: requestor,
+            value: 1000000,
+            gasPrice: 1,
+          }),
+          "Pausable: paused"
+        )
+        await expectRevert(
+          this.WitnetRequestBoard.upgradeDataRequest(requestId, { from: requestor, value: 1000000, gasPrice: 1 }),
+          "Pausable: paused"
+        )
+        await this.WitnetRequestBoard.reportResult(requestId, drTxHash, resultHex, { from: committeeMember })
+        expect(await this.WitnetRequestBoard.readResult.call(requestId)).to.equal(resultHex)
+
+        const unpauseTx = await this.WitnetRequestBoard.unpause({ from: other })
+        expectEvent(unpauseTx, "Unpaused", { account: other })
+        await this.WitnetRequestBoard.postDataRequest(this.Request.address, {
+          from: requestor,
+          value: 1000000,
+          gasPrice: 1,
+        })
+      })
+    it("fails if the board is paused by someone other than the owner or a pauser", async () => {
+      await this.WitnetRequestBoard.grantRole(committeeManagerRole, other, { from: owner })
+      await expectRevert(this.WitnetRequestBoard.pause({ from: other }), "Sender is missing the required role")
+      await this.WitnetRequestBoard.pause({ from: owner })
+      await expectRevert(this.WitnetRequestBoard.pause({ from: owner }), "Pausable: paused")
+      await expectRevert(this.WitnetRequestBoard.unpause({ from: other }), "Sender is missing the required role")
+    })
+    it("fails if roles are managed by someone other than the owner", async () => {
+      await this.WitnetRequestBoard.grantRole(committeeManagerRole, other, { from: owner })
+      await expectRevert(
+        this.WitnetRequestBoard.grantRole(pauserRole, other, { from: other }),
+        "Sender is missing the required role"
+      )
+      await expectRevert(
+        this.WitnetRequestBoard.revokeRole(committeeManagerRole, other, { from: other }),
+        "Sender is missing the required role"
+      )
+    })
   })
 })
@@ -1,7 +1,12 @@
+const { time } = require("@openzeppelin/test-helpers")
 const truffleAssert = require("truffle-assertions")
 const WitnetRequestBoard = artifacts.require("WitnetRequestBoardTestHelper")
 const RequestContract = artifacts.require("Request")
 const WrbProxyHelper = artifacts.require("WrbProxyTestHelper")
+const WrbProxy = artifacts.require("WitnetRequestBoardProxy")
+const WitnetRequestBoardImplementation = artifacts.require("WitnetRequestBoard")
+const ERC20TestHelper = artifacts.require("ERC20TestHelper")
+const ERC20NoReturnTestHelper = artifacts.require("ERC20NoReturnTestHelper")
 
 contract("Witnet Requests Board Proxy", accounts => {
   describe("Witnet Requests Board Proxy test suite", () => {
@@ -54,7 +59,7 @@ contract("Witnet Requests Board Proxy", accounts => {
       const txReceipt1 = await web3.eth.getTransactionReceipt(txHash1)
 
       // The id of the data request
-      const id1 = txReceipt1.logs[txReceipt1.logs.length - 1].data
+      const id1 = txReceipt1.logs[txReceipt1.logs.length - 1].topics[1]
 
       // check the currentLastId has been updated in the Proxy when posting the data request
       assert.equal(true, await wrbProxy.checkLastId.call(id1))
@@ -74,7 +79,7 @@ contract("Witnet Requests Board Proxy", accounts => {
       const txReceipt1 = await web3.eth.getTransactionReceipt(txHash1)
 
       // The id of the data request, it should be equal 2 since is the second DR
-      const id1 = txReceipt1.logs[0].data
+      const id1 = txReceipt1.logs[0].topics[1]
       assert.equal(id1, 2)
 
       // Upgrade the WRB address to wrbInstance2
@@ -119,6 +124,61 @@ contract("Witnet Requests Board Proxy", accounts => {
       assert.equal(wrb1, wrbInstance1.address)
     })
 
+    it("should upgrade a data request of an old WRB after upgrading the proxy", async () => {
+      // Id 1 lives in wrbInstance1, while id 3 lives in wrbInstance2 with local id 1
+      const oldWrbRewardBefore = (await wrbInstance1.requests(1)).reward
+      const newWrbRewardBefore = (await wrbInstance2.requests(1)).reward
+
+      // Upgrade the data request with id 1 through the Proxy
+      await wrbProxy.upgradeDataRequest(1, {
+        from: requestSender,
+        value: web3.utils.toWei("0.25", "ether"),
+      })
+
+      // The reward should have increased in wrbInstance1, and remain untouched in wrbInstance2
+      const oldWrbRewardAfter = (await wrbInstance1.requests(1)).reward
+      const newWrbRewardAfter = (await wrbInstance2.requests(1)).reward
+      assert.equal(
+        oldWrbRewardAfter.toString(),
+        oldWrbRewardBefore.add(web3.utils.toBN(web3.utils.toWei("0.25", "ether"))).toString()
+      )
+      assert.equal(newWrbRewardAfter.toString(), newWrbRewardBefore.toString())
+    })
+
+    it("should upgrade a data request of the current WRB after upgrading the proxy", async () => {
+      const rewardBefore = (await wrbInstance2.requests(1)).reward
+
+      // Upgrade the data request with id 3 through the Proxy
+      await wrbProxy.upgradeDataRequest(3, {
+        from: requestSender,
+        value: web3.utils.toWei("0.25", "ether"),
+      })
+
+      const rewardAfter = (await wrbInstance2.requests(1)).reward
+      assert.equal(
+        rewardAfter.toString(),
+        rewardBefore.add(web3.utils.toBN(web3.utils.toWei("0.25", "ether"))).toString()
+      )
+    })
+
+    it("should expose the controllers and the last id", async () => {
+      // Get the controller and the offset of an id in wrbInstance2
+      const controller = await wrbProxy.getController.call(3)
+      assert.equal(controller._controllerAddress, wrbInstance2.address)
+      assert.equal(controller._offset, 2)
+
+      // Get the list of controllers
+      const controllers = await wrbProxy.getControllers.call()
+      assert.equal(controllers.length, 2)
+      assert.equal(controllers[0].controllerAddress, wrbInstance1.address)
+      assert.equal(controllers[0].lastId, 0)
+      assert.equal(controllers[1].controllerAddress, wrbInstance2.address)
+      assert.equal(controllers[1].lastId, 2)
+
+      // Get the last id
+      assert.equal(await wrbProxy.currentLastId.call(), 3)
+    })
+
     it("should post a data request to WRB and read the result", async () => {
       // The data request to be posted
       const drBytes = web3.utils.fromAscii("This is a DR")
@@ -165,6 +225,435 @@ contract("Witnet Requests Board Proxy", accounts => {
   })
 })
 
+contract("Witnet Requests Board Proxy routing", accounts => {
+  describe("Witnet Requests Board Proxy routing test suite", () => {
+    const contractOwner = accounts[0]
+    const requestSender = accounts[1]
+
+    const wrbInstances = []
+    let wrbProxy
+    let request
+
+    const postDataRequests = async n => {
+      for (let i = 0; i < n; i++) {
+        await wrbProxy.postDataRequest(request.address, {
+          from: requestSender,
+          value: web3.utils.toWei("0.1", "ether"),
+        })
+      }
+    }
+
+    before(async () => {
+      for (let i = 0; i < 5; i++) {
+        wrbInstances.push(await WitnetRequestBoard.new([contractOwner], true))
+      }
+      wrbProxy = await WrbProxyHelper.new(wrbInstances[0].address, {
+        from: contractOwner,
+      })
+      request = await RequestContract.new(web3.utils.fromAscii("This is a DR"))
+    })
+
+    it("should emit an event when upgrading the WRB", async () => {
+      // Post ids 1 to 3 into wrbInstances[0]
+      await postDataRequests(3)
+      const tx = await wrbProxy.upgradeWitnetRequestBoard(wrbInstances[1].address, {
+        from: contractOwner,
+      })
+      truffleAssert.eventEmitted(tx, "UpgradedWitnetRequestBoard", ev =>
+        ev._oldAddress === wrbInstances[0].address &&
+        ev._newAddress === wrbInstances[1].address &&
+        ev._lastId.toString() === "3"
+      )
+    })
+
+    it("should route every id to its controller across several upgrades", async () => {
+      // Post id 4 into wrbInstances[1]
+      await postDataRequests(1)
+      // wrbInstances[2] is replaced before any data request is posted into it
+      await wrbProxy.upgradeWitnetRequestBoard(wrbInstances[2].address, { from: contractOwner })
+      await wrbProxy.upgradeWitnetRequestBoard(wrbInstances[3].address, { from: contractOwner })
+      // Post ids 5 and 6 into wrbInstances[3]
+      await postDataRequests(2)
+      await wrbProxy.upgradeWitnetRequestBoard(wrbInstances[4].address, { from: contractOwner })
+      // Post ids 7 to 9 into wrbInstances[4]
+      await postDataRequests(3)
+
+      const expected = [0, 0, 0, 1, 3, 3, 4, 4, 4]
+      for (let id = 1; id <= expected.length; id++) {
+        const wrb = await wrbProxy.getControllerAddress.call(id)
+        assert.equal(wrb, wrbInstances[expected[id - 1]].address, `wrong controller for id ${id}`)
+      }
+    })
+
+    it("should route the status and keep the requester of every id", async () => {
+      for (let id = 1; id <= 9; id++) {
+        assert.equal((await wrbProxy.getRequestStatus.call(id)).toString(), "1", `wrong status for id ${id}`)
+        assert.equal(await wrbProxy.readRequester.call(id), requestSender, `wrong requester for id ${id}`)
+      }
+      // Ids that have not been posted yet are unknown instead of reverting
+      assert.equal((await wrbProxy.getRequestStatus.call(0)).toString(), "0")
+      assert.equal((await wrbProxy.getRequestStatus.call(10)).toString(), "0")
+    })
+
+    it("should revert when reading an id beyond the last id", async () => {
+      await truffleAssert.reverts(
+        wrbProxy.readResult.call(10),
+        "Non-existent controller for id beyond the last id"
+      )
+      await truffleAssert.reverts(
+        wrbProxy.readDrTxHash.call(10),
+        "Non-existent controller for id beyond the last id"
+      )
+    })
+  })
+
+  describe("Witnet Requests Board Proxy pending requests test suite", () => {
+    const contractOwner = accounts[0]
+    const requestSender = accounts[1]
+    const drTxHash = "0x0000000000000000000000000000000000000000000000000000000000000001"
+
+    let wrbProxy
+
+    const postDataRequest = async reward => {
+      const request = await RequestContract.new(web3.utils.fromAscii("This is a DR"))
+      await wrbProxy.postDataRequest(request.address, { from: requestSender, value: reward, gasPrice: 1 })
+    }
+    const listPending = async (offset, limit, byReward) =>
+      (await wrbProxy.getPendingRequests.call(offset, limit, byReward)).map(request => request.id.toString())
+
+    before(async () => {
+      const oldWrb = await WitnetRequestBoardImplementation.new([contractOwner], { from: contractOwner })
+      const newWrb = await WitnetRequestBoardImplementation.new([contractOwner], { from: contractOwner })
+      wrbProxy = await WrbProxyHelper.new(oldWrb.address, { from: contractOwner })
+
+      // Post ids 1 to 3 into the old WRB and report id 2
+      for (const reward of [300000, 400000, 500000]) {
+        await postDataRequest(reward)
+      }
+      await oldWrb.reportResult(2, drTxHash, "0x01", { from: contractOwner })
+
+      // Post ids 4 and 5 into the new WRB
+      await wrbProxy.upgradeWitnetRequestBoard(newWrb.address, { from: contractOwner })
+      for (const reward of [600000, 200000]) {
+        await postDataRequest(reward)
+      }
+    })
+
+    it("should count the pending requests of every controller", async () => {
+      assert.equal((await wrbProxy.pendingRequestsCount.call()).toString(), "4")
+    })
+
+    it("should list the pending requests of every controller by id", async () => {
+      assert.deepEqual(await listPending(0, 10, false), ["1", "3", "4", "5"])
+      assert.deepEqual(await listPending(1, 2, false), ["3", "4"])
+      assert.deepEqual(await listPending(4, 2, false), [])
+    })
+
+    it("should list the pending requests of every controller by reward", async () => {
+      assert.deepEqual(await listPending(0, 10, true), ["4", "3", "1", "5"])
+      assert.deepEqual(await listPending(1, 2, true), ["3", "1"])
+
+      const [request] = await wrbProxy.getPendingRequests.call(0, 1, true)
+      assert.equal(request.reward.toString(), "600000")
+      assert.equal(request.gasPrice.toString(), "1")
+    })
+
+    it("should list fewer pending requests by reward than counted if controllers do not sort all of them", async () => {
+      const wrb = await WitnetRequestBoard.new([contractOwner], true)
+      await wrb.setPendingRequestsCount(2)
+      const proxy = await WrbProxyHelper.new(wrb.address, { from: contractOwner })
+      assert.equal((await proxy.pendingRequestsCount.call()).toString(), "2")
+      assert.deepEqual(await proxy.getPendingRequests.call(0, 10, true), [])
+    })
+  })
+
+  describe("Witnet Requests Board Proxy pause test suite", () => {
+    const contractOwner = accounts[0]
+    const requestSender = accounts[1]
+
+    let oldWrb
+    let newWrb
+    let wrbProxy
+    let request
+
+    beforeEach(async () => {
+      oldWrb = await WitnetRequestBoardImplementation.new([contractOwner], { from: contractOwner })
+      newWrb = await WitnetRequestBoardImplementation.new([contractOwner], { from: contractOwner })
+      wrbProxy = await WrbProxyHelper.new(oldWrb.address, { from: contractOwner })
+      request = await RequestContract.new(web3.utils.fromAscii("This is a DR"))
+      await wrbProxy.postDataRequest(request.address, { from: requestSender, value: 200000, gasPrice: 1 })
+      await wrbProxy.upgradeWitnetRequestBoard(newWrb.address, { from: contractOwner })
+    })
+
+    it("should not forward new data requests while the current WRB is paused", async () => {
+      await newWrb.pause({ from: contractOwner })
+      await truffleAssert.reverts(
+        wrbProxy.postDataRequest(request.address, { from: requestSender, value: 200000, gasPrice: 1 }),
+        "The Witnet Request Board is paused"
+      )
+      // Data requests of other controllers can still be upgraded
+      await wrbProxy.upgradeDataRequest(1, { from: requestSender, value: 100000, gasPrice: 1 })
+    })
+
+    it("should not forward upgrades of the data requests of a paused WRB", async () => {
+      await oldWrb.pause({ from: contractOwner })
+      await truffleAssert.reverts(
+        wrbProxy.upgradeDataRequest(1, { from: requestSender, value: 100000, gasPrice: 1 }),
+        "The Witnet Request Board is paused"
+      )
+      await wrbProxy.postDataRequest(request.address, { from: requestSender, value: 200000, gasPrice: 1 })
+    })
+
+    it("should read the results of a paused WRB", async () => {
+      await oldWrb.reportResult(1, "0x01", "0x01", { from: contractOwner })
+      await oldWrb.pause({ from: contractOwner })
+      assert.equal(await wrbProxy.readResult.call(1), "0x01")
+    })
+  })
+
+  describe("Witnet Requests Board Proxy timelocked upgrades test suite", () => {
+    const contractOwner = accounts[0]
+    const other = accounts[1]
+    const upgradeDelay = 5
+
+    let oldWrb
+    let newWrb
+    let wrbProxy
+
+    beforeEach(async () => {
+      oldWrb = await WitnetRequestBoardImplementation.new([contractOwner], { from: contractOwner })
+      newWrb = await WitnetRequestBoardImplementation.new([contractOwner], { from: contractOwner })
+      wrbProxy = await WrbProxyHelper.new(oldWrb.address, { from: contractOwner })
+      await wrbProxy.setUpgradeDelay(upgradeDelay, { from: contractOwner })
+    })
+
+    it("should execute a proposed upgrade once the upgrade delay has passed", async () => {
+      const proposeTx = await wrbProxy.proposeWitnetRequestBoardUpgrade(newWrb.address, { from: contractOwner })
+      const executableBlock = proposeTx.receipt.blockNumber + upgradeDelay
+      truffleAssert.eventEmitted(proposeTx, "ProposedWitnetRequestBoardUpgrade", ev =>
+        ev._newAddress === newWrb.address && ev._executableBlock.toString() === executableBlock.toString()
+      )
+      const pendingUpgrade = await wrbProxy.getPendingUpgrade.call()
+      assert.equal(pendingUpgrade._newAddress, newWrb.address)
+      assert.equal(pendingUpgrade._executableBlock.toString(), executableBlock.toString())
+
+      await truffleAssert.reverts(
+        wrbProxy.executeWitnetRequestBoardUpgrade({ from: contractOwner }),
+        "The upgrade delay has not passed yet"
+      )
+      await time.advanceBlockTo(executableBlock - 1)
+      const executeTx = await wrbProxy.executeWitnetRequestBoardUpgrade({ from: contractOwner })
+      truffleAssert.eventEmitted(executeTx, "UpgradedWitnetRequestBoard", ev =>
+        ev._oldAddress === oldWrb.address && ev._newAddress === newWrb.address
+      )
+      assert.equal(await wrbProxy.getWrbAddress.call(), newWrb.address)
+      assert.equal(await wrbProxy.pendingWitnetRequestBoard.call(), "0x0000000000000000000000000000000000000000")
+    })
+
+    it("should cancel a pending upgrade", async () => {
+      await wrbProxy.proposeWitnetRequestBoardUpgrade(newWrb.address, { from: contractOwner })
+      const cancelTx = await wrbProxy.cancelWitnetRequestBoardUpgrade({ from: contractOwner })
+      truffleAssert.eventEmitted(cancelTx, "CancelledWitnetRequestBoardUpgrade", ev =>
+        ev._newAddress === newWrb.address
+      )
+
+      await time.advanceBlockTo((await web3.eth.getBlockNumber()) + upgradeDelay)
+      await truffleAssert.reverts(
+        wrbProxy.executeWitnetRequestBoardUpgrade({ from: contractOwner }),
+        "There is no pending upgrade"
+      )
+      assert.equal(await wrbProxy.getWrbAddress.call(), oldWrb.address)
+    })
+
+    it("should delay upgrades by default", async () => {
+      const defaultWrbProxy = await WrbProxy.new(oldWrb.address, { from: contractOwner })
+      const defaultUpgradeDelay = await defaultWrbProxy.DEFAULT_UPGRADE_DELAY.call()
+      assert.isTrue(defaultUpgradeDelay.gtn(0))
+      assert.equal((await defaultWrbProxy.upgradeDelay.call()).toString(), defaultUpgradeDelay.toString())
+
+      const proposeTx = await defaultWrbProxy.proposeWitnetRequestBoardUpgrade(newWrb.address, { from: contractOwner })
+      const pendingUpgrade = await defaultWrbProxy.getPendingUpgrade.call()
+      assert.equal(
+        pendingUpgrade._executableBlock.toString(),
+        defaultUpgradeDelay.addn(proposeTx.receipt.blockNumber).toString()
+      )
+      await truffleAssert.reverts(
+        defaultWrbProxy.executeWitnetRequestBoardUpgrade({ from: contractOwner }),
+        "The upgrade delay has not passed yet"
+      )
+    })
+
+    it("should postpone the pending upgrade when increasing the upgrade delay", async () => {
+      const proposeTx = await wrbProxy.proposeWitnetRequestBoardUpgrade(newWrb.address, { from: contractOwner })
+      const executableBlock = proposeTx.receipt.blockNumber + upgradeDelay * 2
+      const tx = await wrbProxy.setUpgradeDelay(upgradeDelay * 2, { from: contractOwner })
+      truffleAssert.eventEmitted(tx, "ProposedWitnetRequestBoardUpgrade", ev =>
+        ev._newAddress === newWrb.address && ev._executableBlock.toString() === executableBlock.toString()
+      )
+      assert.equal((await wrbProxy.pendingUpgradeBlock.call()).toString(), executableBlock.toString())
+
+      await time.advanceBlockTo(proposeTx.receipt.blockNumber + upgradeDelay)
+      await truffleAssert.reverts(
+        wrbProxy.executeWitnetRequestBoardUpgrade({ from: contractOwner }),
+        "The upgrade delay has not passed yet"
+      )
+      await time.advanceBlockTo(executableBlock - 1)
+      await wrbProxy.executeWitnetRequestBoardUpgrade({ from: contractOwner })
+      assert.equal(await wrbProxy.getWrbAddress.call(), newWrb.address)
+    })
+
+    it("should only increase the upgrade delay up to the maximum", async () => {
+      await truffleAssert.reverts(
+        wrbProxy.setUpgradeDelay(upgradeDelay - 1, { from: contractOwner }),
+        "The upgrade delay cannot be decreased"
+      )
+      const maxUpgradeDelay = await wrbProxy.MAX_UPGRADE_DELAY.call()
+      await truffleAssert.reverts(
+        wrbProxy.setUpgradeDelay(maxUpgradeDelay.addn(1), { from: contractOwner }),
+        "The upgrade delay exceeds the maximum"
+      )
+      const tx = await wrbProxy.setUpgradeDelay(maxUpgradeDelay, { from: contractOwner })
+      truffleAssert.eventEmitted(tx, "UpgradeDelayChanged", ev => ev._upgradeDelay.eq(maxUpgradeDelay))
+    })
+
+    it("should reject upgrades to addresses that are not a Witnet Requests Board", async () => {
+      const request = await RequestContract.new(web3.utils.fromAscii("This is a DR"))
+      for (const address of [other, request.address]) {
+        await truffleAssert.reverts(
+          wrbProxy.proposeWitnetRequestBoardUpgrade(address, { from: contractOwner }),
+          "The provided address is not a Witnet Requests Board"
+        )
+      }
+    })
+
+    it("should reject upgrades managed by addresses not approved by the current WRB", async () => {
+      const rejected = "The upgrade has been rejected by the current implementation"
+      await truffleAssert.reverts(wrbProxy.proposeWitnetRequestBoardUpgrade(newWrb.address, { from: other }), rejected)
+      await wrbProxy.proposeWitnetRequestBoardUpgrade(newWrb.address, { from: contractOwner })
+      await truffleAssert.reverts(wrbProxy.cancelWitnetRequestBoardUpgrade({ from: other }), rejected)
+      await truffleAssert.reverts(wrbProxy.executeWitnetRequestBoardUpgrade({ from: other }), rejected)
+      await truffleAssert.reverts(wrbProxy.setUpgradeDelay(upgradeDelay + 1, { from: other }), rejected)
+    })
+  })
+
+  describe("Witnet Requests Board Proxy token rewards test suite", () => {
+    const contractOwner = accounts[0]
+    const requestSender = accounts[1]
+
+    let wrb
+    let wrbProxy
+    let token
+    let request
+
+    beforeEach(async () => {
+      wrb = await WitnetRequestBoardImplementation.new([contractOwner], { from: contractOwner })
+      wrbProxy = await WrbProxyHelper.new(wrb.address, { from: contractOwner })
+      token = await ERC20TestHelper.new()
+      request = await RequestContract.new(web3.utils.fromAscii("This is a DR"))
+      await wrb.setRewardToken(token.address, true, web3.utils.toWei("1"), { from: contractOwner })
+      await wrb.setRequestTimeout(0, { from: contractOwner })
+      await token.mint(requestSender, 500000)
+      await token.approve(wrbProxy.address, 500000, { from: requestSender })
+    })
+
+    it("should post and upgrade data requests rewarded in tokens", async () => {
+      await wrbProxy.postDataRequestWithToken(request.address, token.address, 200000, {
+        from: requestSender,
+        gasPrice: 1,
+      })
+      await wrbProxy.upgradeDataRequestWithToken(1, 100000, { from: requestSender, gasPrice: 1 })
+      assert.equal(await wrbProxy.readRequester.call(1), requestSender)
+      assert.equal((await token.balanceOf.call(wrb.address)).toString(), "300000")
+      assert.equal((await token.balanceOf.call(requestSender)).toString(), "200000")
+      assert.equal(
+        (await wrbProxy.estimateGasCostInToken.call(1, token.address)).toString(),
+        (await wrbProxy.estimateGasCost.call(1)).toString()
+      )
+    })
+
+    it("should post and upgrade data requests rewarded in tokens that return no value", async () => {
+      const noReturnToken = await ERC20NoReturnTestHelper.new()
+      await wrb.setRewardToken(noReturnToken.address, true, web3.utils.toWei("1"), { from: contractOwner })
+      await noReturnToken.mint(requestSender, 500000)
+      await noReturnToken.approve(wrbProxy.address, 500000, { from: requestSender })
+
+      await wrbProxy.postDataRequestWithToken(request.address, noReturnToken.address, 200000, {
+        from: requestSender,
+        gasPrice: 1,
+      })
+      await wrbProxy.upgradeDataRequestWithToken(1, 100000, { from: requestSender, gasPrice: 1 })
+      assert.equal((await noReturnToken.balanceOf.call(wrb.address)).toString(), "300000")
+      assert.equal((await noReturnToken.balanceOf.call(requestSender)).toString(), "200000")
+      assert.equal((await noReturnToken.balanceOf.call(wrbProxy.address)).toString(), "0")
+    })
+
+    it("should refund cancelled data requests in tokens", async () => {
+      await wrbProxy.postDataRequestWithToken(request.address, token.address, 200000, {
+        from: requestSender,
+        gasPrice: 1,
+      })
+      await wrbProxy.cancelDataRequest(1, { from: requestSender })
+      assert.equal((await wrb.tokenBalanceOf.call(token.address, requestSender)).toString(), "200000")
+      assert.equal((await wrb.tokenBalanceOf.call(token.address, wrbProxy.address)).toString(), "0")
+      await wrb.withdrawToken(token.address, { from: requestSender })
+      assert.equal((await token.balanceOf.call(requestSender)).toString(), "500000")
+      assert.equal((await token.balanceOf.call(wrbProxy.address)).toString(), "0")
+    })
+  })
+
+  describe("Witnet Requests Board Proxy refunds test suite", () => {
+    const contractOwner = accounts[0]
+    const requestSender = accounts[1]
+    const gasPrice = 1000
+    const reward = web3.utils.toBN(gasPrice * 500000)
+    const drTxHash = "0xe3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855"
+    const resultHex = "0x1a002fefd8"
+
+    let wrb
+    let wrbProxy
+    let request
+
+    beforeEach(async () => {
+      wrb = await WitnetRequestBoardImplementation.new([contractOwner], { from: contractOwner })
+      wrbProxy = await WrbProxyHelper.new(wrb.address, { from: contractOwner })
+      request = await RequestContract.new(web3.utils.fromAscii("This is a DR"))
+      await wrb.setSettlement(true, 1000, { from: contractOwner })
+      await wrb.setRequestTimeout(0, { from: contractOwner })
+      await wrbProxy.postDataRequest(request.address, { from: requestSender, value: reward, gasPrice })
+    })
+
+    it("should credit the refunds of settled data requests to their requester", async () => {
+      const tx = await wrb.reportResult(1, drTxHash, resultHex, { from: contractOwner, gasPrice })
+      const refund = await wrb.balanceOf.call(requestSender)
+      const payment = await wrb.balanceOf.call(contractOwner)
+      truffleAssert.eventEmitted(tx, "RefundedReward", ev =>
+        ev._id.toString() === "1" && ev._requester === requestSender && ev._amount.eq(refund)
+      )
+      assert(refund.gtn(0), "the requester should get back the unused reward")
+      assert.equal(payment.add(refund).toString(), reward.toString())
+      assert.equal((await wrb.balanceOf.call(wrbProxy.address)).toString(), "0")
+    })
+
+    it("should not let anyone but the requester set the refund address", async () => {
+      await truffleAssert.reverts(
+        wrb.setRefundAddress(1, requestSender, { from: requestSender }),
+        "Sender is not the requester"
+      )
+    })
+
+    it("should leave no balance in the proxy after settling and cancelling data requests", async () => {
+      const otherRequest = await RequestContract.new(web3.utils.fromAscii("This is another DR"))
+      await wrbProxy.postDataRequest(otherRequest.address, { from: requestSender, value: reward, gasPrice })
+      await wrb.reportResult(1, drTxHash, resultHex, { from: contractOwner, gasPrice })
+      const refund = await wrb.balanceOf.call(requestSender)
+      await wrbProxy.cancelDataRequest(2, { from: requestSender })
+      assert.equal((await wrb.balanceOf.call(requestSender)).toString(), refund.add(reward).toString())
+      assert.equal((await wrb.balanceOf.call(wrbProxy.address)).toString(), "0")
+      assert.equal(await web3.eth.getBalance(wrbProxy.address), "0")
+    })
+  })
+})
+
 const waitForHash = txQ =>
   new Promise((resolve, reject) =>
     txQ.on("transactionHash", resolve).catch(reject)